@@ -0,0 +1,23 @@
+const dotenv = require('dotenv');
+const JobSpec = require('./src/job-spec');
+const JobRunner = require('./src/job-runner');
+
+dotenv.config();
+
+async function runJob(jobFile) {
+  if (!jobFile) {
+    console.error('Usage: node run-job.js <job-file.json|yaml> [--resume]');
+    process.exit(1);
+  }
+
+  try {
+    const spec = JobSpec.load(jobFile);
+    const runner = new JobRunner(spec, { resume: process.argv.includes('--resume') });
+    await runner.run();
+  } catch (error) {
+    console.error('❌ Job failed:', error);
+    process.exit(1);
+  }
+}
+
+runJob(process.argv[2]);
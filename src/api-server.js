@@ -0,0 +1,288 @@
+const http = require('http');
+const { URL } = require('url');
+const QlikPivotDataExtractor = require('./index');
+const JobSpec = require('./job-spec');
+const JobRunner = require('./job-runner');
+const FieldSelector = require('./field-selector');
+const CsvWriter = require('./csv-writer');
+const { ConfigurationError, ConnectionError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('api-server');
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Finished jobs kept for GET /jobs/:id before the oldest are dropped
+const MAX_FINISHED_JOBS = 100;
+
+// HTTP API over one warm engine session; extraction requests are queued and run one at a time
+// because selections are shared by the whole document
+class ApiServer {
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? options.port : 3000;
+    this.host = options.host || '127.0.0.1';
+    // Configuration overrides for the extractor (createSocket plugs in a fake engine)
+    this.overrides = options.overrides || {};
+
+    this.extractor = null;
+    this.connectionState = 'disconnected';
+    this.jobs = new Map();
+    this.queue = Promise.resolve();
+    this.nextId = 1;
+    this.server = null;
+  }
+
+  // Connect on first use and keep the session open for the following requests
+  async getExtractor() {
+    if (!this.extractor) {
+      const extractor = new QlikPivotDataExtractor(this.overrides, { requireObject: false });
+      await extractor.initialize();
+      this.connectionState = extractor.sessionManager.state;
+      extractor.sessionManager.on('state', ({ state }) => {
+        this.connectionState = state;
+      });
+      this.extractor = extractor;
+    }
+    return this.extractor;
+  }
+
+  // Drop the warm session so the next job reconnects
+  async resetExtractor() {
+    if (this.extractor) {
+      const extractor = this.extractor;
+      this.extractor = null;
+      await extractor.shutdown();
+    }
+  }
+
+  // Validate a request body and queue it; the cube is defined inline or an existing object is named
+  createJob(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ConfigurationError('Request body must be a JSON object');
+    }
+    if (body.selections !== undefined && !Array.isArray(body.selections)) {
+      throw new ConfigurationError('selections must be a list');
+    }
+
+    const selections = body.selections || [];
+    let spec = null;
+
+    if (body.objectId) {
+      selections.forEach((selection, index) => {
+        const selectionError = FieldSelector.validateSelection(selection);
+        if (selectionError) {
+          throw new ConfigurationError(`selections[${index}]: ${selectionError}`);
+        }
+      });
+    } else {
+      spec = new JobSpec({ ...body, name: body.name || `api-${this.nextId}`, selections, outputs: [] });
+    }
+
+    const job = {
+      id: String(this.nextId++),
+      status: 'queued',
+      request: body,
+      spec,
+      createdAt: new Date().toISOString(),
+      progress: { extractedRows: 0, totalRows: null },
+      result: null,
+      error: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue = this.queue.then(() => this.runJob(job));
+    this.pruneJobs();
+
+    return job;
+  }
+
+  // Forget the oldest finished jobs
+  pruneJobs() {
+    const finished = [...this.jobs.values()].filter(job => job.status === 'completed' || job.status === 'failed');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.jobs.delete(job.id));
+  }
+
+  // Run a queued job on the warm session
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    const onProgress = (progress) => {
+      job.progress = progress;
+    };
+
+    try {
+      const extractor = await this.getExtractor();
+      const doc = extractor.sessionManager.getDoc();
+
+      // Selections of the previous request must not leak into this one
+      await extractor.fieldSelector.clearSelections();
+
+      if (job.spec) {
+        const result = await new JobRunner(job.spec, { onProgress, sessionManager: extractor.sessionManager }).runOnDoc(doc);
+        const measureLabels = job.spec.measures.map(measure => measure.label || measure.expression);
+        job.result = { headers: result.headers, rows: result.rows, measureLabels, failures: result.failures };
+      } else {
+        extractor.config.pivotObjectId = job.request.objectId;
+        extractor.config.containerId = job.request.containerId;
+        if (job.request.selections && job.request.selections.length > 0) {
+          await extractor.fieldSelector.makeSelections(job.request.selections);
+        }
+        job.result = { formatted: await extractor.extractData({ onProgress }) };
+      }
+
+      job.status = 'completed';
+    } catch (error) {
+      log.error(`❌ API job ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = { name: error.name, message: error.message, exitCode: error.exitCode };
+
+      if (error instanceof ConnectionError) {
+        await this.resetExtractor();
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  }
+
+  // Public view of a job (without its rows)
+  describeJob(job) {
+    const rows = job.result ? (job.result.rows || job.result.formatted.rows).length : undefined;
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      // Shows "reconnecting" while a running job waits for a dropped session
+      connection: job.status === 'running' ? this.connectionState : undefined,
+      rows,
+      failures: job.result?.failures?.length ? job.result.failures : undefined,
+      error: job.error || undefined,
+    };
+  }
+
+  // Serialize the result of a completed job as JSON or CSV
+  formatResult(job, format) {
+    const { result } = job;
+
+    if (format === 'csv') {
+      const content = result.formatted
+        ? new CsvWriter().stringify(result.formatted)
+        : new CsvWriter().stringifyRecords(result.rows, result.headers, result.measureLabels);
+      return { contentType: 'text/csv; charset=utf-8', body: content };
+    }
+
+    const data = result.formatted || { headers: result.headers, rows: JobRunner.pickColumns(result.rows, result.headers) };
+    return { contentType: 'application/json; charset=utf-8', body: JSON.stringify(data) };
+  }
+
+  // Read and parse a JSON request body
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new ConfigurationError('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        try {
+          resolve(text ? JSON.parse(text) : {});
+        } catch (error) {
+          reject(new ConfigurationError(`Invalid JSON body: ${error.message}`, error));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+
+  // Route a request: POST /extract, GET /jobs/:id, GET /jobs/:id/result?format=csv|json
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const jobMatch = /^\/jobs\/([^/]+)(\/result)?$/.exec(url.pathname);
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/extract') {
+        const job = this.createJob(await this.readBody(req));
+        this.sendJson(res, 202, { id: job.id, status: job.status, links: { status: `/jobs/${job.id}`, result: `/jobs/${job.id}/result` } });
+        return;
+      }
+
+      if (req.method === 'GET' && jobMatch) {
+        const job = this.jobs.get(jobMatch[1]);
+        if (!job) {
+          this.sendJson(res, 404, { error: `Job ${jobMatch[1]} not found` });
+          return;
+        }
+
+        if (!jobMatch[2]) {
+          this.sendJson(res, 200, this.describeJob(job));
+          return;
+        }
+
+        if (job.status !== 'completed') {
+          this.sendJson(res, job.status === 'failed' ? 500 : 409, this.describeJob(job));
+          return;
+        }
+
+        const format = url.searchParams.get('format') || 'json';
+        if (format !== 'json' && format !== 'csv') {
+          this.sendJson(res, 400, { error: `Unsupported format "${format}" (use json or csv)` });
+          return;
+        }
+
+        const { contentType, body } = this.formatResult(job, format);
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(body);
+        return;
+      }
+
+      this.sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    } catch (error) {
+      const statusCode = error instanceof ConfigurationError ? 400 : 500;
+      this.sendJson(res, statusCode, { error: error.message });
+    }
+  }
+
+  // Start listening; resolves with the bound address
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const address = this.server.address();
+        log.info(`🌐 API listening on http://${address.address}:${address.port}`);
+        resolve(address);
+      });
+    });
+  }
+
+  // Stop accepting requests, wait for queued jobs and close the engine session
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    await this.queue;
+    await this.resetExtractor();
+  }
+}
+
+module.exports = ApiServer;
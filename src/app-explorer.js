@@ -0,0 +1,148 @@
+const FieldSelector = require('./field-selector');
+const Logger = require('./logger');
+
+const log = new Logger('app-explorer');
+
+// Object types that hold other visualizations
+const CONTAINER_TYPES = ['container', 'sn-tabbed-container', 'qlik-show-hide-container'];
+
+class AppExplorer {
+  constructor(doc) {
+    this.doc = doc;
+  }
+
+  // List sheets with their child objects, plus containers and any objects outside sheets
+  async listObjects() {
+    try {
+      const infos = await this.doc.getAllInfos();
+      const sheets = [];
+      const containers = [];
+      const objectsOnSheets = new Set();
+
+      for (const info of infos.filter(item => item.qType === 'sheet')) {
+        const sheet = await this.doc.getObject(info.qId);
+        const layout = await sheet.getLayout();
+        const children = (layout.qChildList?.qItems || []).map(child => ({
+          id: child.qInfo.qId,
+          type: child.qInfo.qType,
+          title: child.qData?.title || child.qMeta?.title || '',
+        }));
+
+        children.forEach(child => objectsOnSheets.add(child.id));
+        sheets.push({
+          id: info.qId,
+          title: layout.qMeta?.title || layout.title || '',
+          children,
+        });
+      }
+
+      for (const info of infos.filter(item => CONTAINER_TYPES.includes(item.qType))) {
+        const container = await this.doc.getObject(info.qId);
+        const layout = await container.getLayout();
+        containers.push({
+          id: info.qId,
+          type: info.qType,
+          title: layout.title || layout.qMeta?.title || '',
+          children: (layout.qChildList?.qItems || []).map(child => ({
+            id: child.qInfo.qId,
+            type: child.qInfo.qType,
+            title: child.qData?.title || child.qMeta?.title || '',
+          })),
+        });
+      }
+
+      const others = infos
+        .filter(item => item.qType !== 'sheet' && !CONTAINER_TYPES.includes(item.qType) && !objectsOnSheets.has(item.qId))
+        .map(item => ({ id: item.qId, type: item.qType }));
+
+      return { sheets, containers, others };
+    } catch (error) {
+      log.error('Failed to list objects:', error.message);
+      throw error;
+    }
+  }
+
+  // List all fields of the data model with their number of distinct values
+  async listFields(options = {}) {
+    try {
+      return await new FieldSelector(this.doc).listFields(options);
+    } catch (error) {
+      log.error('Failed to list fields:', error.message);
+      throw error;
+    }
+  }
+
+  // Get values of a field with their selection state (up to limit values)
+  async listFieldValues(fieldName, options = {}) {
+    const { limit = 100 } = options;
+    const fieldSelector = new FieldSelector(this.doc);
+
+    return await fieldSelector.withFieldListObject(fieldName, async (listObject) => {
+      const values = [];
+      const total = await fieldSelector.forEachValuePage(listObject, (cells) => {
+        values.push(...cells.slice(0, limit - values.length));
+        return values.length >= limit;
+      });
+
+      return {
+        field: fieldName,
+        total,
+        values: values.map(cell => ({
+          text: cell.qText,
+          number: cell.qNum,
+          state: cell.qState,
+        })),
+      };
+    });
+  }
+
+  // Describe an object: type, title, dimensions, measures and size
+  async describeObject(objectId) {
+    try {
+      const object = await this.doc.getObject(objectId);
+      const layout = await object.getLayout();
+      const description = {
+        id: objectId,
+        type: layout.qInfo.qType,
+        title: layout.title || layout.qMeta?.title || '',
+      };
+
+      if (layout.qHyperCube) {
+        const hypercube = layout.qHyperCube;
+        description.mode = hypercube.qMode;
+        description.size = {
+          rows: hypercube.qSize.qcy,
+          columns: hypercube.qSize.qcx,
+        };
+        description.dimensions = (hypercube.qDimensionInfo || []).map(dim => ({
+          title: dim.qFallbackTitle,
+          field: dim.qGroupFieldDefs ? dim.qGroupFieldDefs[0] : undefined,
+          cardinality: dim.qCardinal,
+        }));
+        description.measures = (hypercube.qMeasureInfo || []).map(measure => ({
+          title: measure.qFallbackTitle,
+          numFormat: measure.qNumFormat,
+          min: measure.qMin,
+          max: measure.qMax,
+        }));
+        if (hypercube.qNoOfLeftDims !== undefined) {
+          description.leftDimensions = hypercube.qNoOfLeftDims;
+        }
+      }
+
+      if (layout.qChildList) {
+        description.children = layout.qChildList.qItems.map(child => ({
+          id: child.qInfo.qId,
+          type: child.qInfo.qType,
+        }));
+      }
+
+      return description;
+    } catch (error) {
+      log.error(`Failed to describe object ${objectId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = AppExplorer;
@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SessionManager = require('./session-manager');
+const FieldSelector = require('./field-selector');
+const JobRunner = require('./job-runner');
+const CsvWriter = require('./csv-writer');
+const { ConfigurationError, SelectionError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('balance-reconciler');
+
+// Defaults match the clean-pivot job
+const DEFAULT_SETTINGS = {
+  periodField: 'Год-Месяц',
+  opening: 'На начало периода',
+  closing: 'На конец периода',
+  tolerance: 0.01,
+  months: 2,
+};
+
+// Checks that the closing balance of every member in month N is the opening balance in month N+1
+class BalanceReconciler {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.settings = { ...DEFAULT_SETTINGS, ...spec.reconciliation };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.settings[key] = value;
+      }
+    });
+    this.sessionManager = null;
+
+    const labels = spec.getColumnLabels();
+    [this.settings.opening, this.settings.closing].forEach(label => {
+      if (!labels.includes(label)) {
+        throw new ConfigurationError(`Reconciliation measure "${label}" is not a column of job "${spec.name}"`);
+      }
+    });
+    if (!(this.settings.tolerance >= 0)) {
+      throw new ConfigurationError('Reconciliation tolerance must be a non-negative number');
+    }
+  }
+
+  // Connect, extract every period over one session and compare consecutive periods
+  async run() {
+    this.sessionManager = new SessionManager(this.spec.buildConnectionConfig());
+
+    try {
+      log.info(`🚀 Reconciling balances of job "${this.spec.name}"...`);
+      const { doc } = await this.sessionManager.connect();
+
+      const periods = await this.resolvePeriods(new FieldSelector(doc));
+      log.info(`Periods: ${periods.join(' → ')}`);
+
+      // The period field is swept; every other selection of the job stays fixed
+      const { periodField } = this.settings;
+      this.spec.selections = this.spec.selections.filter(selection => selection.fieldName !== periodField);
+      this.spec.sweep = {
+        fields: { [periodField]: periods },
+        continueOnError: false,
+      };
+      this.spec.outputs = [];
+
+      const result = await new JobRunner(this.spec, { sessionManager: this.sessionManager }).runOnDoc(doc);
+      const report = this.reconcile(periods, result.rows);
+      this.printSummary(report);
+
+      return report;
+    } finally {
+      await this.sessionManager.close();
+    }
+  }
+
+  // Explicit periods, or the selected period followed by the next ones in the field's numeric order
+  async resolvePeriods(fieldSelector) {
+    const { periodField, periods, months } = this.settings;
+
+    if (periods && periods.length > 0) {
+      if (periods.length < 2) {
+        throw new ConfigurationError('Reconciliation needs at least two periods');
+      }
+      return periods.map(String);
+    }
+
+    const selection = this.spec.selections.find(item => item.fieldName === periodField);
+    if (!selection || selection.value === undefined) {
+      throw new ConfigurationError(`Select a single value of "${periodField}" as the first period, or list the periods`);
+    }
+
+    const values = await fieldSelector.withFieldListObject(periodField, async (listObject) => {
+      return await fieldSelector.getFieldValues(listObject);
+    });
+
+    // Month fields are duals: the text is "2024-авг", the number orders the months
+    const ordered = values.every(cell => Number.isFinite(cell.qNum))
+      ? [...values].sort((a, b) => a.qNum - b.qNum)
+      : values;
+    const texts = ordered.map(cell => cell.qText);
+    const startIndex = texts.indexOf(String(selection.value));
+
+    if (startIndex === -1) {
+      throw new SelectionError(`Value "${selection.value}" not found in field "${periodField}"`);
+    }
+    if (startIndex + 1 >= texts.length) {
+      throw new SelectionError(`No period after "${selection.value}" in field "${periodField}"`);
+    }
+
+    return texts.slice(startIndex, startIndex + months);
+  }
+
+  // Compare closing balances of each period with the opening balances of the next one
+  // Members missing from a period have a zero balance there (empty rows are suppressed)
+  reconcile(periods, rows) {
+    const { periodField, opening, closing, tolerance } = this.settings;
+    const keyColumns = this.spec.dimensions.map(dim => dim.label || dim.field);
+    const buildKey = row => keyColumns.map(column => row[column]).join('\u0000');
+
+    const byPeriod = new Map(periods.map(period => [period, new Map()]));
+    rows.forEach(row => {
+      const members = byPeriod.get(row[periodField]);
+      if (members) {
+        members.set(buildKey(row), row);
+      }
+    });
+
+    const breaks = [];
+    const pairs = [];
+
+    for (let index = 0; index + 1 < periods.length; index++) {
+      const period = periods[index];
+      const nextPeriod = periods[index + 1];
+      const current = byPeriod.get(period);
+      const next = byPeriod.get(nextPeriod);
+      const keys = new Set([...current.keys(), ...next.keys()]);
+      let pairBreaks = 0;
+
+      keys.forEach(key => {
+        const currentRow = current.get(key);
+        const nextRow = next.get(key);
+        const closingValue = currentRow ? currentRow[closing] : 0;
+        const openingValue = nextRow ? nextRow[opening] : 0;
+        const difference = openingValue - closingValue;
+
+        if (Math.abs(difference) > tolerance) {
+          const member = {};
+          keyColumns.forEach(column => {
+            member[column] = (currentRow || nextRow)[column];
+          });
+
+          breaks.push({
+            ...member,
+            period,
+            nextPeriod,
+            closing: closingValue,
+            opening: openingValue,
+            difference: Math.round(difference * 1e6) / 1e6,
+          });
+          pairBreaks++;
+        }
+      });
+
+      pairs.push({ period, nextPeriod, members: keys.size, breaks: pairBreaks });
+    }
+
+    return {
+      job: this.spec.name,
+      periodField,
+      opening,
+      closing,
+      tolerance,
+      keyColumns,
+      pairs,
+      breaks,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+
+  // Print one line per period pair and the largest breaks
+  printSummary(report) {
+    log.info('\n=== BALANCE RECONCILIATION ===');
+    log.info(`"${report.closing}" (N) vs "${report.opening}" (N+1), tolerance ${report.tolerance}`);
+
+    report.pairs.forEach(pair => {
+      const status = pair.breaks === 0 ? '✅' : '❌';
+      log.info(`${status} ${pair.period} → ${pair.nextPeriod}: ${pair.members} members, ${pair.breaks} breaks`);
+    });
+
+    if (report.breaks.length > 0) {
+      log.info('\nLargest breaks:');
+      [...report.breaks]
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+        .slice(0, 10)
+        .forEach(item => {
+          const member = report.keyColumns.map(column => item[column]).join(' / ');
+          log.info(`  ${member} (${item.period} → ${item.nextPeriod}): ${item.closing} → ${item.opening}, difference ${item.difference}`);
+        });
+    }
+  }
+
+  // Save the breaks as CSV or the whole report as JSON (by extension)
+  static async writeReport(report, filePath) {
+    const outputPath = path.resolve(filePath);
+
+    if (path.extname(outputPath).toLowerCase() === '.csv') {
+      const headers = [...report.keyColumns, 'period', 'nextPeriod', 'closing', 'opening', 'difference'];
+      const content = new CsvWriter().stringifyRecords(report.breaks, headers, ['closing', 'opening', 'difference']);
+      await fs.writeFile(outputPath, content, 'utf8');
+    } else {
+      await fs.writeFile(outputPath, JSON.stringify(report, null, 2), 'utf8');
+    }
+
+    log.info(`Reconciliation report saved to: ${outputPath}`);
+    return outputPath;
+  }
+}
+
+module.exports = BalanceReconciler;
@@ -0,0 +1,97 @@
+const { ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('balance-validator');
+
+// Measure labels of the clean-pivot job for each role of the balance equation
+const DEFAULT_ROLES = {
+  begin: 'На начало периода',
+  received: 'ПМ за период',
+  issued: 'ОМ за период',
+  end: 'На конец периода',
+};
+
+// Values of the validation_status column
+const STATUS = {
+  OK: 'ok',
+  BREAK: 'break',
+};
+
+// Checks begin + received − issued = end on every row
+class BalanceValidator {
+  constructor(settings = {}) {
+    this.roles = { ...DEFAULT_ROLES, ...settings.roles };
+    this.tolerance = settings.tolerance !== undefined ? settings.tolerance : 0.01;
+    this.keyColumns = settings.keyColumns || [];
+
+    if (!(this.tolerance >= 0)) {
+      throw new ConfigurationError('Validation tolerance must be a non-negative number');
+    }
+  }
+
+  // Problems with the roles for the given column labels
+  static validateRoles(roles, labels) {
+    return Object.entries({ ...DEFAULT_ROLES, ...roles })
+      .filter(([, label]) => !labels.includes(label))
+      .map(([role, label]) => `validation role "${role}" refers to unknown column "${label}"`);
+  }
+
+  // Difference end − (begin + received − issued) of one record
+  getDifference(row) {
+    const { begin, received, issued, end } = this.roles;
+    const expected = (row[begin] || 0) + (row[received] || 0) - (row[issued] || 0);
+    return Math.round(((row[end] || 0) - expected) * 1e6) / 1e6;
+  }
+
+  // Add validation_status to every record and summarize the rows that break the equation
+  validate(rows) {
+    const failures = [];
+
+    rows.forEach((row, index) => {
+      const difference = this.getDifference(row);
+      const passed = Math.abs(difference) <= this.tolerance;
+      row.validation_status = passed ? STATUS.OK : STATUS.BREAK;
+
+      if (!passed) {
+        const member = {};
+        this.keyColumns.forEach(column => {
+          member[column] = row[column];
+        });
+        failures.push({ index, ...member, difference });
+      }
+    });
+
+    return {
+      roles: this.roles,
+      tolerance: this.tolerance,
+      checked: rows.length,
+      passed: rows.length - failures.length,
+      failed: failures.length,
+      totalDifference: Math.round(failures.reduce((sum, item) => sum + item.difference, 0) * 1e6) / 1e6,
+      failures,
+    };
+  }
+
+  // Print the counts and the rows with the largest differences
+  printSummary(summary, limit = 10) {
+    const { begin, received, issued, end } = summary.roles;
+
+    log.info('\n=== BALANCE VALIDATION ===');
+    log.info(`${begin} + ${received} − ${issued} = ${end} (tolerance ${summary.tolerance})`);
+    log.info(`✅ ${summary.passed} rows pass, ${summary.failed > 0 ? '❌' : '✅'} ${summary.failed} rows break the equation`);
+
+    if (summary.failed > 0) {
+      log.info(`Total difference of breaking rows: ${summary.totalDifference.toLocaleString()}`);
+      log.info(`Largest differences (first ${Math.min(limit, summary.failed)}):`);
+      [...summary.failures]
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+        .slice(0, limit)
+        .forEach(item => {
+          const member = this.keyColumns.map(column => item[column]).join(' / ') || `row ${item.index + 1}`;
+          log.info(`  ${member}: ${item.difference.toLocaleString()}`);
+        });
+    }
+  }
+}
+
+module.exports = BalanceValidator;
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('certificate-check');
+
+// Certificate files exported from the QMC (Certificates > Export, PEM format)
+const CERTIFICATE_FILES = {
+  cert: 'client.pem',
+  key: 'client_key.pem',
+  ca: 'root.pem',
+};
+
+// Days before expiry from which a certificate is reported (QLIK_CERT_WARN_DAYS)
+const DEFAULT_WARN_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Health check of the client certificate set: files present, key matching the certificate,
+// certificate issued by the root CA, and none of them expired or about to expire
+class CertificateCheck {
+  constructor(certificatesPath, options = {}) {
+    this.certificatesPath = path.resolve(certificatesPath || './config/certificates');
+    this.warnDays = options.warnDays !== undefined ? options.warnDays : CertificateCheck.getWarnDays();
+  }
+
+  static getWarnDays() {
+    const days = parseInt(process.env.QLIK_CERT_WARN_DAYS, 10);
+    return isNaN(days) ? DEFAULT_WARN_DAYS : days;
+  }
+
+  // Read a certificate file with an error that says what is missing and where it is expected
+  static readFile(certificatesPath, filename) {
+    const filePath = path.resolve(certificatesPath, filename);
+    try {
+      return fs.readFileSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ConfigurationError(`Certificate file ${filename} not found in ${path.dirname(filePath)} (QLIK_CERTIFICATES_PATH). Export the client certificates from the QMC in PEM format.`, error);
+      }
+      if (error.code === 'EACCES') {
+        throw new ConfigurationError(`Certificate file ${filePath} is not readable by this user`, error);
+      }
+      throw new ConfigurationError(`Cannot read certificate file ${filePath}: ${error.message}`, error);
+    }
+  }
+
+  // Whole days until a certificate expires (negative once expired)
+  static getDaysLeft(certificate, now = new Date()) {
+    return Math.floor((new Date(certificate.validTo).getTime() - now.getTime()) / DAY_MS);
+  }
+
+  // Warning for a certificate that expired or expires within the warning period, null otherwise
+  static getExpiryWarning(pem, filename, warnDays = CertificateCheck.getWarnDays()) {
+    let certificate;
+    try {
+      certificate = new crypto.X509Certificate(pem);
+    } catch (error) {
+      return `Certificate ${filename} is not a valid PEM certificate, run check-certs`;
+    }
+    const daysLeft = CertificateCheck.getDaysLeft(certificate);
+    if (daysLeft < 0) {
+      return `Certificate ${filename} expired on ${certificate.validTo}`;
+    }
+    if (daysLeft <= warnDays) {
+      return `Certificate ${filename} expires in ${daysLeft} days (${certificate.validTo}), run check-certs`;
+    }
+    return null;
+  }
+
+  // Run every check; a file that cannot be read or parsed stops the checks that depend on it
+  run() {
+    const checks = [];
+    const add = (name, status, message) => checks.push({ name, status, message });
+
+    const loaded = {};
+    Object.entries(CERTIFICATE_FILES).forEach(([kind, filename]) => {
+      try {
+        const content = CertificateCheck.readFile(this.certificatesPath, filename);
+        loaded[kind] = kind === 'key' ? crypto.createPrivateKey(content) : new crypto.X509Certificate(content);
+        add(filename, 'ok', kind === 'key' ? `${loaded[kind].asymmetricKeyType} private key` : `subject ${loaded[kind].subject.replace(/\n/g, ', ')}`);
+      } catch (error) {
+        add(filename, 'error', error instanceof ConfigurationError ? error.message : `Not a valid PEM ${kind === 'key' ? 'private key' : 'certificate'}: ${error.message}`);
+      }
+    });
+
+    if (loaded.cert && loaded.key) {
+      if (loaded.cert.checkPrivateKey(loaded.key)) {
+        add('key pair', 'ok', `${CERTIFICATE_FILES.key} matches ${CERTIFICATE_FILES.cert}`);
+      } else {
+        add('key pair', 'error', `${CERTIFICATE_FILES.key} does not belong to ${CERTIFICATE_FILES.cert}`);
+      }
+    }
+
+    if (loaded.cert && loaded.ca) {
+      if (loaded.cert.checkIssued(loaded.ca) && loaded.cert.verify(loaded.ca.publicKey)) {
+        add('chain', 'ok', `${CERTIFICATE_FILES.cert} is issued by ${CERTIFICATE_FILES.ca}`);
+      } else {
+        add('chain', 'error', `${CERTIFICATE_FILES.cert} is not signed by ${CERTIFICATE_FILES.ca} (issuer ${loaded.cert.issuer.replace(/\n/g, ', ')})`);
+      }
+    }
+
+    ['cert', 'ca'].filter(kind => loaded[kind]).forEach(kind => {
+      const certificate = loaded[kind];
+      const daysLeft = CertificateCheck.getDaysLeft(certificate);
+      const name = `${CERTIFICATE_FILES[kind]} expiry`;
+
+      if (new Date(certificate.validFrom) > new Date()) {
+        add(name, 'error', `not valid before ${certificate.validFrom}`);
+      } else if (daysLeft < 0) {
+        add(name, 'error', `expired on ${certificate.validTo}`);
+      } else if (daysLeft <= this.warnDays) {
+        add(name, 'warning', `expires in ${daysLeft} days (${certificate.validTo})`);
+      } else {
+        add(name, 'ok', `valid until ${certificate.validTo} (${daysLeft} days)`);
+      }
+    });
+
+    return {
+      certificatesPath: this.certificatesPath,
+      warnDays: this.warnDays,
+      checks,
+      errors: checks.filter(check => check.status === 'error').length,
+      warnings: checks.filter(check => check.status === 'warning').length,
+    };
+  }
+
+  // Print the checks with a status icon each
+  printReport(report) {
+    const icons = { ok: '✅', warning: '⚠️', error: '❌' };
+    log.info(`🔐 Certificates in ${report.certificatesPath}:`);
+    report.checks.forEach(check => {
+      log.info(`${icons[check.status]} ${check.name}: ${check.message}`);
+    });
+    log.info(`\n${report.errors} errors, ${report.warnings} warnings (warning ${report.warnDays} days before expiry)`);
+  }
+}
+
+module.exports = CertificateCheck;
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('checkpoint');
+
+// Checkpoint format version, bumped when the file layout changes
+const CHECKPOINT_VERSION = 1;
+
+// Progress of a job run so an interrupted run can continue where it stopped
+// The state file holds the job fingerprint, the app reload time and the next row of every
+// selection set; the extracted rows are appended to a companion NDJSON file page by page
+class Checkpoint {
+  constructor(filePath, identity = {}) {
+    this.filePath = path.resolve(filePath);
+    this.rowsPath = this.filePath.replace(/\.json$/, '.rows.ndjson');
+    this.identity = identity;
+    this.state = null;
+    this.rowsBySet = new Map();
+  }
+
+  // Checkpoint file of a job (QLIK_CHECKPOINT_DIR, default .checkpoints)
+  static getPath(jobName) {
+    return path.resolve(process.env.QLIK_CHECKPOINT_DIR || '.checkpoints', `${jobName}.json`);
+  }
+
+  // Start a new checkpoint, dropping the one of a previous run
+  start() {
+    this.remove();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.rowsPath, '', 'utf8');
+
+    this.state = {
+      version: CHECKPOINT_VERSION,
+      ...this.identity,
+      startedAt: new Date().toISOString(),
+      rowCount: 0,
+      sets: {},
+    };
+    this.rowsBySet = new Map();
+    this.write();
+  }
+
+  // Load the checkpoint of an interrupted run; false when there is none
+  // Refuses to resume when the job or the app data changed since it was written
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return false;
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new ConfigurationError(`Checkpoint ${this.filePath} is unreadable: ${error.message}`, error);
+    }
+
+    const restart = 'Run without --resume to start over.';
+    if (state.version !== CHECKPOINT_VERSION) {
+      throw new ConfigurationError(`Checkpoint ${this.filePath} has an unsupported version. ${restart}`);
+    }
+    if (state.specHash !== this.identity.specHash) {
+      throw new ConfigurationError(`Cannot resume "${state.job}": the job changed since the checkpoint was written. ${restart}`);
+    }
+    if (state.lastReloadTime !== this.identity.lastReloadTime) {
+      throw new ConfigurationError(`Cannot resume "${state.job}": the app was reloaded (${this.identity.lastReloadTime}, checkpoint data from ${state.lastReloadTime}). ${restart}`);
+    }
+
+    // Rows appended after the last state write belong to a page that was not recorded
+    const lines = fs.existsSync(this.rowsPath)
+      ? fs.readFileSync(this.rowsPath, 'utf8').split('\n').filter(line => line !== '').slice(0, state.rowCount)
+      : [];
+    if (lines.length < state.rowCount) {
+      throw new ConfigurationError(`Checkpoint rows ${this.rowsPath} are incomplete. ${restart}`);
+    }
+    fs.writeFileSync(this.rowsPath, lines.map(line => `${line}\n`).join(''), 'utf8');
+
+    this.rowsBySet = new Map();
+    lines.forEach(line => {
+      const { set, row } = JSON.parse(line);
+      if (!this.rowsBySet.has(set)) {
+        this.rowsBySet.set(set, []);
+      }
+      this.rowsBySet.get(set).push(row);
+    });
+    this.state = state;
+
+    const completed = Object.values(state.sets).filter(set => set.completed).length;
+    log.info(`⏩ Resuming from checkpoint ${this.filePath}: ${state.rowCount} rows, ${completed} completed selection sets`);
+    return true;
+  }
+
+  // Write the state atomically so a crash never leaves half a file behind
+  write() {
+    this.state.updatedAt = new Date().toISOString();
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2), 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Progress of one selection set (index 0 for runs without a sweep)
+  getSet(index) {
+    const set = this.state.sets[index] || { nextRow: 0, completed: false };
+    return { ...set, rows: this.rowsBySet.get(index) || [] };
+  }
+
+  // View of one selection set for PivotExtractor.extractPivotData
+  forSet(index) {
+    const set = this.getSet(index);
+    return {
+      nextRow: set.nextRow,
+      rows: set.rows,
+      save: (rows, nextRow) => this.savePage(index, rows, nextRow),
+    };
+  }
+
+  // Record a completed page: rows first, then the state that makes them count
+  savePage(index, rows, nextRow) {
+    if (rows.length > 0) {
+      fs.appendFileSync(this.rowsPath, rows.map(row => `${JSON.stringify({ set: index, row })}\n`).join(''), 'utf8');
+    }
+
+    if (!this.rowsBySet.has(index)) {
+      this.rowsBySet.set(index, []);
+    }
+    this.rowsBySet.get(index).push(...rows);
+
+    this.state.rowCount += rows.length;
+    this.state.sets[index] = { ...this.state.sets[index], nextRow, completed: false };
+    this.write();
+  }
+
+  // Mark a selection set as fully extracted
+  completeSet(index, metadata = null) {
+    this.state.sets[index] = {
+      ...this.state.sets[index],
+      nextRow: (this.state.sets[index] || {}).nextRow || 0,
+      completed: true,
+      extractedAt: new Date().toISOString(),
+      metadata,
+    };
+    this.write();
+  }
+
+  // Delete the checkpoint once the run has finished
+  remove() {
+    fs.rmSync(this.filePath, { force: true });
+    fs.rmSync(this.rowsPath, { force: true });
+  }
+}
+
+module.exports = Checkpoint;
@@ -0,0 +1,715 @@
+const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const QlikPivotDataExtractor = require('./index');
+const AppExplorer = require('./app-explorer');
+const JobSpec = require('./job-spec');
+const JobRunner = require('./job-runner');
+const BalanceReconciler = require('./balance-reconciler');
+const SnapshotDiff = require('./snapshot-diff');
+const Scheduler = require('./scheduler');
+const RunHistory = require('./run-history');
+const ApiServer = require('./api-server');
+const CertificateCheck = require('./certificate-check');
+const ConnectionProfiles = require('./connection-profiles');
+const PivotExtractor = require('./pivot-extractor');
+const Logger = require('./logger');
+const { EXIT_CODES, ConfigurationError, ExtractorError } = require('./errors');
+
+const log = new Logger('cli');
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+
+Commands:
+  extract                 Extract an existing object (--object) or a cube from a job file (--job)
+  objects                 List sheets, objects and containers
+  fields [field]          List fields, or the values of one field
+                          (--search <text> finds fields by name, --value <v> checks a value)
+  describe <objectId>     Show dimensions, measures and size of an object
+  reconcile               Check that closing balances of month N equal opening balances of N+1
+                          (job from --job, default jobs/clean-pivot.json)
+  diff <before> <after>   Compare two JSON outputs: added/removed members and changed values
+  schedule [file]         Run the jobs of a schedule file on their cron expressions until stopped
+                          (--run <entry> runs one entry once and exits)
+  history                 Show recent scheduled runs (--job <entry>, --limit <n>)
+  serve                   Start the HTTP API (--port, default QLIK_API_PORT or 3000; --bind, default 127.0.0.1)
+  check-certs             Check the client certificate, key and root CA in QLIK_CERTIFICATES_PATH
+                          (--days <n> warns that many days before expiry, default 30)
+
+Options:
+  --profile <name>        Connection profile from profiles.json (QLIK_PROFILES_FILE): "prod" runs every
+                          app of prod, "prod:north,south" the named apps; repeatable. Without a
+                          profiles file, loads connection settings from .env.<name>
+  --app <id>              App ID (overrides QLIK_APP_ID)
+  --host <host>           Engine host (overrides QLIK_ENGINE_HOST)
+  --select <selection>    Field selection, repeatable:
+                            Field=Value, Field=A,B (several values),
+                            Field~pattern (search), Field!=A,B (all except)
+  --job <file>            Job file describing the cube to extract
+  --object <id>           Object to extract
+  --container <id>        Container holding the object
+  --out <file>            Output file
+  --format <format>       Output format: json, csv, xlsx or sqlite (with --stream json, csv or ndjson)
+  --table <name>          SQLite table (default: job name, or pivot_data)
+  --stream                Write each page straight to the output files (large extracts)
+  --gzip                  Compress streamed output (.gz)
+  --delimiter <char>      CSV delimiter (default ",", use ";" for Russian Excel)
+  --decimal <char>        CSV decimal separator (default ".")
+  --bom                   Start CSV files with a UTF-8 byte order mark
+  --quote <policy>        CSV quoting: minimal, all, nonnumeric or none
+  --measure-values <mode> CSV measure cells: number, text (formatted) or both
+  --expand [all|<n>]      Expand the pivot nodes before extracting: all levels, or down to level n
+                          (the saved expansion is restored afterwards)
+  --hierarchy             Add the pivot hierarchy with subtotals to JSON output (with --object)
+  --shape <long|wide>     Reshape json, csv and xlsx outputs: long (one row per measure, with
+                          measure and value columns) or wide (the members of --by as columns)
+  --by <dimension>        Dimension whose members become columns (with --shape wide)
+  --validate              Check begin + received − issued = end on every row (with --job)
+  --resume                Continue an interrupted run from its checkpoint (with --job)
+  --page-size <n>         Rows per page
+  --max-pages <n>         Maximum number of pages
+  --concurrency <n>       Data requests in flight at once (default 2)
+  --limit <n>             Number of field values to list (default 100)
+  --search <text>         Field name search (substring and fuzzy match)
+  --value <value>         Check that a value exists in the field, suggest close values
+  --periods <a,b,...>     Periods to reconcile (default: the selected period and the next one)
+  --months <n>            Number of consecutive periods from the selected one (default 2)
+  --tolerance <x>         Largest difference that is not a break (default 0.01)
+  --report <file>         Reconciliation report, .json or .csv (default <job>.reconciliation.json)
+  --keys <a,b,...>        diff: columns that identify a row (default: the dimension columns)
+  --min-delta <x>         diff: ignore changes up to this absolute value
+  --min-percent <p>       diff: ignore changes below this percentage
+  --record <file>         Save every engine request and response to a cassette file
+  --replay <file>         Answer engine requests from a cassette instead of connecting
+  --simulate <csv>        Run against a local simulated engine that uses the CSV table as the app data
+  --history <file>        Run history log (default run-history.ndjson)
+  --certs <dir>           check-certs: certificate directory (default QLIK_CERTIFICATES_PATH)
+  --quiet                 Only print warnings and errors (QLIK_LOG_LEVEL=warn)
+  --verbose               Also print debug messages (QLIK_LOG_LEVEL=debug)
+  --log-format <format>   Log lines as text (default) or json, one JSON object per line
+  --help                  Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage/configuration, 3 connection,
+  4 selection, 5 extraction, 6 some selection sets failed, 7 balance breaks found`;
+
+// Flags that may be given more than once
+const REPEATABLE_FLAGS = ['select', 'profile'];
+
+class CommandLineInterface {
+  constructor(argv) {
+    this.argv = argv;
+    // Profile/app targets selected with --profile from the profiles file
+    this.targets = [];
+  }
+
+  // Split argv into command, positional arguments and flags
+  static parseArgs(argv) {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (!arg.startsWith('--')) {
+        positionals.push(arg);
+        continue;
+      }
+
+      let name = arg.slice(2);
+      let value = true;
+      const equalsIndex = name.indexOf('=');
+
+      if (equalsIndex !== -1) {
+        value = name.slice(equalsIndex + 1);
+        name = name.slice(0, equalsIndex);
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        value = argv[++i];
+      }
+
+      if (REPEATABLE_FLAGS.includes(name)) {
+        flags[name] = [...(flags[name] || []), value];
+      } else {
+        flags[name] = value;
+      }
+    }
+
+    return {
+      command: positionals.shift(),
+      positionals,
+      flags,
+    };
+  }
+
+  // Parse a --select value into a FieldSelector selection
+  static parseSelection(text) {
+    const match = /^(.+?)(!=|~|=)(.*)$/.exec(text);
+    if (!match) {
+      throw new ConfigurationError(`Invalid selection "${text}", expected Field=Value, Field~pattern or Field!=Value`);
+    }
+
+    const [, fieldName, operator, rawValue] = match;
+    const values = rawValue.split(',').map(value => value.trim()).filter(value => value !== '');
+
+    if (operator === '~') {
+      return { fieldName: fieldName.trim(), search: rawValue };
+    }
+    if (operator === '!=') {
+      return { fieldName: fieldName.trim(), exclude: values };
+    }
+    return values.length > 1
+      ? { fieldName: fieldName.trim(), values }
+      : { fieldName: fieldName.trim(), value: rawValue.trim() };
+  }
+
+  // Parse a positive integer flag
+  static parseInteger(value, flagName) {
+    if (value === undefined) {
+      return undefined;
+    }
+    const number = parseInt(value, 10);
+    if (!Number.isInteger(number) || number <= 0) {
+      throw new ConfigurationError(`--${flagName} must be a positive integer`);
+    }
+    return number;
+  }
+
+  // Parse a non-negative number flag
+  static parseNumber(value, flagName) {
+    if (value === undefined) {
+      return undefined;
+    }
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new ConfigurationError(`--${flagName} must be a non-negative number`);
+    }
+    return number;
+  }
+
+  // Select targets from the profiles file, or load .env.<profile> over the default environment
+  loadProfile(profiles) {
+    if (!profiles) {
+      return;
+    }
+
+    const selectors = [].concat(profiles).map(String);
+    const profilesPath = ConnectionProfiles.getPath();
+    const connectionProfiles = ConnectionProfiles.exists(profilesPath) ? ConnectionProfiles.load(profilesPath) : null;
+    const profilePath = path.resolve(`.env.${selectors[0]}`);
+
+    // A single name that is not in the profiles file keeps loading .env.<profile>
+    const isEnvProfile = selectors.length === 1 && !selectors[0].includes(':')
+      && !(connectionProfiles && connectionProfiles.has(selectors[0])) && fs.existsSync(profilePath);
+
+    if (!isEnvProfile) {
+      if (!connectionProfiles) {
+        throw new ConfigurationError(`Profile "${selectors.join('", "')}" not found (expected ${profilesPath} or ${profilePath})`);
+      }
+      this.targets = connectionProfiles.resolveTargets(selectors);
+      log.info(`Using profiles from ${profilesPath}: ${this.targets.map(target => target.tag).join(', ')}`);
+      return;
+    }
+
+    dotenv.config({ path: profilePath, override: true });
+    log.info(`Using profile "${selectors[0]}" (${profilePath})`);
+  }
+
+  // Output list and format from --out/--format
+  resolveOutputs(flags, defaultBaseName) {
+    const format = flags.format;
+    const formats = flags.stream ? ['json', 'csv', 'ndjson'] : ['json', 'csv', 'xlsx', 'sqlite'];
+    if (format && !formats.includes(format)) {
+      throw new ConfigurationError(`Unsupported format "${format}"`);
+    }
+
+    if (flags.out) {
+      return { outputs: [flags.out], format };
+    }
+    if (format) {
+      return { outputs: [`${defaultBaseName}.${format}`], format };
+    }
+    return { outputs: undefined, format };
+  }
+
+  // The profile target of commands that work on a single app
+  getSingleTarget() {
+    if (this.targets.length > 1) {
+      throw new ConfigurationError(`This command works on one app, the profiles select ${this.targets.length}: ${this.targets.map(target => target.tag).join(', ')}`);
+    }
+    return this.targets[0] || null;
+  }
+
+  // Connection settings of a profile target under the flags, which take precedence
+  applyTarget(overrides, target) {
+    if (!target) {
+      return overrides;
+    }
+    Object.entries(target.config).forEach(([key, value]) => {
+      if (overrides[key] === undefined) {
+        overrides[key] = value;
+      }
+    });
+    overrides.outputTag = target.tag;
+    return overrides;
+  }
+
+  // Configuration overrides shared by all commands
+  buildOverrides(flags, target = this.getSingleTarget()) {
+    return this.applyTarget({
+      appId: flags.app,
+      engineHost: flags.host,
+      selections: flags.select ? flags.select.map(text => CommandLineInterface.parseSelection(text)) : undefined,
+      containerId: flags.container,
+      pivotObjectId: flags.object,
+      pageSize: CommandLineInterface.parseInteger(flags['page-size'], 'page-size'),
+      maxPages: CommandLineInterface.parseInteger(flags['max-pages'], 'max-pages'),
+      concurrency: CommandLineInterface.parseInteger(flags.concurrency, 'concurrency'),
+      expandPivot: flags.expand !== undefined ? PivotExtractor.parseExpand(flags.expand) : undefined,
+      pivotHierarchy: flags.hierarchy ? true : undefined,
+      outputShape: flags.shape,
+      wideBy: flags.by,
+      csvOptions: this.buildCsvOptions(flags),
+      sqliteTable: flags.table,
+      recordTraffic: flags.record,
+      replayTraffic: flags.replay,
+      simulateCsv: flags.simulate,
+    }, target);
+  }
+
+  // CSV options from the flags; only the given ones override the configuration
+  buildCsvOptions(flags) {
+    const csvOptions = {
+      delimiter: flags.delimiter === '\\t' ? '\t' : flags.delimiter,
+      decimalSeparator: flags.decimal,
+      bom: flags.bom ? true : undefined,
+      quote: flags.quote,
+      measureValues: flags['measure-values'],
+    };
+
+    Object.keys(csvOptions).forEach(key => {
+      if (csvOptions[key] === undefined) {
+        delete csvOptions[key];
+      }
+    });
+
+    return Object.keys(csvOptions).length > 0 ? csvOptions : undefined;
+  }
+
+  // Run a callback with a connected extractor, always shutting down afterwards
+  async withExtractor(overrides, options, callback) {
+    const extractor = new QlikPivotDataExtractor(overrides, options);
+
+    try {
+      await extractor.initialize();
+      return await callback(extractor);
+    } finally {
+      await extractor.shutdown();
+    }
+  }
+
+  // Print a result either as JSON or through a text printer
+  print(result, flags, printText) {
+    if (flags.format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printText(result);
+    }
+  }
+
+  // Load a job file and apply the connection, selection and paging flags
+  loadJobSpec(jobPath, overrides) {
+    const spec = JobSpec.load(jobPath);
+    Object.assign(spec.connection, ConnectionProfiles.pickConnection(overrides));
+    if (overrides.outputTag) spec.outputTag = overrides.outputTag;
+    if (overrides.recordTraffic) spec.connection.recordTraffic = overrides.recordTraffic;
+    if (overrides.replayTraffic) spec.connection.replayTraffic = overrides.replayTraffic;
+    if (overrides.simulateCsv) spec.connection.simulateCsv = overrides.simulateCsv;
+    if (overrides.selections) spec.selections = overrides.selections;
+    if (overrides.pageSize) spec.pageSize = overrides.pageSize;
+    if (overrides.maxPages) spec.maxPages = overrides.maxPages;
+    if (overrides.concurrency) spec.concurrency = overrides.concurrency;
+    return spec;
+  }
+
+  // extract: run a job file cube or an existing object, once per app of the selected profiles
+  async commandExtract(positionals, flags) {
+    if (this.targets.length <= 1) {
+      return await this.extractTarget(flags, this.targets[0] || null);
+    }
+
+    // One app failing does not stop the others
+    const results = [];
+    for (const target of this.targets) {
+      log.info(`\n🌐 Profile ${target.profile}${target.app ? `, app ${target.app}` : ''}`);
+      try {
+        results.push({ target, exitCode: await this.extractTarget(flags, target) });
+      } catch (error) {
+        log.error(`❌ ${target.tag} failed:`, error.message);
+        results.push({ target, exitCode: error.exitCode || EXIT_CODES.UNEXPECTED, error });
+      }
+    }
+
+    log.info('\n🌐 Profile runs:');
+    results.forEach(({ target, exitCode, error }) => {
+      log.info(`${exitCode === EXIT_CODES.SUCCESS ? '✅' : '❌'} ${target.tag}${error ? `: ${error.message}` : ` (exit code ${exitCode})`}`);
+    });
+
+    const failed = results.filter(result => result.exitCode !== EXIT_CODES.SUCCESS);
+    if (failed.length === 0) {
+      return EXIT_CODES.SUCCESS;
+    }
+    return failed.length === results.length ? failed[0].exitCode : EXIT_CODES.PARTIAL;
+  }
+
+  // Extract for one profile target (or the plain configuration without profiles)
+  async extractTarget(flags, target) {
+    const overrides = this.buildOverrides(flags, target);
+
+    if (flags.job) {
+      const spec = this.loadJobSpec(flags.job, overrides);
+      if (flags.validate && !spec.validation) {
+        spec.validation = {};
+      }
+
+      const { outputs, format } = this.resolveOutputs(flags, spec.name);
+      if (outputs) {
+        spec.outputs = outputs.map(outputPath => ({ path: outputPath, format }));
+      }
+      if (overrides.sqliteTable) {
+        spec.outputs.forEach(output => {
+          output.table = overrides.sqliteTable;
+        });
+      }
+      if (overrides.csvOptions) {
+        spec.outputs.forEach(output => {
+          output.csv = { ...output.csv, ...overrides.csvOptions };
+        });
+      }
+      if (overrides.outputShape || overrides.wideBy) {
+        spec.applyShape(overrides.outputShape, overrides.wideBy);
+      }
+
+      const result = await new JobRunner(spec, { resume: flags.resume === true }).run();
+      return result.failures.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+    }
+
+    if (flags.resume) {
+      throw new ConfigurationError('--resume needs --job <file>: only job runs write checkpoints');
+    }
+    if (!flags.object && !process.env.QLIK_PIVOT_OBJECT_ID) {
+      throw new ConfigurationError('extract needs --job <file> or --object <id>');
+    }
+
+    const { outputs, format } = this.resolveOutputs(flags, 'pivot_data');
+    const extractor = new QlikPivotDataExtractor({
+      ...overrides,
+      outputs,
+      outputFormat: format,
+      streamOutput: flags.stream ? true : undefined,
+      gzipOutput: flags.gzip ? true : undefined,
+    });
+    await extractor.run();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // objects: list sheets, their objects and containers
+  async commandObjects(positionals, flags) {
+    return await this.withExtractor(this.buildOverrides(flags), { requireObject: false }, async (extractor) => {
+      const explorer = new AppExplorer(extractor.sessionManager.getDoc());
+      const result = await explorer.listObjects();
+
+      this.print(result, flags, ({ sheets, containers, others }) => {
+        console.log('\n=== SHEETS ===');
+        sheets.forEach(sheet => {
+          console.log(`${sheet.id}  ${sheet.title}`);
+          sheet.children.forEach(child => {
+            console.log(`  - ${child.id}  [${child.type}]  ${child.title}`);
+          });
+        });
+
+        console.log('\n=== CONTAINERS ===');
+        containers.forEach(container => {
+          console.log(`${container.id}  [${container.type}]  ${container.title}`);
+          container.children.forEach(child => {
+            console.log(`  - ${child.id}  [${child.type}]  ${child.title}`);
+          });
+        });
+
+        console.log('\n=== OTHER OBJECTS ===');
+        others.forEach(object => {
+          console.log(`${object.id}  [${object.type}]`);
+        });
+      });
+
+      return EXIT_CODES.SUCCESS;
+    });
+  }
+
+  // fields: list fields, or values of one field
+  async commandFields(positionals, flags) {
+    const [fieldName] = positionals;
+    const limit = CommandLineInterface.parseInteger(flags.limit, 'limit') || 100;
+
+    return await this.withExtractor(this.buildOverrides(flags), { requireObject: false }, async (extractor) => {
+      const explorer = new AppExplorer(extractor.sessionManager.getDoc());
+
+      if (flags.search) {
+        const result = await extractor.fieldDebugger.searchFields(String(flags.search), { limit });
+        this.print(result, flags, (fields) => {
+          console.log(`\n=== FIELDS MATCHING "${flags.search}" (${fields.length}) ===`);
+          fields.forEach(field => {
+            const kind = field.score === 1 ? 'contains' : `similar ${(field.score * 100).toFixed(0)}%`;
+            console.log(`  ${field.name}  (${field.cardinality} values, ${kind})`);
+          });
+        });
+      } else if (fieldName && flags.value !== undefined) {
+        const result = await extractor.fieldDebugger.debugFieldSelection(fieldName, String(flags.value));
+        if (flags.format === 'json') {
+          console.log(JSON.stringify(result, null, 2));
+        }
+        if (!result || !result.fieldExists || !result.valueExists) {
+          return EXIT_CODES.SELECTION;
+        }
+      } else if (fieldName) {
+        const result = await explorer.listFieldValues(fieldName, { limit });
+        this.print(result, flags, ({ field, total, values }) => {
+          console.log(`\n=== ${field}: ${total} values (showing ${values.length}) ===`);
+          values.forEach(value => {
+            console.log(`  [${value.state}] ${value.text}`);
+          });
+        });
+      } else {
+        const result = await explorer.listFields();
+        this.print(result, flags, (fields) => {
+          console.log(`\n=== FIELDS (${fields.length}) ===`);
+          fields.forEach(field => {
+            console.log(`  ${field.name}  (${field.cardinality} values)`);
+          });
+        });
+      }
+
+      return EXIT_CODES.SUCCESS;
+    });
+  }
+
+  // describe: dimensions, measures and size of one object
+  async commandDescribe(positionals, flags) {
+    const [objectId] = positionals;
+    if (!objectId) {
+      throw new ConfigurationError('describe needs an object ID');
+    }
+
+    return await this.withExtractor(this.buildOverrides(flags), { requireObject: false }, async (extractor) => {
+      const explorer = new AppExplorer(extractor.sessionManager.getDoc());
+      const result = await explorer.describeObject(objectId);
+
+      this.print(result, flags, (description) => {
+        console.log(`\n=== ${description.id} ===`);
+        console.log(`Type: ${description.type}`);
+        console.log(`Title: ${description.title || 'No title'}`);
+        if (description.size) {
+          console.log(`Mode: ${description.mode}`);
+          console.log(`Size: ${description.size.rows} rows × ${description.size.columns} columns`);
+          console.log('Dimensions:');
+          description.dimensions.forEach(dim => {
+            console.log(`  - ${dim.title} (${dim.cardinality} values)`);
+          });
+          console.log('Measures:');
+          description.measures.forEach(measure => {
+            console.log(`  - ${measure.title}`);
+          });
+        }
+        if (description.children) {
+          console.log('Children:');
+          description.children.forEach(child => {
+            console.log(`  - ${child.id} [${child.type}]`);
+          });
+        }
+      });
+
+      return EXIT_CODES.SUCCESS;
+    });
+  }
+
+  // reconcile: compare closing balances of each period with opening balances of the next
+  async commandReconcile(positionals, flags) {
+    const spec = this.loadJobSpec(flags.job || 'jobs/clean-pivot.json', this.buildOverrides(flags));
+    const reconciler = new BalanceReconciler(spec, {
+      periods: flags.periods ? String(flags.periods).split(',').map(period => period.trim()) : undefined,
+      months: CommandLineInterface.parseInteger(flags.months, 'months'),
+      tolerance: CommandLineInterface.parseNumber(flags.tolerance, 'tolerance'),
+    });
+
+    const report = await reconciler.run();
+    await BalanceReconciler.writeReport(report, flags.report || `${spec.name}.reconciliation.json`);
+
+    return report.breaks.length > 0 ? EXIT_CODES.BALANCE_BREAKS : EXIT_CODES.SUCCESS;
+  }
+
+  // diff: compare two snapshots and optionally save the delta (--out .json or .csv)
+  async commandDiff(positionals, flags) {
+    const [beforePath, afterPath] = positionals;
+    if (!beforePath || !afterPath) {
+      throw new ConfigurationError('diff needs two files: diff <before> <after>');
+    }
+
+    const differ = new SnapshotDiff({
+      keyColumns: flags.keys ? String(flags.keys).split(',').map(key => key.trim()) : undefined,
+      minDelta: CommandLineInterface.parseNumber(flags['min-delta'], 'min-delta'),
+      minPercent: CommandLineInterface.parseNumber(flags['min-percent'], 'min-percent'),
+    });
+
+    const diff = differ.compare(
+      await SnapshotDiff.loadSnapshot(beforePath),
+      await SnapshotDiff.loadSnapshot(afterPath)
+    );
+
+    this.print(diff, flags, result => differ.printSummary(result));
+    if (flags.out) {
+      await SnapshotDiff.writeDelta(diff, flags.out);
+    }
+
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // schedule: run jobs on their cron expressions until SIGINT/SIGTERM
+  async commandSchedule(positionals, flags) {
+    const scheduler = Scheduler.load(positionals[0] || 'schedule.json');
+
+    if (flags.run) {
+      const record = await scheduler.runNow(flags.run);
+      if (record.status === 'failed') {
+        return record.exitCode || EXIT_CODES.UNEXPECTED;
+      }
+      return record.status === 'success' ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+    }
+
+    const stop = () => scheduler.stop();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    await scheduler.start();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // history: recent runs from the run history log
+  async commandHistory(positionals, flags) {
+    const history = new RunHistory(flags.history || 'run-history.ndjson');
+    const entries = history.read({
+      job: flags.job,
+      limit: CommandLineInterface.parseInteger(flags.limit, 'limit') || 20,
+    });
+
+    this.print(entries, flags, items => {
+      if (items.length === 0) {
+        console.log(`No runs recorded in ${history.filePath}`);
+        return;
+      }
+
+      const icons = { success: '✅', partial: '⚠️', failed: '❌', skipped: '⏭️' };
+      items.forEach(item => {
+        const duration = item.durationMs !== undefined ? ` in ${(item.durationMs / 1000).toFixed(1)}s` : '';
+        const rows = item.rows !== undefined ? `, ${item.rows} rows` : '';
+        console.log(`${icons[item.status] || '•'} ${item.startedAt} ${item.job}: ${item.status}${duration}${rows}`);
+        if (item.error) {
+          console.log(`    ${item.error}`);
+        }
+        (item.outputs || []).forEach(output => console.log(`    → ${output}`));
+      });
+    });
+
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // check-certs: validate the certificate files without connecting
+  async commandCheckCerts(positionals, flags) {
+    const check = new CertificateCheck(flags.certs || process.env.QLIK_CERTIFICATES_PATH, {
+      warnDays: CommandLineInterface.parseInteger(flags.days, 'days'),
+    });
+    const report = check.run();
+
+    this.print(report, flags, result => check.printReport(result));
+    return report.errors > 0 ? EXIT_CODES.CONFIGURATION : EXIT_CODES.SUCCESS;
+  }
+
+  // serve: HTTP API over a warm engine session until SIGINT/SIGTERM
+  async commandServe(positionals, flags) {
+    const server = new ApiServer({
+      port: CommandLineInterface.parseInteger(flags.port, 'port') || parseInt(process.env.QLIK_API_PORT, 10) || 3000,
+      host: flags.bind || process.env.QLIK_API_HOST,
+      overrides: this.applyTarget({
+        appId: flags.app,
+        engineHost: flags.host,
+        pageSize: CommandLineInterface.parseInteger(flags['page-size'], 'page-size'),
+        maxPages: CommandLineInterface.parseInteger(flags['max-pages'], 'max-pages'),
+        concurrency: CommandLineInterface.parseInteger(flags.concurrency, 'concurrency'),
+        recordTraffic: flags.record,
+        replayTraffic: flags.replay,
+        simulateCsv: flags.simulate,
+      }, this.getSingleTarget()),
+    });
+
+    await server.start();
+
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+
+    log.info('\n🛑 Stopping API...');
+    await server.stop();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Dispatch to the command and map errors to exit codes
+  async run() {
+    const { command, positionals, flags } = CommandLineInterface.parseArgs(this.argv);
+
+    if (!command || flags.help) {
+      console.log(USAGE);
+      return command || flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.CONFIGURATION;
+    }
+
+    const commands = {
+      extract: this.commandExtract,
+      reconcile: this.commandReconcile,
+      diff: this.commandDiff,
+      schedule: this.commandSchedule,
+      history: this.commandHistory,
+      serve: this.commandServe,
+      objects: this.commandObjects,
+      fields: this.commandFields,
+      describe: this.commandDescribe,
+      'check-certs': this.commandCheckCerts,
+    };
+
+    if (!commands[command]) {
+      console.error(`Unknown command "${command}"\n`);
+      console.log(USAGE);
+      return EXIT_CODES.CONFIGURATION;
+    }
+
+    try {
+      Logger.configure({
+        level: flags.quiet ? 'warn' : flags.verbose ? 'debug' : undefined,
+        format: flags['log-format'],
+      });
+      this.loadProfile(flags.profile);
+      return await commands[command].call(this, positionals, flags);
+    } catch (error) {
+      // The stack is logged once, here, and only for errors the extractor did not expect
+      log.error(`\n❌ ${command} failed:`, error instanceof ExtractorError ? error.message : error);
+      return error.exitCode || EXIT_CODES.UNEXPECTED;
+    }
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+  new CommandLineInterface(process.argv.slice(2)).run()
+    .then((exitCode) => {
+      process.exit(exitCode);
+    });
+}
+
+module.exports = CommandLineInterface;
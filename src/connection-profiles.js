@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('./errors');
+
+// Connection settings a profile may set (the SessionManager configuration keys)
+const CONNECTION_KEYS = [
+  'engineHost', 'enginePort', 'authMethod', 'userDirectory', 'userId', 'certificatesPath',
+  'apiKey', 'jwtToken', 'tlsVerify', 'tlsServerName', 'tlsFingerprint',
+];
+
+// Settings that may only be environment references, so the file never holds a secret
+const SECRET_KEYS = {
+  apiKey: 'QLIK_API_KEY',
+  jwtToken: 'QLIK_JWT_TOKEN',
+};
+
+const ENV_REFERENCE = /\$\{([A-Z0-9_]+)\}/gi;
+
+// Named connections from a profiles file: host, port, authentication and one app (appId)
+// or several (apps). Values may reference environment variables as ${NAME}
+class ConnectionProfiles {
+  constructor(profiles, source = null) {
+    this.source = source;
+    this.profiles = profiles || {};
+
+    this.validate();
+  }
+
+  // Profiles file from QLIK_PROFILES_FILE, default profiles.json
+  static getPath() {
+    return path.resolve(process.env.QLIK_PROFILES_FILE || 'profiles.json');
+  }
+
+  static exists(filePath = ConnectionProfiles.getPath()) {
+    return fs.existsSync(path.resolve(filePath));
+  }
+
+  // Load a profiles file (.json, .yml or .yaml)
+  static load(filePath = ConnectionProfiles.getPath()) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      throw new ConfigurationError(`Profiles file not found: ${resolvedPath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf8');
+    const extension = path.extname(resolvedPath).toLowerCase();
+    let file;
+
+    try {
+      if (extension === '.yml' || extension === '.yaml') {
+        const yaml = require('js-yaml');
+        file = yaml.load(content);
+      } else {
+        file = JSON.parse(content);
+      }
+    } catch (error) {
+      throw new ConfigurationError(`Failed to parse profiles file ${resolvedPath}: ${error.message}`, error);
+    }
+
+    return new ConnectionProfiles((file || {}).profiles, resolvedPath);
+  }
+
+  // Add the target tag before the extension: stock.csv -> stock.prod.north.csv (also stock.csv.gz)
+  static tagPath(filePath, tag) {
+    if (!tag) {
+      return filePath;
+    }
+    const match = path.basename(filePath).match(/^(.+?)((\.[^.]+)(\.gz)?)?$/);
+    return path.join(path.dirname(filePath), `${match[1]}.${tag}${match[2] || ''}`);
+  }
+
+  // Settings of the overrides that belong to the connection
+  static pickConnection(overrides) {
+    const connection = {};
+    [...CONNECTION_KEYS, 'appId'].forEach(key => {
+      if (overrides[key] !== undefined) {
+        connection[key] = overrides[key];
+      }
+    });
+    return connection;
+  }
+
+  // Check every profile for unknown keys, app lists and secrets written into the file
+  validate() {
+    const errors = [];
+    const names = Object.keys(this.profiles);
+
+    if (names.length === 0) {
+      errors.push('at least one profile is required under "profiles"');
+    }
+
+    names.forEach(name => {
+      const profile = this.profiles[name] || {};
+
+      if (!/^[\w-]+$/.test(name)) {
+        errors.push(`profile "${name}": names may only use letters, digits, "_" and "-"`);
+      }
+      Object.keys(profile).forEach(key => {
+        if (!CONNECTION_KEYS.includes(key) && !['appId', 'apps', 'description'].includes(key)) {
+          errors.push(`profile "${name}": unknown setting "${key}"`);
+        }
+      });
+      Object.entries(SECRET_KEYS).forEach(([key, variable]) => {
+        if (profile[key] !== undefined && !/^\$\{[A-Z0-9_]+\}$/i.test(String(profile[key]))) {
+          errors.push(`profile "${name}": ${key} must be an environment reference such as "\${${variable}}", secrets are not stored in the profiles file`);
+        }
+      });
+
+      if (profile.appId && profile.apps) {
+        errors.push(`profile "${name}": use either appId or apps`);
+      }
+      if (profile.apps !== undefined) {
+        if (!Array.isArray(profile.apps) || profile.apps.length === 0) {
+          errors.push(`profile "${name}": apps must be a non-empty list`);
+        } else {
+          profile.apps.forEach((app, index) => {
+            const appId = typeof app === 'string' ? app : app && app.appId;
+            if (!appId) {
+              errors.push(`profile "${name}": apps[${index}] needs an appId`);
+            }
+          });
+        }
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ConfigurationError(`Invalid profiles file ${this.source || ''}: ${errors.join('; ')}`);
+    }
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, name);
+  }
+
+  // Apps of a profile as { name, appId }; the name tags outputs (null for a single appId)
+  getApps(name) {
+    const profile = this.profiles[name];
+    if (profile.apps) {
+      return profile.apps.map(app => (typeof app === 'string'
+        ? { name: app, appId: app }
+        : { name: app.name || app.appId, appId: app.appId }));
+    }
+    return [{ name: null, appId: profile.appId }];
+  }
+
+  // Connection settings of a profile with the environment references resolved
+  resolveConnection(name) {
+    const profile = this.profiles[name];
+    const unset = [];
+    const connection = {};
+
+    CONNECTION_KEYS.filter(key => profile[key] !== undefined).forEach(key => {
+      const value = profile[key];
+      connection[key] = typeof value !== 'string' ? value : value.replace(ENV_REFERENCE, (match, variable) => {
+        if (process.env[variable] === undefined) {
+          unset.push(variable);
+          return '';
+        }
+        return process.env[variable];
+      });
+    });
+
+    if (unset.length > 0) {
+      throw new ConfigurationError(`Profile "${name}" refers to unset environment variables: ${[...new Set(unset)].join(', ')}`);
+    }
+
+    return connection;
+  }
+
+  // Targets of one or more selectors: "prod" (every app of prod) or "prod:north,south"
+  // Each target is { profile, app, tag, config }
+  resolveTargets(selectors) {
+    const targets = [];
+
+    [].concat(selectors).forEach(selector => {
+      const [name, appList] = String(selector).split(':');
+      if (!this.has(name)) {
+        throw new ConfigurationError(`Profile "${name}" not found in ${this.source} (profiles: ${Object.keys(this.profiles).join(', ')})`);
+      }
+
+      const apps = this.getApps(name);
+      const wanted = appList ? appList.split(',').map(app => app.trim()) : null;
+      if (wanted) {
+        const unknown = wanted.filter(app => !apps.some(candidate => candidate.name === app || candidate.appId === app));
+        if (unknown.length > 0) {
+          throw new ConfigurationError(`Profile "${name}" has no app ${unknown.join(', ')} (apps: ${apps.map(app => app.name || app.appId).join(', ')})`);
+        }
+      }
+
+      const connection = this.resolveConnection(name);
+      apps
+        .filter(app => !wanted || wanted.includes(app.name) || wanted.includes(app.appId))
+        .forEach(app => {
+          targets.push({
+            profile: name,
+            app: app.name,
+            tag: app.name ? `${name}.${app.name}` : name,
+            config: { ...connection, ...(app.appId ? { appId: app.appId } : {}) },
+          });
+        });
+    });
+
+    return targets;
+  }
+
+  // The one target of a selector, for runs that work on a single app
+  resolveSingle(selector) {
+    const targets = this.resolveTargets(selector);
+    if (targets.length !== 1) {
+      throw new ConfigurationError(`Profile "${selector}" selects ${targets.length} apps; name one app, e.g. "${targets[0].profile}:${targets[0].app}"`);
+    }
+    return targets[0];
+  }
+}
+
+module.exports = ConnectionProfiles;
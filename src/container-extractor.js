@@ -1,3 +1,8 @@
+const { ExtractionError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('container-extractor');
+
 class ContainerExtractor {
   constructor(doc) {
     this.doc = doc;
@@ -6,12 +11,12 @@ class ContainerExtractor {
   // Get container object by ID
   async getContainer(containerId) {
     try {
-      console.log(`Getting container with ID: ${containerId}`);
+      log.info(`Getting container with ID: ${containerId}`);
       const container = await this.doc.getObject(containerId);
-      console.log('Container retrieved successfully');
+      log.info('Container retrieved successfully');
       return container;
     } catch (error) {
-      console.error(`Failed to get container ${containerId}:`, error);
+      log.error(`Failed to get container ${containerId}:`, error.message);
       throw error;
     }
   }
@@ -19,25 +24,25 @@ class ContainerExtractor {
   // Get container layout and analyze its structure
   async analyzeContainer(container) {
     try {
-      console.log('Analyzing container structure...');
+      log.info('Analyzing container structure...');
       const layout = await container.getLayout();
       
-      console.log('Container info:');
-      console.log(`- Type: ${layout.qInfo.qType}`);
-      console.log(`- Title: ${layout.title || layout.qMeta?.title || 'No title'}`);
+      log.info('Container info:');
+      log.info(`- Type: ${layout.qInfo.qType}`);
+      log.info(`- Title: ${layout.title || layout.qMeta?.title || 'No title'}`);
       
       // Look for child objects in the container
       if (layout.qChildList && layout.qChildList.qItems) {
-        console.log(`- Child objects: ${layout.qChildList.qItems.length}`);
+        log.info(`- Child objects: ${layout.qChildList.qItems.length}`);
         
         layout.qChildList.qItems.forEach((child, index) => {
-          console.log(`  ${index + 1}. ID: "${child.qInfo.qId}", Type: "${child.qInfo.qType}", Title: "${child.qData?.title || child.qMeta?.title || 'No title'}"`);
+          log.debug(`  ${index + 1}. ID: "${child.qInfo.qId}", Type: "${child.qInfo.qType}", Title: "${child.qData?.title || child.qMeta?.title || 'No title'}"`);
         });
       }
       
       return layout;
     } catch (error) {
-      console.error('Failed to analyze container:', error);
+      log.error('Failed to analyze container:', error.message);
       throw error;
     }
   }
@@ -45,7 +50,7 @@ class ContainerExtractor {
   // Find and get a specific child object within the container
   async getChildObject(container, childObjectId) {
     try {
-      console.log(`Looking for child object: ${childObjectId}`);
+      log.info(`Looking for child object: ${childObjectId}`);
       
       // First, analyze the container to see its children
       const layout = await this.analyzeContainer(container);
@@ -57,19 +62,19 @@ class ContainerExtractor {
       }
       
       if (childFound) {
-        console.log(`✅ Child object "${childObjectId}" found in container`);
+        log.info(`✅ Child object "${childObjectId}" found in container`);
       } else {
-        console.log(`⚠️ Child object "${childObjectId}" not found in container children list`);
-        console.log('Attempting direct access...');
+        log.info(`⚠️ Child object "${childObjectId}" not found in container children list`);
+        log.info('Attempting direct access...');
       }
       
       // Try to get the child object directly from the document
       const childObject = await this.doc.getObject(childObjectId);
-      console.log(`✅ Successfully retrieved child object: ${childObjectId}`);
+      log.info(`✅ Successfully retrieved child object: ${childObjectId}`);
       
       return childObject;
     } catch (error) {
-      console.error(`Failed to get child object ${childObjectId}:`, error);
+      log.error(`Failed to get child object ${childObjectId}:`, error.message);
       throw error;
     }
   }
@@ -81,7 +86,7 @@ class ContainerExtractor {
       const childObjects = [];
       
       if (layout.qChildList && layout.qChildList.qItems) {
-        console.log(`Retrieving ${layout.qChildList.qItems.length} child objects...`);
+        log.info(`Retrieving ${layout.qChildList.qItems.length} child objects...`);
         
         for (const child of layout.qChildList.qItems) {
           try {
@@ -91,16 +96,16 @@ class ContainerExtractor {
               type: child.qInfo.qType,
               object: childObj
             });
-            console.log(`✅ Retrieved: ${child.qInfo.qId} (${child.qInfo.qType})`);
+            log.info(`✅ Retrieved: ${child.qInfo.qId} (${child.qInfo.qType})`);
           } catch (error) {
-            console.log(`❌ Failed to retrieve: ${child.qInfo.qId} - ${error.message}`);
+            log.info(`❌ Failed to retrieve: ${child.qInfo.qId} - ${error.message}`);
           }
         }
       }
       
       return childObjects;
     } catch (error) {
-      console.error('Failed to get child objects:', error);
+      log.error('Failed to get child objects:', error.message);
       throw error;
     }
   }
@@ -108,9 +113,9 @@ class ContainerExtractor {
   // Specialized method to extract pivot table from container
   async extractPivotFromContainer(containerId, pivotObjectId) {
     try {
-      console.log('=== CONTAINER-BASED PIVOT EXTRACTION ===');
-      console.log(`Container ID: ${containerId}`);
-      console.log(`Target Pivot ID: ${pivotObjectId}`);
+      log.info('=== CONTAINER-BASED PIVOT EXTRACTION ===');
+      log.info(`Container ID: ${containerId}`);
+      log.info(`Target Pivot ID: ${pivotObjectId}`);
       
       // Step 1: Get the container
       const container = await this.getContainer(containerId);
@@ -123,28 +128,28 @@ class ContainerExtractor {
       
       // Step 4: Verify it's a pivot table
       const pivotLayout = await pivotObject.getLayout();
-      console.log('\nPivot object details:');
-      console.log(`- Type: ${pivotLayout.qInfo.qType}`);
-      console.log(`- Title: ${pivotLayout.title || pivotLayout.qMeta?.title || 'No title'}`);
+      log.info('\nPivot object details:');
+      log.info(`- Type: ${pivotLayout.qInfo.qType}`);
+      log.info(`- Title: ${pivotLayout.title || pivotLayout.qMeta?.title || 'No title'}`);
       
       if (pivotLayout.qHyperCube) {
-        console.log('- Structure: HyperCube detected');
-        console.log(`- Dimensions: ${pivotLayout.qHyperCube.qDimensionInfo?.length || 0}`);
-        console.log(`- Measures: ${pivotLayout.qHyperCube.qMeasureInfo?.length || 0}`);
-        console.log(`- Data mode: ${pivotLayout.qHyperCube.qMode || 'N/A'}`);
-        console.log(`- Total rows: ${pivotLayout.qHyperCube.qSize?.qcy || 'N/A'}`);
+        log.info('- Structure: HyperCube detected');
+        log.info(`- Dimensions: ${pivotLayout.qHyperCube.qDimensionInfo?.length || 0}`);
+        log.info(`- Measures: ${pivotLayout.qHyperCube.qMeasureInfo?.length || 0}`);
+        log.info(`- Data mode: ${pivotLayout.qHyperCube.qMode || 'N/A'}`);
+        log.info(`- Total rows: ${pivotLayout.qHyperCube.qSize?.qcy || 'N/A'}`);
       }
       
       if (pivotLayout.qPivotTable) {
-        console.log('- Structure: Native pivot table detected');
+        log.info('- Structure: Native pivot table detected');
       }
       
-      console.log('✅ Container-based pivot extraction setup completed');
+      log.info('✅ Container-based pivot extraction setup completed');
       return pivotObject;
       
     } catch (error) {
-      console.error('Container-based pivot extraction failed:', error);
-      throw error;
+      log.error('Container-based pivot extraction failed:', error.message);
+      throw ExtractionError.from(error);
     }
   }
 }
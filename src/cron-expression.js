@@ -0,0 +1,131 @@
+const { ConfigurationError } = require('./errors');
+
+// Shorthands accepted instead of five fields
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Field order and ranges of a standard five-field expression
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+// Give up searching for the next run after this many minutes (about 5 years)
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+// Standard cron expressions (minute hour day-of-month month day-of-week), local time
+class CronExpression {
+  constructor(expression) {
+    this.expression = String(expression).trim();
+    const source = MACROS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new ConfigurationError(`Invalid cron expression "${this.expression}": expected 5 fields, got ${parts.length}`);
+    }
+
+    FIELDS.forEach((field, index) => {
+      this[field.name] = CronExpression.parseField(parts[index], field, this.expression);
+    });
+
+    // Sunday may be written as 0 or 7
+    if (this.dayOfWeek.has(7)) {
+      this.dayOfWeek.add(0);
+      this.dayOfWeek.delete(7);
+    }
+
+    // Classic cron: when both day fields are restricted, either one may match
+    this.dayOfMonthRestricted = parts[2] !== '*';
+    this.dayOfWeekRestricted = parts[4] !== '*';
+  }
+
+  // Parse one field (lists, ranges, steps and names) into the set of allowed values
+  static parseField(text, field, expression) {
+    const values = new Set();
+    const toNumber = (token) => {
+      const nameIndex = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+      const number = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(token);
+
+      if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new ConfigurationError(`Invalid ${field.name} "${token}" in cron expression "${expression}"`);
+      }
+      return number;
+    };
+
+    text.split(',').forEach(part => {
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+
+      if (!Number.isInteger(step) || step <= 0) {
+        throw new ConfigurationError(`Invalid step "${stepText}" in cron expression "${expression}"`);
+      }
+
+      let start;
+      let end;
+      if (range === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (range.includes('-')) {
+        const [from, to] = range.split('-');
+        start = toNumber(from);
+        end = toNumber(to);
+      } else {
+        start = toNumber(range);
+        end = stepText === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw new ConfigurationError(`Invalid range "${range}" in cron expression "${expression}"`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    });
+
+    return values;
+  }
+
+  // Whether the expression fires in the minute of the given date
+  matches(date) {
+    if (!this.minute.has(date.getMinutes()) || !this.hour.has(date.getHours()) || !this.month.has(date.getMonth() + 1)) {
+      return false;
+    }
+
+    const dayOfMonthMatches = this.dayOfMonth.has(date.getDate());
+    const dayOfWeekMatches = this.dayOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonthMatches || dayOfWeekMatches;
+    }
+    return dayOfMonthMatches && dayOfWeekMatches;
+  }
+
+  // First matching minute strictly after the given date
+  next(after = new Date()) {
+    const candidate = new Date(after.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+      if (this.matches(candidate)) {
+        return candidate;
+      }
+      candidate.setMinutes(candidate.getMinutes() + 1);
+    }
+
+    throw new ConfigurationError(`Cron expression "${this.expression}" never fires`);
+  }
+}
+
+module.exports = CronExpression;
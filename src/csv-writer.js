@@ -0,0 +1,177 @@
+const { ConfigurationError } = require('./errors');
+
+const QUOTE_POLICIES = ['minimal', 'all', 'nonnumeric', 'none'];
+const MEASURE_VALUE_MODES = ['number', 'text', 'both'];
+
+// Key of flat records holding the formatted text of each measure next to its number
+const RECORD_TEXTS = 'measureTexts';
+
+// RFC 4180 CSV serialization with the options Excel users need (delimiter, decimal separator, BOM)
+class CsvWriter {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+    this.decimalSeparator = options.decimalSeparator || '.';
+    this.bom = !!options.bom;
+    this.quote = options.quote || 'minimal';
+    this.lineEnding = options.lineEnding || '\r\n';
+    // 'number', 'text' or 'both', either for all measures or as { measureName: mode }
+    this.measureValues = options.measureValues || 'number';
+
+    if (!QUOTE_POLICIES.includes(this.quote)) {
+      throw new ConfigurationError(`Unknown CSV quote policy "${this.quote}" (use ${QUOTE_POLICIES.join(', ')})`);
+    }
+    if (this.delimiter === '"' || this.delimiter.length !== 1) {
+      throw new ConfigurationError(`Invalid CSV delimiter "${this.delimiter}"`);
+    }
+    if (this.delimiter === this.decimalSeparator) {
+      throw new ConfigurationError('CSV delimiter and decimal separator must differ');
+    }
+    const modes = typeof this.measureValues === 'string' ? [this.measureValues] : Object.values(this.measureValues);
+    modes.forEach(mode => {
+      if (!MEASURE_VALUE_MODES.includes(mode)) {
+        throw new ConfigurationError(`Unknown measure value mode "${mode}" (use ${MEASURE_VALUE_MODES.join(', ')})`);
+      }
+    });
+  }
+
+  // Keep the formatted measure texts ({ label: qText }) on a flat record
+  static setRecordTexts(record, texts) {
+    record[RECORD_TEXTS] = texts;
+    return record;
+  }
+
+  static getRecordText(record, column) {
+    const texts = record[RECORD_TEXTS];
+    return texts ? texts[column] : undefined;
+  }
+
+  // Mode for one measure column
+  getMeasureMode(measureName) {
+    if (typeof this.measureValues === 'string') {
+      return this.measureValues;
+    }
+    return this.measureValues[measureName] || 'number';
+  }
+
+  // Quote a field according to the policy, doubling embedded quotes
+  escapeField(value, isNumeric = false) {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    const needsQuotes = text.includes(this.delimiter) ||
+      text.includes('"') ||
+      text.includes('\n') ||
+      text.includes('\r');
+
+    let quote;
+    switch (this.quote) {
+      case 'all':
+        quote = true;
+        break;
+      case 'nonnumeric':
+        quote = !isNumeric || needsQuotes;
+        break;
+      case 'none':
+        quote = false;
+        break;
+      default:
+        quote = needsQuotes;
+    }
+
+    return quote ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Raw number with the configured decimal separator; non-numeric values become empty fields
+  formatNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number)) {
+      return '';
+    }
+    const text = String(number);
+    return this.decimalSeparator === '.' ? text : text.replace('.', this.decimalSeparator);
+  }
+
+  // Column list for formatted pivot data: dimensions as text, measures per measure mode
+  buildColumns(headers) {
+    const columns = [];
+
+    headers.forEach(header => {
+      if (header.type !== 'measure') {
+        columns.push({ label: header.name, key: header.name, source: 'text' });
+        return;
+      }
+
+      const mode = this.getMeasureMode(header.name);
+      if (mode === 'both') {
+        columns.push({ label: header.name, key: header.name, source: 'number' });
+        columns.push({ label: `${header.name} (text)`, key: header.name, source: 'text' });
+      } else {
+        columns.push({ label: header.name, key: header.name, source: mode });
+      }
+    });
+
+    return columns;
+  }
+
+  // Start of the file: optional BOM plus the header line
+  formatHeader(columns) {
+    const line = columns.map(column => this.escapeField(column.label)).join(this.delimiter) + this.lineEnding;
+    return this.bom ? `\uFEFF${line}` : line;
+  }
+
+  // One formatted row ({ index, data: { column: { text, number } } })
+  formatRow(columns, row) {
+    return columns.map(column => {
+      const cell = row.data[column.key];
+      if (!cell) {
+        return this.escapeField('');
+      }
+      if (column.source === 'number') {
+        return this.escapeField(this.formatNumber(cell.number), true);
+      }
+      return this.escapeField(cell.text);
+    }).join(this.delimiter) + this.lineEnding;
+  }
+
+  // Serialize formatted pivot data ({ headers, rows })
+  stringify(formattedData) {
+    const columns = this.buildColumns(formattedData.headers);
+    const lines = formattedData.rows.map(row => this.formatRow(columns, row));
+    return this.formatHeader(columns) + lines.join('');
+  }
+
+  // Serialize flat records ({ column: value }); numericColumns follow the measure mode,
+  // their text comes from the formatted texts of the record (the value when there is none)
+  stringifyRecords(records, headers, numericColumns = []) {
+    const columns = [];
+    headers.forEach(header => {
+      if (!numericColumns.includes(header)) {
+        columns.push({ label: header, key: header, source: 'value' });
+        return;
+      }
+
+      const mode = this.getMeasureMode(header);
+      if (mode === 'both') {
+        columns.push({ label: header, key: header, source: 'number' });
+        columns.push({ label: `${header} (text)`, key: header, source: 'text' });
+      } else {
+        columns.push({ label: header, key: header, source: mode });
+      }
+    });
+
+    const lines = records.map(record => columns.map(column => {
+      const value = record[column.key];
+      if (column.source === 'number' && typeof value === 'number') {
+        return this.escapeField(this.formatNumber(value), true);
+      }
+      if (column.source === 'text') {
+        const text = CsvWriter.getRecordText(record, column.key);
+        return this.escapeField(text !== undefined ? text : value);
+      }
+      return this.escapeField(value);
+    }).join(this.delimiter) + this.lineEnding);
+
+    return this.formatHeader(columns) + lines.join('');
+  }
+}
+
+module.exports = CsvWriter;
@@ -0,0 +1,71 @@
+// Process exit codes, so wrappers (cron, CI) can tell failure kinds apart
+const EXIT_CODES = {
+  SUCCESS: 0,
+  UNEXPECTED: 1,
+  CONFIGURATION: 2,
+  CONNECTION: 3,
+  SELECTION: 4,
+  EXTRACTION: 5,
+  PARTIAL: 6,
+  BALANCE_BREAKS: 7,
+};
+
+class ExtractorError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.exitCode = EXIT_CODES.UNEXPECTED;
+
+    if (cause) {
+      this.cause = cause;
+      if (cause.code !== undefined) {
+        this.code = cause.code;
+      }
+    }
+  }
+
+  // Wrap any error in this class, keeping errors that are already classified
+  static from(error) {
+    if (error instanceof ExtractorError) {
+      return error;
+    }
+    return new this(error.message, error);
+  }
+}
+
+class ConfigurationError extends ExtractorError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.exitCode = EXIT_CODES.CONFIGURATION;
+  }
+}
+
+class ConnectionError extends ExtractorError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.exitCode = EXIT_CODES.CONNECTION;
+  }
+}
+
+class SelectionError extends ExtractorError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.exitCode = EXIT_CODES.SELECTION;
+  }
+}
+
+class ExtractionError extends ExtractorError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.exitCode = EXIT_CODES.EXTRACTION;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  ExtractorError,
+  ConfigurationError,
+  ConnectionError,
+  SelectionError,
+  ExtractionError,
+};
@@ -0,0 +1,155 @@
+const FieldSelector = require('./field-selector');
+const FuzzyMatcher = require('./fuzzy-match');
+const Logger = require('./logger');
+
+const log = new Logger('field-debugger');
+
+// Readable names of the list object value states
+const STATE_NAMES = {
+  S: 'selected',
+  O: 'possible',
+  A: 'alternative',
+  X: 'excluded',
+  XS: 'excluded selected',
+  L: 'locked',
+  XL: 'excluded locked',
+};
+
+class FieldDebugger {
+  constructor(doc) {
+    this.doc = doc;
+    this.fieldSelector = new FieldSelector(doc);
+    this.fields = null;
+  }
+
+  // List all fields of the data model (cached for the lifetime of the debugger)
+  async listFields() {
+    if (!this.fields) {
+      this.fields = await this.fieldSelector.listFields();
+    }
+    return this.fields;
+  }
+
+  // Search field names by substring and fuzzy match, best matches first
+  async searchFields(query, options = {}) {
+    const { limit = 10, minScore = 0.5 } = options;
+    const fields = await this.listFields();
+    const lowerQuery = query.toLowerCase();
+
+    return fields
+      .map(field => ({
+        ...field,
+        score: field.name.toLowerCase().includes(lowerQuery) ? 1 : FuzzyMatcher.similarity(query, field.name),
+      }))
+      .filter(field => field.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Print the fields whose name contains (or resembles) the given text
+  async findFieldsContaining(text) {
+    const matches = await this.searchFields(text);
+
+    log.info(`\n🔎 Fields matching "${text}":`);
+    if (matches.length === 0) {
+      log.info('  (none)');
+    }
+    matches.forEach(field => {
+      const kind = field.score === 1 ? 'contains' : `similar ${(field.score * 100).toFixed(0)}%`;
+      log.info(`  - ${field.name} (${field.cardinality} values, ${kind})`);
+    });
+
+    return matches;
+  }
+
+  // Value counts per state and a sample of values with their states
+  async getFieldSummary(fieldName, options = {}) {
+    const { sampleSize = 20 } = options;
+
+    return await this.fieldSelector.withFieldListObject(fieldName, async (listObject) => {
+      const layout = await listObject.getLayout();
+      const sample = [];
+      const total = await this.fieldSelector.forEachValuePage(listObject, (cells) => {
+        sample.push(...cells.slice(0, sampleSize - sample.length));
+        return sample.length >= sampleSize;
+      });
+
+      return {
+        field: fieldName,
+        total,
+        stateCounts: layout.qListObject.qDimensionInfo?.qStateCounts || null,
+        sample: sample.map(cell => ({
+          text: cell.qText,
+          number: cell.qNum,
+          state: cell.qState,
+        })),
+      };
+    });
+  }
+
+  // Closest existing values of a field to the given value
+  async suggestValues(fieldName, value, options = {}) {
+    const { limit = 5 } = options;
+
+    return await this.fieldSelector.withFieldListObject(fieldName, async (listObject) => {
+      const values = await this.fieldSelector.getFieldValues(listObject);
+      return FuzzyMatcher.rank(value, values.map(cell => cell.qText), { limit });
+    });
+  }
+
+  // Explain whether a field/value selection can work, with suggestions when it cannot
+  async debugFieldSelection(fieldName, value) {
+    log.info(`\n🔍 Debugging selection ${fieldName} = ${value}`);
+
+    try {
+      const fields = await this.listFields();
+      const field = fields.find(item => item.name === fieldName);
+
+      if (!field) {
+        log.info(`  ❌ Field "${fieldName}" does not exist`);
+        const similar = await this.searchFields(fieldName, { limit: 5 });
+        if (similar.length > 0) {
+          log.info(`  Did you mean: ${similar.map(item => `"${item.name}"`).join(', ')}?`);
+        }
+        return { fieldExists: false, suggestions: similar.map(item => item.name) };
+      }
+
+      const summary = await this.getFieldSummary(fieldName);
+      log.info(`  ✅ Field exists with ${summary.total} values`);
+
+      if (summary.stateCounts) {
+        const counts = summary.stateCounts;
+        log.info(`  States: ${counts.qSelected} selected, ${counts.qOption} possible, ${counts.qAlternative} alternative, ${counts.qExcluded} excluded`);
+      }
+
+      log.info(`  Sample values (${summary.sample.length}):`);
+      summary.sample.forEach(item => {
+        log.info(`    [${STATE_NAMES[item.state] || item.state}] "${item.text}"`);
+      });
+
+      const matches = await this.suggestValues(fieldName, value);
+      const exactMatch = matches.some(match => match.value === String(value));
+
+      if (exactMatch) {
+        log.info(`  ✅ Value "${value}" exists`);
+      } else {
+        log.info(`  ❌ Value "${value}" not found`);
+        if (matches.length > 0) {
+          log.info(`  Did you mean: ${matches.map(match => `"${match.value}"`).join(', ')}?`);
+        }
+      }
+
+      return {
+        fieldExists: true,
+        valueExists: exactMatch,
+        summary,
+        suggestions: matches.map(match => match.value),
+      };
+    } catch (error) {
+      log.error(`Failed to debug field "${fieldName}":`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = FieldDebugger;
@@ -1,6 +1,67 @@
+const FuzzyMatcher = require('./fuzzy-match');
+const { SelectionError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('field-selector');
+
+// Number of list object rows fetched per getListObjectData call (width is 1, engine limit is 10000 cells)
+const VALUE_PAGE_SIZE = 10000;
+
 class FieldSelector {
   constructor(doc) {
     this.doc = doc;
+    // Selections of the last makeSelections call, re-applied after a reconnect
+    this.lastSelections = [];
+  }
+
+  // Check that a selection entry has exactly one supported selection kind
+  static validateSelection(selection) {
+    if (!selection || !selection.fieldName) {
+      return 'fieldName is required';
+    }
+
+    const kinds = ['value', 'values', 'search', 'range', 'exclude', 'mode'].filter(key => selection[key] !== undefined);
+
+    if (kinds.length !== 1) {
+      return `"${selection.fieldName}" needs exactly one of value, values, search, range, exclude or mode`;
+    }
+    if (selection.values !== undefined && (!Array.isArray(selection.values) || selection.values.length === 0)) {
+      return `"${selection.fieldName}" values must be a non-empty list`;
+    }
+    if (selection.exclude !== undefined && (!Array.isArray(selection.exclude) || selection.exclude.length === 0)) {
+      return `"${selection.fieldName}" exclude must be a non-empty list`;
+    }
+    if (selection.range !== undefined && (selection.range.min === undefined && selection.range.max === undefined)) {
+      return `"${selection.fieldName}" range needs min and/or max`;
+    }
+    if (selection.mode !== undefined && selection.mode !== 'excluded') {
+      return `"${selection.fieldName}" mode must be "excluded"`;
+    }
+
+    return null;
+  }
+
+  // Human readable form of a selection entry for logs and errors
+  static describeSelection(selection) {
+    const { fieldName } = selection;
+
+    if (selection.values !== undefined) {
+      return `${fieldName} in [${selection.values.join(', ')}]`;
+    }
+    if (selection.search !== undefined) {
+      return `${fieldName} ~ "${selection.search}"`;
+    }
+    if (selection.range !== undefined) {
+      const { min, max } = selection.range;
+      return `${fieldName} between ${min !== undefined ? min : '-∞'} and ${max !== undefined ? max : '∞'}`;
+    }
+    if (selection.exclude !== undefined) {
+      return `${fieldName} not in [${selection.exclude.join(', ')}]`;
+    }
+    if (selection.mode === 'excluded') {
+      return `${fieldName} = <excluded>`;
+    }
+    return `${fieldName} = ${selection.value}`;
   }
 
   // Create a list object for field values to enable selection
@@ -13,94 +74,336 @@ class FieldSelector {
         qDef: {
           qFieldDefs: [fieldName],
         },
+        // Values are paged through getFieldValues, no initial data needed
         qInitialDataFetch: [{
           qTop: 0,
           qLeft: 0,
-          qHeight: 1000, // Fetch up to 1000 values
+          qHeight: 0,
           qWidth: 1,
         }],
       },
     };
 
-    console.log(`Creating list object for field: ${fieldName}`);
+    log.debug(`Creating list object for field: ${fieldName}`);
     return await this.doc.createObject(properties);
   }
 
-  // Find the index of a specific value in a field's list object
-  async findValueIndex(listObject, targetValue) {
+  // Page through every value of a list object, calling onPage for each page of cells
+  async forEachValuePage(listObject, onPage) {
     const layout = await listObject.getLayout();
-    const dataPages = layout.qListObject.qDataPages;
-    
-    console.log(`DEBUG: Looking for value "${targetValue}" in list object`);
-    let globalIndex = 0;
-    
-    for (const page of dataPages) {
-      console.log(`DEBUG: Processing page with ${page.qMatrix.length} rows`);
-      for (let i = 0; i < page.qMatrix.length; i++) {
-        const cell = page.qMatrix[i][0];
-        console.log(`DEBUG: Index ${globalIndex}: "${cell.qText}" (elemNumber: ${cell.qElemNumber})`);
-        if (cell.qText === targetValue) {
-          console.log(`DEBUG: Found "${targetValue}" at globalIndex ${globalIndex}, elemNumber ${cell.qElemNumber}`);
+    const totalValues = layout.qListObject.qSize.qcy;
+
+    for (let top = 0; top < totalValues; top += VALUE_PAGE_SIZE) {
+      const pages = await listObject.getListObjectData('/qListObjectDef', [{
+        qTop: top,
+        qLeft: 0,
+        qHeight: Math.min(VALUE_PAGE_SIZE, totalValues - top),
+        qWidth: 1,
+      }]);
+
+      const cells = pages && pages[0] ? pages[0].qMatrix.map(row => row[0]) : [];
+      if (cells.length === 0) {
+        break;
+      }
+
+      // Returning true from onPage stops paging early
+      if (onPage(cells, top) === true) {
+        break;
+      }
+    }
+
+    return totalValues;
+  }
+
+  // Fetch all values of a list object
+  async getFieldValues(listObject) {
+    const values = [];
+    await this.forEachValuePage(listObject, (cells) => {
+      values.push(...cells);
+    });
+    return values;
+  }
+
+  // List the names and value counts of all fields in the data model
+  async listFields(options = {}) {
+    const { showSystem = false, showHidden = false } = options;
+    const fieldListObject = await this.doc.createSessionObject({
+      qInfo: { qType: 'FieldList' },
+      qFieldListDef: {
+        qShowSystem: showSystem,
+        qShowHidden: showHidden,
+        qShowDerivedFields: false,
+        qShowSemantic: true,
+        qShowSrcTables: true,
+      },
+    });
+
+    try {
+      const layout = await fieldListObject.getLayout();
+      return (layout.qFieldList?.qItems || []).map(item => ({
+        name: item.qName,
+        cardinality: item.qCardinal,
+        tags: item.qTags || [],
+        tables: item.qSrcTables || [],
+      }));
+    } finally {
+      await this.doc.destroySessionObject(fieldListObject.id);
+    }
+  }
+
+  // Build a "not found" error that suggests the closest field names
+  async createFieldNotFoundError(fieldName) {
+    let suggestions = [];
+
+    try {
+      const fields = await this.listFields();
+      if (fields.some(field => field.name === fieldName)) {
+        return new SelectionError(`Field "${fieldName}" has no values`);
+      }
+      suggestions = FuzzyMatcher.rank(fieldName, fields.map(field => field.name)).map(match => match.value);
+    } catch (error) {
+      log.error('Could not list fields for suggestions:', error.message);
+    }
+
+    const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.map(name => `"${name}"`).join(', ')}?` : '';
+    const error = new SelectionError(`Field "${fieldName}" not found.${hint}`);
+    error.suggestions = suggestions;
+    return error;
+  }
+
+  // Find the element numbers of several values in a field's list object
+  async findValueIndexes(listObject, targetValues, fieldName = null) {
+    const targets = targetValues.map(value => String(value));
+    const found = new Map();
+    const allTexts = [];
+
+    log.debug(`Looking for values [${targets.join(', ')}] in list object`);
+
+    const totalValues = await this.forEachValuePage(listObject, (cells, top) => {
+      log.debug(`Scanning values ${top} to ${top + cells.length - 1}`);
+      cells.forEach((cell, i) => {
+        allTexts.push(cell.qText);
+        if (targets.includes(cell.qText) && !found.has(cell.qText)) {
+          log.debug(`Found "${cell.qText}" at index ${top + i}, elemNumber ${cell.qElemNumber}`);
           // Use the element number instead of the row index
-          return cell.qElemNumber;
+          found.set(cell.qText, cell.qElemNumber);
         }
-        globalIndex++;
-      }
+      });
+      return found.size === targets.length;
+    });
+
+    const missing = targets.filter(value => !found.has(value));
+    if (missing.length === 0) {
+      return targets.map(value => found.get(value));
     }
-    
-    throw new Error(`Value "${targetValue}" not found in field`);
+
+    if (totalValues === 0 && fieldName) {
+      throw await this.createFieldNotFoundError(fieldName);
+    }
+
+    // Suggest the closest existing values for each missing one (e.g. "2025-янв" for "2025.01")
+    const suggestions = {};
+    missing.forEach(value => {
+      suggestions[value] = FuzzyMatcher.rank(value, allTexts).map(match => match.value);
+    });
+
+    const fieldText = fieldName ? ` in field "${fieldName}"` : ' in field';
+    const hints = missing
+      .filter(value => suggestions[value].length > 0)
+      .map(value => `${missing.length > 1 ? `"${value}": ` : ''}${suggestions[value].map(text => `"${text}"`).join(', ')}`);
+    const hint = hints.length > 0 ? ` Did you mean: ${hints.join('; ')}?` : '';
+    const sample = allTexts.length > 0 && hints.length === 0
+      ? ` Example values: ${allTexts.slice(0, 5).map(text => `"${text}"`).join(', ')}`
+      : '';
+
+    const message = missing.length === 1
+      ? `Value "${missing[0]}" not found${fieldText}.${hint}${sample}`
+      : `Values ${missing.map(value => `"${value}"`).join(', ')} not found${fieldText}.${hint}${sample}`;
+
+    const error = new SelectionError(message);
+    error.suggestions = suggestions;
+    throw error;
   }
 
-  // Select a specific value in a field
-  async selectFieldValue(fieldName, value) {
+  // Find the index of a specific value in a field's list object
+  async findValueIndex(listObject, targetValue, fieldName = null) {
+    const [elemNumber] = await this.findValueIndexes(listObject, [targetValue], fieldName);
+    return elemNumber;
+  }
+
+  // Run a selection against a temporary list object of the field
+  async withFieldListObject(fieldName, callback) {
+    const listObject = await this.createFieldListObject(fieldName);
+
     try {
-      console.log(`Selecting ${fieldName} = ${value}`);
-      
-      // Create list object for the field
-      const listObject = await this.createFieldListObject(fieldName);
-      
-      // Find the index of the target value
-      const valueIndex = await this.findValueIndex(listObject, value);
-      console.log(`Found value "${value}" at index ${valueIndex}`);
-      
-      // Make the selection
-      await listObject.selectListObjectValues('/qListObjectDef', [valueIndex], false);
-      console.log(`Successfully selected ${fieldName} = ${value}`);
-      
+      return await callback(listObject);
+    } finally {
       // Clean up the temporary list object
       await this.doc.destroyObject(listObject.id);
-      
-      return true;
+    }
+  }
+
+  // Select a specific value in a field
+  async selectFieldValue(fieldName, value) {
+    return await this.selectFieldValues(fieldName, [value]);
+  }
+
+  // Select one or more exact values in a field
+  async selectFieldValues(fieldName, values) {
+    try {
+      log.info(`Selecting ${fieldName} in [${values.join(', ')}]`);
+
+      return await this.withFieldListObject(fieldName, async (listObject) => {
+        const valueIndexes = await this.findValueIndexes(listObject, values, fieldName);
+        log.debug(`Found values at indexes [${valueIndexes.join(', ')}]`);
+
+        await listObject.selectListObjectValues('/qListObjectDef', valueIndexes, false);
+        log.info(`Successfully selected ${fieldName} in [${values.join(', ')}]`);
+        return true;
+      });
+    } catch (error) {
+      log.error(`Failed to select ${fieldName} in [${values.join(', ')}]:`, error.message);
+      throw error;
+    }
+  }
+
+  // Select all values matching a search string (wildcards, ranges like ">=2024<2025", etc.)
+  async selectFieldSearch(fieldName, searchString) {
+    try {
+      log.info(`Searching ${fieldName} for "${searchString}"`);
+
+      return await this.withFieldListObject(fieldName, async (listObject) => {
+        const matched = await listObject.searchListObjectFor('/qListObjectDef', searchString);
+        if (!matched) {
+          throw new Error(`Search "${searchString}" matched no values in field "${fieldName}"`);
+        }
+
+        await listObject.acceptListObjectSearch('/qListObjectDef', false);
+        log.info(`Successfully selected ${fieldName} ~ "${searchString}"`);
+        return true;
+      });
+    } catch (error) {
+      log.error(`Failed to select ${fieldName} ~ "${searchString}":`, error.message);
+      throw error;
+    }
+  }
+
+  // Select a numeric range of values
+  async selectFieldRange(fieldName, range) {
+    const {
+      min,
+      max,
+      minInclusive = true,
+      maxInclusive = true,
+    } = range;
+
+    try {
+      log.info(`Selecting ${fieldName} between ${min} and ${max}`);
+
+      return await this.withFieldListObject(fieldName, async (listObject) => {
+        const success = await listObject.selectListObjectContinuousRange('/qListObjectDef', [{
+          qMin: min !== undefined ? min : -Number.MAX_VALUE,
+          qMax: max !== undefined ? max : Number.MAX_VALUE,
+          qMinInclEq: minInclusive,
+          qMaxInclEq: maxInclusive,
+        }]);
+
+        if (!success) {
+          // Discrete fields reject continuous ranges, fall back to a numeric search
+          const lower = min !== undefined ? `${minInclusive ? '>=' : '>'}${min}` : '';
+          const upper = max !== undefined ? `${maxInclusive ? '<=' : '<'}${max}` : '';
+          log.info(`Continuous range not applied, searching for "${lower}${upper}"`);
+
+          const matched = await listObject.searchListObjectFor('/qListObjectDef', `${lower}${upper}`);
+          if (!matched) {
+            throw new Error(`Range ${min} - ${max} matched no values in field "${fieldName}"`);
+          }
+          await listObject.acceptListObjectSearch('/qListObjectDef', false);
+        }
+
+        log.info(`Successfully selected ${fieldName} between ${min} and ${max}`);
+        return true;
+      });
+    } catch (error) {
+      log.error(`Failed to select range in ${fieldName}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Select the values excluded by the other selections, or all values except the given ones
+  async selectFieldExcluded(fieldName, exceptValues = null) {
+    try {
+      return await this.withFieldListObject(fieldName, async (listObject) => {
+        if (exceptValues) {
+          log.info(`Selecting all ${fieldName} except [${exceptValues.join(', ')}]`);
+          const valueIndexes = await this.findValueIndexes(listObject, exceptValues, fieldName);
+          await listObject.selectListObjectValues('/qListObjectDef', valueIndexes, false);
+        } else {
+          log.info(`Selecting excluded values of ${fieldName}`);
+        }
+
+        // Inverts the current selection of the field
+        await listObject.selectListObjectExcluded('/qListObjectDef');
+        log.info(`Successfully selected excluded values of ${fieldName}`);
+        return true;
+      });
     } catch (error) {
-      console.error(`Failed to select ${fieldName} = ${value}:`, error);
+      log.error(`Failed to select excluded values of ${fieldName}:`, error.message);
       throw error;
     }
   }
 
+  // Apply a single selection entry of any supported kind
+  async applySelection(selection) {
+    const error = FieldSelector.validateSelection(selection);
+    if (error) {
+      throw new Error(`Invalid selection: ${error}`);
+    }
+
+    const { fieldName } = selection;
+
+    if (selection.values !== undefined) {
+      return await this.selectFieldValues(fieldName, selection.values);
+    }
+    if (selection.search !== undefined) {
+      return await this.selectFieldSearch(fieldName, selection.search);
+    }
+    if (selection.range !== undefined) {
+      return await this.selectFieldRange(fieldName, selection.range);
+    }
+    if (selection.exclude !== undefined) {
+      return await this.selectFieldExcluded(fieldName, selection.exclude);
+    }
+    if (selection.mode === 'excluded') {
+      return await this.selectFieldExcluded(fieldName);
+    }
+    return await this.selectFieldValue(fieldName, selection.value);
+  }
+
   // Alternative method: Direct field selection (if you know the exact field values)
   async selectFieldValueDirect(fieldName, value) {
     try {
-      console.log(`Direct selection: ${fieldName} = ${value}`);
+      log.info(`Direct selection: ${fieldName} = ${value}`);
       
       // Use the field's selectValues method directly
       const field = await this.doc.getField(fieldName);
       
       // Make the selection - use selectValues with proper toggle mode
       const result = await field.selectValues([{ qText: value }], true, false);
-      console.log(`Selection result for ${fieldName}:`, result);
+      log.debug(`Selection result for ${fieldName}:`, result);
       
       // Verify the selection was applied by getting field info
       try {
         const fieldInfo = await field.getNxInfo();
-        console.log(`Field ${fieldName} info after selection:`, fieldInfo);
+        log.debug(`Field ${fieldName} info after selection:`, fieldInfo);
       } catch (infoError) {
-        console.log(`Could not get field info: ${infoError.message}`);
+        log.debug(`Could not get field info: ${infoError.message}`);
       }
       
-      console.log(`Successfully selected ${fieldName} = ${value} (direct method)`);
+      log.info(`Successfully selected ${fieldName} = ${value} (direct method)`);
       return result;
     } catch (error) {
-      console.error(`Failed direct selection ${fieldName} = ${value}:`, error);
+      log.error(`Failed direct selection ${fieldName} = ${value}:`, error.message);
       // Fall back to list object method
       return await this.selectFieldValue(fieldName, value);
     }
@@ -108,33 +411,36 @@ class FieldSelector {
 
   // Select multiple fields with their values
   async makeSelections(selections) {
-    console.log('Making selections:', selections);
+    log.debug('Making selections:', selections);
     
     // Clear all existing selections first
-    console.log('Clearing all existing selections...');
+    log.info('Clearing all existing selections...');
     await this.clearSelections();
+    this.lastSelections = selections;
     
-    for (const { fieldName, value } of selections) {
+    for (const selection of selections) {
+      const description = FieldSelector.describeSelection(selection);
+      
       try {
         // Use list object method (more reliable than direct field selection)
-        console.log(`\n--- Selecting ${fieldName} = ${value} ---`);
-        const success = await this.selectFieldValue(fieldName, value);
+        log.info(`\n--- Selecting ${description} ---`);
+        const success = await this.applySelection(selection);
         
         if (!success) {
-          console.error(`❌ Failed to select ${fieldName} = ${value}`);
-          throw new Error(`Selection failed for ${fieldName} = ${value}`);
+          log.error(`❌ Failed to select ${description}`);
+          throw new Error(`Selection failed for ${description}`);
         }
         
         // Wait a moment for the selection to be processed
         await new Promise(resolve => setTimeout(resolve, 200));
         
       } catch (error) {
-        console.error(`Failed to select ${fieldName} = ${value}:`, error);
-        throw error;
+        log.error(`Failed to select ${description}:`, error.message);
+        throw SelectionError.from(error);
       }
     }
     
-    console.log('\nAll selections completed successfully');
+    log.info('\nAll selections completed successfully');
     
     // Verify selections by checking field states
     await this.verifyActualSelections(selections);
@@ -144,7 +450,7 @@ class FieldSelector {
 
   // Verify that selections were actually applied by checking document selection state
   async verifyActualSelections(selections) {
-    console.log('=== VERIFYING ACTUAL SELECTIONS ===');
+    log.info('=== VERIFYING ACTUAL SELECTIONS ===');
     
     try {
       // Get the document's selection state
@@ -154,52 +460,59 @@ class FieldSelector {
       });
       
       const layout = await selectionObject.getLayout();
-      console.log('Current selection state:', JSON.stringify(layout.qSelectionObject, null, 2));
+      log.debug('Current selection state:', layout.qSelectionObject);
       
       // Clean up
       await this.doc.destroyObject(selectionObject.id);
       
       // Alternative: Check each field individually
-      for (const { fieldName, value } of selections) {
+      for (const selection of selections) {
+        const { fieldName } = selection;
+        const expectedValues = selection.values || (selection.value !== undefined ? [selection.value] : null);
+        
         try {
-          const field = await this.doc.getField(fieldName);
-          
-          // Try to get the field's selected values
+          // Try to get the field's selected values (selected values sort first)
           const fieldObject = await this.doc.createObject({
             qInfo: { qType: `verify-${fieldName}` },
             qListObjectDef: {
-              qDef: { qFieldDefs: [fieldName] },
+              qDef: {
+                qFieldDefs: [fieldName],
+                qSortCriterias: [{ qSortByState: 1 }],
+              },
               qShowAlternatives: true,
               qInitialDataFetch: [{ qTop: 0, qLeft: 0, qHeight: 100, qWidth: 1 }]
             }
           });
           
           const fieldLayout = await fieldObject.getLayout();
-          console.log(`\nField "${fieldName}" selection state:`);
+          log.info(`\nField "${fieldName}" selection state:`);
           
           if (fieldLayout.qListObject && fieldLayout.qListObject.qDataPages) {
-            let selectedCount = 0;
             let selectedValues = [];
             
             fieldLayout.qListObject.qDataPages.forEach(page => {
               page.qMatrix.forEach(row => {
                 const cell = row[0];
                 if (cell.qState === 'S') { // S = Selected
-                  selectedCount++;
                   selectedValues.push(cell.qText);
                 }
               });
             });
             
-            console.log(`  Selected count: ${selectedCount}`);
-            console.log(`  Selected values: [${selectedValues.join(', ')}]`);
+            const stateCounts = fieldLayout.qListObject.qDimensionInfo?.qStateCounts;
+            const selectedCount = stateCounts ? stateCounts.qSelected : selectedValues.length;
+            
+            log.info(`  Selected count: ${selectedCount}`);
+            log.info(`  Selected values: [${selectedValues.join(', ')}${selectedCount > selectedValues.length ? ', ...' : ''}]`);
             
             if (selectedCount === 0) {
-              console.log(`  ❌ No values selected in field "${fieldName}"`);
-            } else if (selectedCount === 1 && selectedValues.includes(value)) {
-              console.log(`  ✅ Correct selection: "${value}"`);
+              log.info(`  ❌ No values selected in field "${fieldName}"`);
+            } else if (!expectedValues) {
+              log.info(`  ✅ ${selectedCount} values selected for ${FieldSelector.describeSelection(selection)}`);
+            } else if (selectedCount === expectedValues.length && expectedValues.every(value => selectedValues.includes(String(value)))) {
+              log.info(`  ✅ Correct selection: "${expectedValues.join(', ')}"`);
             } else {
-              console.log(`  ⚠️  Unexpected selection state`);
+              log.info(`  ⚠️  Unexpected selection state`);
             }
           }
           
@@ -207,35 +520,45 @@ class FieldSelector {
           await this.doc.destroyObject(fieldObject.id);
           
         } catch (fieldError) {
-          console.error(`Failed to verify field "${fieldName}":`, fieldError.message);
+          log.error(`Failed to verify field "${fieldName}":`, fieldError.message);
         }
       }
       
     } catch (error) {
-      console.error('Failed to verify selections:', error.message);
+      log.error('Failed to verify selections:', error.message);
     }
   }
 
   // Clear all selections
   async clearSelections() {
     try {
-      console.log('Clearing all selections...');
+      log.info('Clearing all selections...');
       await this.doc.clearAll();
-      console.log('All selections cleared');
+      this.lastSelections = [];
+      log.info('All selections cleared');
       return true;
     } catch (error) {
-      console.error('Failed to clear selections:', error);
+      log.error('Failed to clear selections:', error.message);
       throw error;
     }
   }
 
+  // Apply the last selections again (a new engine session after a reconnect starts without them)
+  async restoreSelections() {
+    if (this.lastSelections.length === 0) {
+      return await this.clearSelections();
+    }
+    log.info('\n♻️ Re-applying selections after reconnect...');
+    return await this.makeSelections(this.lastSelections);
+  }
+
   // Get current selections state
   async getCurrentSelections() {
     try {
       const selectionState = await this.doc.getSelectionState();
       return selectionState;
     } catch (error) {
-      console.error('Failed to get current selections:', error);
+      log.error('Failed to get current selections:', error.message);
       throw error;
     }
   }
@@ -245,20 +568,20 @@ class FieldSelector {
     try {
       const currentSelections = await this.getCurrentSelections();
       
-      console.log('Current selections state:');
+      log.info('Current selections state:');
       if (currentSelections && currentSelections.qSelections && currentSelections.qSelections.length > 0) {
         currentSelections.qSelections.forEach(selection => {
-          console.log(`- ${selection.qField}: ${selection.qSelected}`);
+          log.info(`- ${selection.qField}: ${selection.qSelected}`);
         });
       } else {
-        console.log('- No active selections');
+        log.info('- No active selections');
       }
       
       return currentSelections;
     } catch (error) {
-      console.error('Failed to verify selections:', error);
+      log.error('Failed to verify selections:', error);
       // Don't throw error for verification - it's not critical
-      console.log('Continuing without selection verification');
+      log.info('Continuing without selection verification');
       return null;
     }
   }
@@ -0,0 +1,167 @@
+// Words that mean the same in Russian and English field names, mapped to one canonical token.
+// Russian entries are stems so inflected forms ("материала", "периода") match too.
+const TOKEN_SYNONYMS = {
+  year: 'year',
+  год: 'year',
+  month: 'month',
+  месяц: 'month',
+  day: 'day',
+  день: 'day',
+  date: 'date',
+  дат: 'date',
+  quarter: 'quarter',
+  квартал: 'quarter',
+  period: 'period',
+  период: 'period',
+  plant: 'plant',
+  завод: 'plant',
+  material: 'material',
+  материал: 'material',
+  group: 'group',
+  групп: 'group',
+  warehouse: 'warehouse',
+  склад: 'warehouse',
+  text: 'text',
+  текст: 'text',
+  number: 'number',
+  номер: 'number',
+};
+
+// Month names (Russian and English) mapped to month numbers, so "2024-авг" and "2024.08" compare equal
+const MONTH_TOKENS = {
+  янв: '1', jan: '1',
+  фев: '2', feb: '2',
+  мар: '3', mar: '3',
+  апр: '4', apr: '4',
+  май: '5', мая: '5', may: '5',
+  июн: '6', jun: '6',
+  июл: '7', jul: '7',
+  авг: '8', aug: '8',
+  сен: '9', sep: '9',
+  окт: '10', oct: '10',
+  ноя: '11', nov: '11',
+  дек: '12', dec: '12',
+};
+
+// Cyrillic to Latin transliteration, so "Zavod" is close to "Завод"
+const TRANSLITERATION = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+};
+
+class FuzzyMatcher {
+  // Lowercase Latin form of a string
+  static transliterate(text) {
+    return String(text)
+      .toLowerCase()
+      .split('')
+      .map(char => (TRANSLITERATION[char] !== undefined ? TRANSLITERATION[char] : char))
+      .join('');
+  }
+
+  // 1 minus the normalized edit distance
+  static characterSimilarity(a, b) {
+    const maxLength = Math.max(a.length, b.length);
+    return maxLength === 0 ? 0 : 1 - FuzzyMatcher.levenshtein(a, b) / maxLength;
+  }
+
+  // Split a name or value into canonical lowercase tokens
+  static tokenize(text) {
+    return String(text)
+      .replace(/([a-zа-яё])([A-ZА-ЯЁ])/g, '$1 $2') // camelCase → camel Case
+      .replace(/(\p{L})(\p{N})|(\p{N})(\p{L})/gu, '$1$3 $2$4') // letters next to digits
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token !== '')
+      .map(token => FuzzyMatcher.canonicalToken(token));
+  }
+
+  // Map synonyms, month names and zero-padded numbers to a canonical form
+  static canonicalToken(token) {
+    if (/^\d+$/.test(token)) {
+      return String(parseInt(token, 10));
+    }
+
+    const monthKey = token.slice(0, 3);
+    if (MONTH_TOKENS[monthKey] && token.length <= 4) {
+      return MONTH_TOKENS[monthKey];
+    }
+
+    if (TOKEN_SYNONYMS[token]) {
+      return TOKEN_SYNONYMS[token];
+    }
+
+    const stem = Object.keys(TOKEN_SYNONYMS).find(key => key.length >= 3 && token.startsWith(key));
+    return stem ? TOKEN_SYNONYMS[stem] : token;
+  }
+
+  // Edit distance between two strings
+  static levenshtein(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  // Similarity between 0 and 1, the best of character and token based comparison
+  static similarity(a, b) {
+    const left = String(a).toLowerCase();
+    const right = String(b).toLowerCase();
+
+    if (left === right) {
+      return 1;
+    }
+
+    const characterScore = Math.max(
+      FuzzyMatcher.characterSimilarity(left, right),
+      FuzzyMatcher.characterSimilarity(FuzzyMatcher.transliterate(left), FuzzyMatcher.transliterate(right))
+    );
+
+    const leftTokens = FuzzyMatcher.tokenize(a);
+    const rightTokens = FuzzyMatcher.tokenize(b);
+    let tokenScore = 0;
+
+    if (leftTokens.length > 0 && rightTokens.length > 0) {
+      const remaining = [...rightTokens];
+      let common = 0;
+      leftTokens.forEach(token => {
+        const index = remaining.indexOf(token);
+        if (index !== -1) {
+          common++;
+          remaining.splice(index, 1);
+        }
+      });
+      tokenScore = (2 * common) / (leftTokens.length + rightTokens.length);
+    }
+
+    const containsScore = left.length > 0 && right.length > 0 && (left.includes(right) || right.includes(left)) ? 0.8 : 0;
+
+    return Math.max(characterScore, tokenScore, containsScore);
+  }
+
+  // Rank candidates by similarity to the target, best first
+  static rank(target, candidates, options = {}) {
+    const { limit = 5, minScore = 0.4 } = options;
+
+    return candidates
+      .map(candidate => ({ value: candidate, score: FuzzyMatcher.similarity(target, candidate) }))
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = FuzzyMatcher;
@@ -2,24 +2,35 @@ const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
 const SessionManager = require('./session-manager');
+const ConnectionProfiles = require('./connection-profiles');
 const FieldSelector = require('./field-selector');
+const FieldDebugger = require('./field-debugger');
 const PivotExtractor = require('./pivot-extractor');
 const ContainerExtractor = require('./container-extractor');
+const { createStreamWriter } = require('./stream-writers');
+const XlsxWriter = require('./xlsx-writer');
+const SqliteWriter = require('./sqlite-writer');
+const OutputShape = require('./output-shape');
+const { ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('extractor');
 
 // Load environment variables
 dotenv.config();
 
 class QlikPivotDataExtractor {
-  constructor() {
+  constructor(overrides = {}, options = {}) {
     this.sessionManager = null;
     this.fieldSelector = null;
+    this.fieldDebugger = null;
     this.pivotExtractor = null;
     this.containerExtractor = null;
-    this.config = this.loadConfiguration();
+    this.config = this.loadConfiguration(overrides, options);
   }
 
-  // Load configuration from environment variables
-  loadConfiguration() {
+  // Load configuration from environment variables, with optional overrides (e.g. command-line flags)
+  loadConfiguration(overrides = {}, options = {}) {
     const config = {
       // Connection settings
       engineHost: process.env.QLIK_ENGINE_HOST || 'localhost',
@@ -31,12 +42,19 @@ class QlikPivotDataExtractor {
       userDirectory: process.env.QLIK_USER_DIRECTORY,
       userId: process.env.QLIK_USER_ID,
       certificatesPath: process.env.QLIK_CERTIFICATES_PATH || './config/certificates',
+      // Server certificate verification: expected SAN name or SHA-256 fingerprint pin
+      tlsVerify: process.env.QLIK_TLS_VERIFY !== 'false',
+      tlsServerName: process.env.QLIK_TLS_SERVERNAME,
+      tlsFingerprint: process.env.QLIK_TLS_FINGERPRINT,
       apiKey: process.env.QLIK_API_KEY,
       jwtToken: process.env.QLIK_JWT_TOKEN,
       
       // Data extraction settings
       containerId: process.env.QLIK_CONTAINER_ID,
       pivotObjectId: process.env.QLIK_PIVOT_OBJECT_ID,
+      // Pivot objects: expand nodes before extracting ("all" or a number of levels) and add the hierarchy to JSON output
+      expandPivot: PivotExtractor.parseExpand(process.env.QLIK_PIVOT_EXPAND),
+      pivotHierarchy: process.env.QLIK_PIVOT_HIERARCHY === 'true',
       
       // Field selection settings
       zavodField: process.env.QLIK_ZAVOD_FIELD || 'Завод',
@@ -47,189 +65,323 @@ class QlikPivotDataExtractor {
       // Performance settings
       pageSize: parseInt(process.env.QLIK_PAGE_SIZE) || 1000,
       maxPages: parseInt(process.env.QLIK_MAX_PAGES) || 10,
+      concurrency: parseInt(process.env.QLIK_PAGE_CONCURRENCY) || 2,
+      streamOutput: process.env.QLIK_STREAM_OUTPUT === 'true',
+      gzipOutput: process.env.QLIK_GZIP_OUTPUT === 'true',
       enableTrafficLogging: process.env.QLIK_ENABLE_TRAFFIC_LOGGING === 'true',
+      trafficLog: process.env.QLIK_TRAFFIC_LOG,
+      recordTraffic: process.env.QLIK_RECORD_TRAFFIC,
+      replayTraffic: process.env.QLIK_REPLAY_TRAFFIC,
+      simulateCsv: process.env.QLIK_SIMULATE_CSV,
+      
+      // Reconnect after a dropped connection (0 attempts disables it)
+      reconnectAttempts: process.env.QLIK_RECONNECT_ATTEMPTS,
+      reconnectDelayMs: process.env.QLIK_RECONNECT_DELAY_MS,
+      reconnectMaxDelayMs: process.env.QLIK_RECONNECT_MAX_DELAY_MS,
       debugFields: process.env.QLIK_DEBUG_FIELDS === 'true',
+      
+      // Output files (format follows the extension)
+      outputs: ['pivot_data.json', 'pivot_data.csv'],
+      
+      // Output shape: long (one row per measure) or wide (the members of wideBy as columns)
+      outputShape: process.env.QLIK_OUTPUT_SHAPE,
+      wideBy: process.env.QLIK_WIDE_BY,
+      
+      // SQLite table for .sqlite/.db outputs
+      sqliteTable: process.env.QLIK_SQLITE_TABLE || 'pivot_data',
+      
+      // CSV settings (';' delimiter, ',' decimals and a BOM suit Russian Excel)
+      csvOptions: {
+        delimiter: process.env.QLIK_CSV_DELIMITER || ',',
+        decimalSeparator: process.env.QLIK_CSV_DECIMAL_SEPARATOR || '.',
+        bom: process.env.QLIK_CSV_BOM === 'true',
+        quote: process.env.QLIK_CSV_QUOTE || 'minimal',
+        measureValues: process.env.QLIK_CSV_MEASURE_VALUES || 'number',
+      },
     };
 
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (value === undefined) {
+        return;
+      }
+      // CSV options override individually
+      config[key] = key === 'csvOptions' ? { ...config.csvOptions, ...value } : value;
+    });
+
+    // Outputs of a connection profile run carry the profile and app (pivot_data.prod.north.csv)
+    if (config.outputTag) {
+      config.outputs = config.outputs.map(output => ConnectionProfiles.tagPath(output, config.outputTag));
+    }
+
     // Validate required configuration
-    this.validateConfiguration(config);
+    this.validateConfiguration(config, options);
     
     return config;
   }
 
   // Validate that required configuration is present
-  validateConfiguration(config) {
-    const required = ['appId', 'pivotObjectId'];
-    
-    if (config.authMethod === 'certificates') {
-      required.push('userDirectory', 'userId');
-    } else if (config.authMethod === 'apikey') {
-      required.push('apiKey');
-    } else if (config.authMethod === 'jwt') {
-      required.push('jwtToken');
+  validateConfiguration(config, options = {}) {
+    const { requireObject = true } = options;
+    const required = requireObject ? ['appId', 'pivotObjectId'] : ['appId'];
+
+    // The simulated engine opens whatever app it is asked for
+    if (config.simulateCsv && !config.appId) {
+      config.appId = path.basename(config.simulateCsv);
     }
 
     const missing = required.filter(key => !config[key]);
     
     if (missing.length > 0) {
-      throw new Error(`Missing required configuration: ${missing.join(', ')}`);
+      throw new ConfigurationError(`Missing required configuration: ${missing.join(', ')}`);
+    }
+
+    // Each authentication method has its own settings
+    const connectionErrors = SessionManager.validateConnection(config);
+    if (connectionErrors.length > 0) {
+      throw new ConfigurationError(connectionErrors.join('; '));
+    }
+
+    // Reshaping needs every row, streamed pages are written as they arrive
+    if (config.outputShape || config.wideBy) {
+      const shapeError = OutputShape.validate({ shape: config.outputShape, by: config.wideBy });
+      if (shapeError) {
+        throw new ConfigurationError(shapeError);
+      }
+      if (config.streamOutput) {
+        throw new ConfigurationError('Output shapes cannot be streamed, turn off QLIK_STREAM_OUTPUT');
+      }
     }
   }
 
   // Initialize all components
   async initialize() {
     try {
-      console.log('Initializing Qlik Pivot Data Extractor...');
+      log.info('Initializing Qlik Pivot Data Extractor...');
       
-      // Create session manager
+      // Create session manager (traffic logging, recording and replay follow the configuration)
       this.sessionManager = new SessionManager(this.config);
       
-      // Enable traffic logging if requested
-      if (this.config.enableTrafficLogging) {
-        this.sessionManager.enableTrafficLogging();
-      }
-      
       // Connect to Qlik Sense
       const { doc } = await this.sessionManager.connect();
       
-      // Initialize field selector, pivot extractor, and container extractor
+      // Initialize field selector, field debugger, pivot extractor, and container extractor
       this.fieldSelector = new FieldSelector(doc);
+      this.fieldDebugger = new FieldDebugger(doc);
       this.pivotExtractor = new PivotExtractor(doc);
       this.containerExtractor = new ContainerExtractor(doc);
       
-      console.log('Initialization completed successfully');
+      log.info('Initialization completed successfully');
       
     } catch (error) {
-      console.error('Initialization failed:', error);
+      log.error('Initialization failed:', error.message);
       throw error;
     }
   }
 
   // Make required field selections
+  // Explicit selections (e.g. from the command line) replace the plant/period defaults
+  getSelections() {
+    return this.config.selections || [
+      {
+        fieldName: this.config.zavodField,
+        value: this.config.zavodValue,
+      },
+      {
+        fieldName: this.config.yearMonthField,
+        value: this.config.yearMonthValue,
+      },
+    ];
+  }
+
   async makeSelections() {
     try {
-      console.log('Making field selections...');
+      log.info('Making field selections...');
+      
+      const selections = this.getSelections();
       
       // Debug field selection if enabled
       if (this.config.debugFields) {
-        console.log('🔍 Debug mode enabled - analyzing fields...');
-        
-        // Debug both fields
-        await this.fieldDebugger.debugFieldSelection(this.config.zavodField, this.config.zavodValue);
-        await this.fieldDebugger.debugFieldSelection(this.config.yearMonthField, this.config.yearMonthValue);
+        log.info('🔍 Debug mode enabled - analyzing fields...');
         
-        // Look for similar fields to yearMonth
-        await this.fieldDebugger.findFieldsContaining('Год');
-        await this.fieldDebugger.findFieldsContaining('Месяц');
-        await this.fieldDebugger.findFieldsContaining('Month');
-        await this.fieldDebugger.findFieldsContaining('Year');
+        // Debug every value the selections pick (search, range and exclude selections name no value)
+        for (const selection of selections) {
+          const values = selection.values || (selection.value !== undefined ? [selection.value] : []);
+          for (const value of values) {
+            await this.fieldDebugger.debugFieldSelection(selection.fieldName, value);
+          }
+        }
       }
       
-      const selections = [
-        {
-          fieldName: this.config.zavodField,
-          value: this.config.zavodValue,
-        },
-        {
-          fieldName: this.config.yearMonthField,
-          value: this.config.yearMonthValue,
-        },
-      ];
-      
       await this.fieldSelector.makeSelections(selections);
       
       // Verify selections
       await this.fieldSelector.verifySelections(selections);
       
-      console.log('Field selections completed successfully');
+      log.info('Field selections completed successfully');
       
     } catch (error) {
-      console.error('Field selection failed:', error);
+      log.error('Field selection failed:', error.message);
       throw error;
     }
   }
 
   // Extract pivot table data
-  async extractData() {
+  // Get the object to extract, directly or through its container
+  async getTargetObject() {
+    // Check if we're using container-based extraction
+    if (this.config.containerId) {
+      log.info('Using container-based extraction...');
+      return await this.containerExtractor.extractPivotFromContainer(
+        this.config.containerId,
+        this.config.pivotObjectId
+      );
+    }
+    
+    log.info('Using direct object extraction...');
+    return await this.pivotExtractor.getPivotObject(this.config.pivotObjectId);
+  }
+
+  // Wait for a dropped session to reconnect, re-apply the selections and fetch the object again
+  async recoverTargetObject() {
+    await this.sessionManager.waitForReconnect();
+    await this.fieldSelector.restoreSelections();
+    return await this.getTargetObject();
+  }
+
+  async extractData(options = {}) {
     try {
-      console.log('Starting data extraction...');
+      log.info('Starting data extraction...');
       
-      let pivotObject;
-      
-      // Check if we're using container-based extraction
-      if (this.config.containerId) {
-        console.log('Using container-based extraction...');
-        pivotObject = await this.containerExtractor.extractPivotFromContainer(
-          this.config.containerId,
-          this.config.pivotObjectId
-        );
-      } else {
-        console.log('Using direct object extraction...');
-        pivotObject = await this.pivotExtractor.getPivotObject(this.config.pivotObjectId);
-      }
+      const pivotObject = await this.getTargetObject();
       
       // Extract data with optimization settings
       const extractedData = await this.pivotExtractor.extractPivotData(pivotObject, {
         pageSize: this.config.pageSize,
         maxPages: this.config.maxPages,
+        concurrency: this.config.concurrency,
+        expand: this.config.expandPivot,
+        hierarchy: this.config.pivotHierarchy,
+        onProgress: options.onProgress,
+        onConnectionLost: () => this.recoverTargetObject(),
       });
       
       // Format data for easier consumption
       const formattedData = this.pivotExtractor.formatPivotData(extractedData);
       
-      console.log('Data extraction completed successfully');
-      console.log(`Extracted ${formattedData.summary.totalRows} rows, ${formattedData.summary.totalColumns} columns`);
+      log.info('Data extraction completed successfully');
+      log.info(`Extracted ${formattedData.summary.totalRows} rows, ${formattedData.summary.totalColumns} columns`);
       
       return formattedData;
       
     } catch (error) {
-      console.error('Data extraction failed:', error);
+      log.error('Data extraction failed:', error.message);
       throw error;
     }
   }
 
-  // Save data to file
-  async saveDataToFile(data, filename = 'pivot_data.json') {
+  // Extract page by page straight into output writers (csv, ndjson, json; optional gzip)
+  async streamDataToFiles(filenames) {
+    try {
+      log.info('Starting streaming data extraction...');
+      
+      const pivotObject = await this.getTargetObject();
+      const writers = filenames.map(filename => createStreamWriter(filename, {
+        format: this.config.outputFormat,
+        gzip: this.config.gzipOutput,
+        csv: this.config.csvOptions,
+      }));
+      
+      const result = await this.pivotExtractor.streamPivotData(pivotObject, writers, {
+        pageSize: this.config.pageSize,
+        maxPages: this.config.maxPages,
+        concurrency: this.config.concurrency,
+        expand: this.config.expandPivot,
+        onConnectionLost: () => this.recoverTargetObject(),
+      });
+      
+      log.info(`Streamed ${result.metadata.extractedRows} rows to:`);
+      result.outputs.forEach(outputPath => log.info(`- ${outputPath}`));
+      
+      return result;
+      
+    } catch (error) {
+      log.error('Streaming data extraction failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Save data to file; json, csv and xlsx files take the configured output shape
+  async saveDataToFile(data, filename = 'pivot_data.json', format = null) {
     try {
       const outputPath = path.resolve(filename);
+      const outputFormat = format || path.extname(filename).slice(1).toLowerCase();
+      const shape = OutputShape.from({ shape: this.config.outputShape, by: this.config.wideBy });
+      
+      if (shape && !SqliteWriter.isSqliteFormat(outputFormat)) {
+        data = shape.shapeFormattedData(data);
+      }
       
-      if (filename.endsWith('.csv')) {
-        const csvData = this.pivotExtractor.exportToCSV(data);
+      if (outputFormat === 'csv') {
+        const csvData = this.pivotExtractor.exportToCSV(data, this.config.csvOptions);
         fs.writeFileSync(outputPath, csvData, 'utf8');
+      } else if (outputFormat === 'xlsx') {
+        await new XlsxWriter().writePivotData(outputPath, data);
+      } else if (SqliteWriter.isSqliteFormat(outputFormat)) {
+        this.saveDataToDatabase(data, outputPath);
       } else {
         fs.writeFileSync(outputPath, JSON.stringify(data, null, 2), 'utf8');
       }
       
-      console.log(`Data saved to: ${outputPath}`);
+      log.info(`Data saved to: ${outputPath}`);
       return outputPath;
       
     } catch (error) {
-      console.error('Failed to save data to file:', error);
+      log.error('Failed to save data to file:', error.message);
       throw error;
     }
   }
 
+  // Replace the rows of the current selections in a SQLite table
+  saveDataToDatabase(data, outputPath) {
+    const records = data.rows.map(row => {
+      const record = {};
+      data.headers.forEach(header => {
+        const cell = row.data[header.name];
+        record[header.name] = header.type === 'measure' ? cell?.number : cell?.text;
+      });
+      return record;
+    });
+
+    const writer = new SqliteWriter(outputPath, { table: this.config.sqliteTable });
+    const { table, inserted, replaced } = writer.write(SqliteWriter.buildColumns(data.metadata), [{
+      selections: this.getSelections(),
+      rows: records,
+    }]);
+
+    log.info(`Table "${table}": ${inserted} rows inserted, ${replaced} replaced`);
+  }
+
   // Print data summary
   printDataSummary(data) {
-    console.log('\n=== DATA EXTRACTION SUMMARY ===');
-    console.log(`Total Rows: ${data.summary.totalRows}`);
-    console.log(`Total Columns: ${data.summary.totalColumns}`);
-    console.log(`Dimensions: ${data.summary.dimensions}`);
-    console.log(`Measures: ${data.summary.measures}`);
+    log.info('\n=== DATA EXTRACTION SUMMARY ===');
+    log.info(`Total Rows: ${data.summary.totalRows}`);
+    log.info(`Total Columns: ${data.summary.totalColumns}`);
+    log.info(`Dimensions: ${data.summary.dimensions}`);
+    log.info(`Measures: ${data.summary.measures}`);
     
-    console.log('\nColumn Headers:');
+    log.info('\nColumn Headers:');
     data.headers.forEach((header, index) => {
-      console.log(`  ${index + 1}. ${header.name} (${header.type})`);
+      log.info(`  ${index + 1}. ${header.name} (${header.type})`);
     });
     
     if (data.rows.length > 0) {
-      console.log('\nFirst 3 rows (sample data):');
+      log.info('\nFirst 3 rows (sample data):');
       data.rows.slice(0, 3).forEach((row, index) => {
-        console.log(`Row ${index + 1}:`);
+        log.info(`Row ${index + 1}:`);
         Object.entries(row.data).forEach(([key, value]) => {
-          console.log(`  ${key}: ${value.text}`);
+          log.info(`  ${key}: ${value.text}`);
         });
-        console.log('');
+        log.info('');
       });
     }
   }
@@ -240,24 +392,30 @@ class QlikPivotDataExtractor {
       if (this.sessionManager) {
         await this.sessionManager.close();
       }
-      console.log('Shutdown completed successfully');
+      log.info('Shutdown completed successfully');
     } catch (error) {
-      console.error('Shutdown error:', error);
+      log.error('Shutdown error:', error);
     }
   }
 
   // Main execution method
   async run() {
     try {
-      console.log('Starting Qlik Pivot Data Extraction...');
-      console.log('Configuration:');
-      console.log(`- App ID: ${this.config.appId}`);
+      log.info('Starting Qlik Pivot Data Extraction...');
+      log.info('Configuration:');
+      log.info(`- App ID: ${this.config.appId}`);
       if (this.config.containerId) {
-        console.log(`- Container ID: ${this.config.containerId}`);
+        log.info(`- Container ID: ${this.config.containerId}`);
+      }
+      log.info(`- Pivot Object ID: ${this.config.pivotObjectId}`);
+      if (this.config.selections) {
+        this.config.selections.forEach(selection => {
+          log.info(`- ${FieldSelector.describeSelection(selection)}`);
+        });
+      } else {
+        log.info(`- ${this.config.zavodField}: ${this.config.zavodValue}`);
+        log.info(`- ${this.config.yearMonthField}: ${this.config.yearMonthValue}`);
       }
-      console.log(`- Pivot Object ID: ${this.config.pivotObjectId}`);
-      console.log(`- ${this.config.zavodField}: ${this.config.zavodValue}`);
-      console.log(`- ${this.config.yearMonthField}: ${this.config.yearMonthValue}`);
       
       // Initialize connection
       await this.initialize();
@@ -265,6 +423,13 @@ class QlikPivotDataExtractor {
       // Make required selections
       await this.makeSelections();
       
+      // Large extracts go straight to disk page by page
+      if (this.config.streamOutput) {
+        const result = await this.streamDataToFiles(this.config.outputs);
+        log.info('\n✅ Streaming extraction completed successfully!');
+        return result;
+      }
+      
       // Extract data
       const data = await this.extractData();
       
@@ -272,15 +437,16 @@ class QlikPivotDataExtractor {
       this.printDataSummary(data);
       
       // Save data to files
-      await this.saveDataToFile(data, 'pivot_data.json');
-      await this.saveDataToFile(data, 'pivot_data.csv');
+      for (const output of this.config.outputs) {
+        await this.saveDataToFile(data, output, this.config.outputFormat);
+      }
       
-      console.log('\n✅ Data extraction completed successfully!');
+      log.info('\n✅ Data extraction completed successfully!');
       
       return data;
       
     } catch (error) {
-      console.error('\n❌ Data extraction failed:', error);
+      log.error('\n❌ Data extraction failed:', error.message);
       throw error;
     } finally {
       await this.shutdown();
@@ -294,12 +460,12 @@ if (require.main === module) {
   
   extractor.run()
     .then(() => {
-      console.log('Process completed successfully');
+      log.info('Process completed successfully');
       process.exit(0);
     })
     .catch((error) => {
-      console.error('Process failed:', error);
-      process.exit(1);
+      log.error('Process failed:', error);
+      process.exit(error.exitCode || 1);
     });
 }
 
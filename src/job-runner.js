@@ -0,0 +1,384 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SessionManager = require('./session-manager');
+const FieldSelector = require('./field-selector');
+const PivotExtractor = require('./pivot-extractor');
+const SelectionSweep = require('./selection-sweep');
+const CsvWriter = require('./csv-writer');
+const XlsxWriter = require('./xlsx-writer');
+const SqliteWriter = require('./sqlite-writer');
+const BalanceValidator = require('./balance-validator');
+const Checkpoint = require('./checkpoint');
+const ConnectionProfiles = require('./connection-profiles');
+const OutputShape = require('./output-shape');
+const { ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('job-runner');
+
+class JobRunner {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.onProgress = options.onProgress || null;
+    // Called with the connection state events of the session run() opens
+    this.onConnectionState = options.onConnectionState || null;
+    // Session of an already opened document (runOnDoc); enables resuming after a reconnect
+    this.sessionManager = options.sessionManager || null;
+    // Continue from the checkpoint of an interrupted run instead of starting over
+    this.resume = options.resume === true;
+    this.checkpoint = null;
+    this.cubeObject = null;
+  }
+
+  // Connect, run the job against the app and write every configured output
+  async run() {
+    const connectionConfig = this.spec.buildConnectionConfig();
+    const connectionErrors = SessionManager.validateConnection(connectionConfig);
+    if (connectionErrors.length > 0) {
+      throw new ConfigurationError(`Cannot connect job "${this.spec.name}": ${connectionErrors.join('; ')}`);
+    }
+
+    this.sessionManager = new SessionManager(connectionConfig);
+    if (this.onConnectionState) {
+      this.sessionManager.on('state', this.onConnectionState);
+    }
+
+    try {
+      log.info(`🚀 Running job "${this.spec.name}"...`);
+      const { doc } = await this.sessionManager.connect();
+      await this.openCheckpoint(doc);
+
+      const result = await this.runOnDoc(doc);
+      if (this.spec.validation) {
+        this.validateRows(result);
+      }
+      result.outputs = await this.writeOutputs(result);
+
+      // Failed selection sets stay in the checkpoint so --resume retries only them
+      if (result.failures.length === 0) {
+        this.checkpoint.remove();
+      } else {
+        log.info(`⏸️ Checkpoint kept for the failed selection sets: ${this.checkpoint.filePath}`);
+      }
+
+      log.info(`\n✅ Job "${this.spec.name}" completed: ${result.rows.length} rows`);
+      return result;
+    } finally {
+      await this.sessionManager.close();
+    }
+  }
+
+  // Start a checkpoint for this run, or load the one of an interrupted run with --resume
+  // The app reload time is part of it: rows extracted before a reload cannot be mixed with new ones
+  async openCheckpoint(doc) {
+    const appLayout = await doc.getAppLayout();
+    const runName = this.spec.outputTag ? `${this.spec.name}.${this.spec.outputTag}` : this.spec.name;
+    this.checkpoint = new Checkpoint(Checkpoint.getPath(runName), {
+      job: this.spec.name,
+      specHash: this.spec.getHash(),
+      lastReloadTime: appLayout.qLastReloadTime || null,
+    });
+
+    if (this.resume && this.checkpoint.load()) {
+      return this.checkpoint;
+    }
+    if (this.resume) {
+      log.info(`No checkpoint found for "${this.spec.name}", starting from the beginning`);
+    }
+
+    this.checkpoint.start();
+    return this.checkpoint;
+  }
+
+  // Apply the job selections (or sweep) and extract the cube from an already opened document
+  async runOnDoc(doc) {
+    const fieldSelector = new FieldSelector(doc);
+    const selectionSets = this.spec.getSelectionSets();
+    this.cubeObject = await this.createCube(doc);
+
+    try {
+      if (selectionSets) {
+        return await this.runSweep(fieldSelector, selectionSets);
+      }
+
+      if (this.spec.selections.length > 0) {
+        log.info('\n📋 Applying Field Selections...');
+        await fieldSelector.makeSelections(this.spec.selections);
+      }
+
+      const { rows, metadata } = await this.extractRows(fieldSelector);
+
+      return {
+        headers: this.spec.getColumnLabels(),
+        rows,
+        metadata,
+        failures: [],
+        extractedAt: new Date().toISOString(),
+      };
+    } finally {
+      await this.destroyCube(doc);
+    }
+  }
+
+  // Remove the session hypercube; a lost connection has already taken it away
+  async destroyCube(doc) {
+    try {
+      await doc.destroySessionObject(this.cubeObject.id);
+    } catch (error) {
+      if (!SessionManager.isConnectionLost(error)) {
+        throw error;
+      }
+    }
+  }
+
+  // Extract the cube once per selection set over the same connection and session object
+  async runSweep(fieldSelector, selectionSets) {
+    log.info(`\n🔁 Sweeping ${selectionSets.length} selection sets...`);
+
+    const sweep = new SelectionSweep(fieldSelector, {
+      continueOnError: this.spec.sweep.continueOnError,
+    });
+    let metadata = null;
+
+    // Sets completed before an interruption are taken from the checkpoint without selecting them
+    const restore = (index) => {
+      const set = this.checkpoint.getSet(index);
+      if (!set.completed) {
+        return null;
+      }
+      metadata = metadata || set.metadata;
+      return { rows: this.toRecords(set.rows), extractedAt: set.extractedAt };
+    };
+
+    const { rows, failures, completed } = await sweep.run(selectionSets, async (set, index) => {
+      const extracted = await this.extractRows(fieldSelector, index);
+      metadata = extracted.metadata;
+      return extracted.rows;
+    }, {
+      restore: this.checkpoint ? restore : null,
+    });
+
+    return {
+      headers: [...SelectionSweep.getSelectionColumns(selectionSets), ...this.spec.getColumnLabels()],
+      rows,
+      metadata,
+      failures,
+      completed,
+    };
+  }
+
+  // Build the session hypercube from the spec
+  async createCube(doc) {
+    log.info('\n🔧 Creating session hypercube...');
+    return await doc.createSessionObject(this.spec.buildHyperCubeDef());
+  }
+
+  // After a reconnect the engine session may be new: re-create the cube and re-apply the
+  // selections of the current set, then paging continues from the last completed row
+  async recover(fieldSelector) {
+    await this.sessionManager.waitForReconnect();
+    this.cubeObject = await this.createCube(fieldSelector.doc);
+    await fieldSelector.restoreSelections();
+    return this.cubeObject;
+  }
+
+  // Page through the cube data for the current selections (selection set setIndex of a sweep)
+  async extractRows(fieldSelector, setIndex = 0) {
+    log.info('\n📊 Extracting Data...');
+    const pivotExtractor = new PivotExtractor(fieldSelector.doc);
+    const extractedData = await pivotExtractor.extractPivotData(this.cubeObject, {
+      pageSize: this.spec.pageSize,
+      maxPages: this.spec.maxPages,
+      concurrency: this.spec.concurrency,
+      onProgress: this.onProgress,
+      onConnectionLost: this.sessionManager ? () => this.recover(fieldSelector) : null,
+      checkpoint: this.checkpoint ? this.checkpoint.forSet(setIndex) : null,
+    });
+
+    if (this.checkpoint) {
+      this.checkpoint.completeSet(setIndex, extractedData.metadata);
+    }
+
+    const rows = this.toRecords(extractedData.data);
+    log.info(`\nTotal extracted: ${extractedData.data.length} rows, ${rows.length} kept`);
+
+    return {
+      rows,
+      metadata: extractedData.metadata,
+    };
+  }
+
+  // Convert matrix rows to flat records: dimension text and numeric measure values (null when
+  // the engine has no number, e.g. a missing value), with the formatted measure texts kept for CSV measure modes
+  toRecords(matrixRows) {
+    const labels = this.spec.getColumnLabels();
+    const dimensionCount = this.spec.dimensions.length;
+    const records = [];
+
+    matrixRows.forEach(row => {
+      const record = {};
+      const texts = {};
+      let hasDimensionText = false;
+      let hasNonZeroValues = false;
+
+      labels.forEach((label, index) => {
+        const cell = row[index];
+
+        if (index < dimensionCount) {
+          const text = cell?.qText || '';
+          record[label] = text;
+          if (text.trim() !== '') {
+            hasDimensionText = true;
+          }
+        } else {
+          const number = parseFloat(cell?.qNum);
+          const value = Number.isFinite(number) ? number : null;
+          record[label] = value;
+          texts[label] = cell?.qText;
+          if (value !== null && value !== 0) {
+            hasNonZeroValues = true;
+          }
+        }
+      });
+
+      // Only include rows with dimension values or some data
+      if (!this.spec.suppression.emptyRows || hasDimensionText || hasNonZeroValues) {
+        records.push(CsvWriter.setRecordTexts(record, texts));
+      }
+    });
+
+    return records;
+  }
+
+  // Records with only the given columns (drops the measure texts kept for CSV)
+  static pickColumns(rows, headers) {
+    return rows.map(row => {
+      const record = {};
+      headers.forEach(header => {
+        record[header] = row[header];
+      });
+      return record;
+    });
+  }
+
+  // Columns of the measures, as the spec labels them
+  getMeasureLabels() {
+    return this.spec.measures.map(measure => measure.label || measure.expression);
+  }
+
+  // Check the balance equation on every row and add the validation_status column
+  validateRows(result) {
+    const roleErrors = BalanceValidator.validateRoles(this.spec.validation.roles, this.spec.getColumnLabels());
+    if (roleErrors.length > 0) {
+      throw new ConfigurationError(`Cannot validate job "${this.spec.name}": ${roleErrors.join('; ')}`);
+    }
+
+    const measureLabels = this.getMeasureLabels();
+    const validator = new BalanceValidator({
+      ...this.spec.validation,
+      keyColumns: result.headers.filter(header => !measureLabels.includes(header)),
+    });
+
+    result.validation = validator.validate(result.rows);
+    result.headers = [...result.headers, 'validation_status'];
+    validator.printSummary(result.validation);
+
+    return result.validation;
+  }
+
+  // Serialize records for a single output file; measureLabels are the numeric columns
+  formatOutput(rows, format, headers, output = {}, measureLabels = this.getMeasureLabels()) {
+    if (format === 'csv') {
+      return new CsvWriter(output.csv).stringifyRecords(rows, headers, measureLabels);
+    }
+
+    return JSON.stringify(JobRunner.pickColumns(rows, headers), null, 2);
+  }
+
+  // Rows grouped by the selection set that produced them (one slice without a sweep)
+  buildSlices(result) {
+    if (!result.completed) {
+      return [{
+        selections: this.spec.selections,
+        rows: result.rows,
+        extractedAt: result.extractedAt,
+      }];
+    }
+
+    return result.completed.map(set => ({
+      selections: set.selections,
+      rows: result.rows.filter(row => Object.entries(set.columns).every(([column, value]) => row[column] === value)),
+      extractedAt: set.extractedAt,
+    }));
+  }
+
+  // Replace the slices of this run in a SQLite table (table name from the output or the job name)
+  async writeSqlite(outputPath, output, result) {
+    const slices = this.buildSlices(result);
+    if (slices.length === 0) {
+      log.info('  no completed selection sets, database left unchanged');
+      return;
+    }
+
+    const columns = SqliteWriter.buildColumns(result.metadata, this.spec.getColumnLabels());
+    if (result.validation) {
+      columns.push({ name: 'validation_status', type: 'TEXT' });
+    }
+    const writer = new SqliteWriter(outputPath, { table: output.table || this.spec.name });
+    const { table, inserted, replaced } = writer.write(columns, slices);
+
+    log.info(`  table "${table}": ${inserted} rows inserted, ${replaced} replaced`);
+  }
+
+  // Output file, tagged with the profile and app of a profile run
+  getOutputPath(output) {
+    return path.resolve(ConnectionProfiles.tagPath(output.path, this.spec.outputTag));
+  }
+
+  // Write the records to every output declared in the spec
+  async writeOutputs(result) {
+    const { failures = [] } = result;
+    const written = [];
+
+    if (this.spec.outputs.length === 0) {
+      return written;
+    }
+
+    log.info('\n💾 Saving outputs...');
+
+    for (const output of this.spec.outputs) {
+      const outputPath = this.getOutputPath(output);
+      const format = output.format || path.extname(outputPath).slice(1).toLowerCase() || 'json';
+
+      // Long and wide outputs are reshaped from the extracted rows; the SQLite table keeps them as they are
+      const shape = OutputShape.from(output);
+      const data = shape ? shape.shapeRecords(result, this.getMeasureLabels()) : { ...result, measureLabels: this.getMeasureLabels() };
+
+      if (format === 'xlsx') {
+        await new XlsxWriter({ sheetName: this.spec.name }).writeRecords(outputPath, data, data.measureLabels);
+      } else if (SqliteWriter.isSqliteFormat(format)) {
+        await this.writeSqlite(outputPath, output, result);
+      } else {
+        await fs.writeFile(outputPath, this.formatOutput(data.rows, format, data.headers, output, data.measureLabels), 'utf8');
+      }
+      log.info(`- ${outputPath} (${data.rows.length} rows${shape ? `, ${shape.shape}` : ''})`);
+      written.push(outputPath);
+    }
+
+    // Failed selection sets are recorded next to the first output
+    if (failures.length > 0) {
+      const firstOutput = this.getOutputPath(this.spec.outputs[0]);
+      const failuresPath = path.join(
+        path.dirname(firstOutput),
+        `${path.basename(firstOutput, path.extname(firstOutput))}.failures.json`
+      );
+
+      await fs.writeFile(failuresPath, JSON.stringify(failures, null, 2), 'utf8');
+      log.info(`⚠️ ${failures.length} selection sets failed, see ${failuresPath}`);
+    }
+
+    return written;
+  }
+}
+
+module.exports = JobRunner;
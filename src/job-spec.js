@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FieldSelector = require('./field-selector');
+const SelectionSweep = require('./selection-sweep');
+const CsvWriter = require('./csv-writer');
+const BalanceValidator = require('./balance-validator');
+const OutputShape = require('./output-shape');
+const SqliteWriter = require('./sqlite-writer');
+const { ConfigurationError } = require('./errors');
+
+// Sort keywords accepted in job files, mapped to qSortCriterias properties
+const SORT_CRITERIA = {
+  loadOrder: 'qSortByLoadOrder',
+  ascii: 'qSortByAscii',
+  numeric: 'qSortByNumeric',
+  expression: 'qSortByExpression',
+};
+
+class JobSpec {
+  constructor(spec, source = null) {
+    this.source = source;
+    this.name = spec.name || (source ? path.basename(source, path.extname(source)) : 'job');
+    this.description = spec.description || '';
+    this.connection = spec.connection || {};
+    this.selections = spec.selections || [];
+    this.sweep = spec.sweep || null;
+    this.dimensions = spec.dimensions || [];
+    this.measures = spec.measures || [];
+    this.sort = spec.sort || [];
+    this.suppression = {
+      zero: false,
+      missing: false,
+      emptyRows: true,
+      ...(spec.suppression || {}),
+    };
+    this.pageSize = spec.pageSize || 100;
+    this.maxPages = spec.maxPages || 100;
+    // Data requests in flight at once
+    this.concurrency = spec.concurrency || 2;
+    this.outputs = spec.outputs || [];
+    this.reconciliation = spec.reconciliation || {};
+    // true, or { roles, tolerance } for cubes with other measure labels
+    this.validation = spec.validation === true ? {} : spec.validation || null;
+    // Profile and app of a connection profile run, added to output and checkpoint names
+    this.outputTag = null;
+
+    this.validate();
+  }
+
+  // Load a job file (.json, .yml or .yaml)
+  static load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      throw new ConfigurationError(`Job file not found: ${resolvedPath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf8');
+    const extension = path.extname(resolvedPath).toLowerCase();
+    let spec;
+
+    try {
+      if (extension === '.yml' || extension === '.yaml') {
+        const yaml = require('js-yaml');
+        spec = yaml.load(content);
+      } else {
+        spec = JSON.parse(content);
+      }
+    } catch (error) {
+      throw new ConfigurationError(`Failed to parse job file ${resolvedPath}: ${error.message}`, error);
+    }
+
+    return new JobSpec(spec, resolvedPath);
+  }
+
+  // Check the spec for the fields the runner relies on
+  validate() {
+    const errors = [];
+
+    if (!Array.isArray(this.dimensions) || this.dimensions.length === 0) {
+      errors.push('at least one dimension is required');
+    } else {
+      this.dimensions.forEach((dim, index) => {
+        if (!dim.field) {
+          errors.push(`dimensions[${index}].field is required`);
+        }
+        if (dim.sort && !SORT_CRITERIA[dim.sort] && dim.sort !== 'none') {
+          errors.push(`dimensions[${index}].sort must be one of: ${Object.keys(SORT_CRITERIA).join(', ')}, none`);
+        }
+      });
+    }
+
+    if (!Array.isArray(this.measures)) {
+      errors.push('measures must be a list');
+    } else {
+      this.measures.forEach((measure, index) => {
+        if (!measure.expression) {
+          errors.push(`measures[${index}].expression is required`);
+        }
+        if (measure.sort && !SORT_CRITERIA[measure.sort] && measure.sort !== 'none') {
+          errors.push(`measures[${index}].sort must be one of: ${Object.keys(SORT_CRITERIA).join(', ')}, none`);
+        }
+      });
+    }
+
+    this.selections.forEach((selection, index) => {
+      const selectionError = FieldSelector.validateSelection(selection);
+      if (selectionError) {
+        errors.push(`selections[${index}]: ${selectionError}`);
+      }
+    });
+
+    if (this.sweep) {
+      errors.push(...SelectionSweep.validate(this.sweep));
+    }
+
+    const labels = this.getColumnLabels();
+    this.sort.forEach(label => {
+      if (!labels.includes(label)) {
+        errors.push(`sort refers to unknown column "${label}"`);
+      }
+    });
+
+    if (this.validation) {
+      errors.push(...BalanceValidator.validateRoles(this.validation.roles, labels));
+    }
+
+    this.outputs.forEach((output, index) => {
+      if (!output.path) {
+        errors.push(`outputs[${index}].path is required`);
+      }
+      if (output.csv) {
+        try {
+          new CsvWriter(output.csv);
+        } catch (error) {
+          errors.push(`outputs[${index}].csv: ${error.message}`);
+        }
+      }
+      if (output.shape || output.by) {
+        errors.push(...this.validateShape(output).map(error => `outputs[${index}]: ${error}`));
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ConfigurationError(`Invalid job spec "${this.name}": ${errors.join('; ')}`);
+    }
+  }
+
+  static getOutputFormat(output) {
+    return output.format || path.extname(output.path || '').slice(1).toLowerCase();
+  }
+
+  // A long or wide output may spread a dimension or a swept field into columns, never into a table
+  validateShape(output) {
+    if (SqliteWriter.isSqliteFormat(JobSpec.getOutputFormat(output))) {
+      return ['SQLite outputs keep the extracted shape, remove "shape"'];
+    }
+
+    const selectionSets = this.sweep && SelectionSweep.validate(this.sweep).length === 0 ? this.getSelectionSets() : [];
+    const keyColumns = [
+      ...SelectionSweep.getSelectionColumns(selectionSets),
+      ...this.dimensions.map(dim => dim.label || dim.field),
+    ];
+    const error = OutputShape.validate(output, keyColumns);
+    return error ? [error] : [];
+  }
+
+  // Reshape every file output (--shape, --by); SQLite tables keep the extracted rows
+  applyShape(shape, by) {
+    const errors = this.validateShape({ shape, by });
+    if (errors.length > 0) {
+      throw new ConfigurationError(`Invalid output shape for job "${this.name}": ${errors.join('; ')}`);
+    }
+
+    this.outputs
+      .filter(output => !SqliteWriter.isSqliteFormat(JobSpec.getOutputFormat(output)))
+      .forEach(output => {
+        output.shape = shape;
+        output.by = by;
+      });
+  }
+
+  // Column labels in hypercube order (dimensions first, then measures)
+  getColumnLabels() {
+    return [
+      ...this.dimensions.map(dim => dim.label || dim.field),
+      ...this.measures.map(measure => measure.label || measure.expression),
+    ];
+  }
+
+  // Selection sets of the sweep (fixed selections are applied in every set)
+  getSelectionSets() {
+    if (!this.sweep) {
+      return null;
+    }
+    return SelectionSweep.buildSelectionSets(this.sweep, this.selections);
+  }
+
+  // Point the job at a connection profile target (see ConnectionProfiles.resolveTargets)
+  applyTarget(target) {
+    Object.assign(this.connection, target.config);
+    this.outputTag = target.tag;
+  }
+
+  // Fingerprint of what the job extracts, used to tell whether a checkpoint still applies
+  // (outputs, page size and validation do not change the extracted rows)
+  getHash() {
+    const fingerprint = {
+      appId: this.buildConnectionConfig().appId,
+      selections: this.selections,
+      sweep: this.sweep,
+      dimensions: this.dimensions,
+      measures: this.measures,
+      sort: this.sort,
+      suppression: this.suppression,
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(fingerprint)).digest('hex');
+  }
+
+  // Replace ${VAR} references with environment variables
+  expandEnv(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => process.env[name] || '');
+  }
+
+  // Connection settings for SessionManager: environment defaults overridden by the job file
+  buildConnectionConfig() {
+    const config = {
+      engineHost: process.env.QLIK_ENGINE_HOST || 'localhost',
+      enginePort: process.env.QLIK_ENGINE_PORT || 4747,
+      appId: process.env.QLIK_APP_ID,
+      authMethod: process.env.QLIK_AUTH_METHOD || 'certificates',
+      userDirectory: process.env.QLIK_USER_DIRECTORY,
+      userId: process.env.QLIK_USER_ID,
+      certificatesPath: process.env.QLIK_CERTIFICATES_PATH || './config/certificates',
+      tlsVerify: process.env.QLIK_TLS_VERIFY !== 'false',
+      tlsServerName: process.env.QLIK_TLS_SERVERNAME,
+      tlsFingerprint: process.env.QLIK_TLS_FINGERPRINT,
+      apiKey: process.env.QLIK_API_KEY,
+      jwtToken: process.env.QLIK_JWT_TOKEN,
+      enableTrafficLogging: process.env.QLIK_ENABLE_TRAFFIC_LOGGING === 'true',
+      trafficLog: process.env.QLIK_TRAFFIC_LOG,
+      recordTraffic: process.env.QLIK_RECORD_TRAFFIC,
+      replayTraffic: process.env.QLIK_REPLAY_TRAFFIC,
+      simulateCsv: process.env.QLIK_SIMULATE_CSV,
+      reconnectAttempts: process.env.QLIK_RECONNECT_ATTEMPTS,
+      reconnectDelayMs: process.env.QLIK_RECONNECT_DELAY_MS,
+      reconnectMaxDelayMs: process.env.QLIK_RECONNECT_MAX_DELAY_MS,
+    };
+
+    Object.entries(this.connection).forEach(([key, value]) => {
+      config[key] = this.expandEnv(value);
+    });
+
+    return config;
+  }
+
+  // Build qSortCriterias for a dimension or measure entry
+  buildSortCriteria(entry) {
+    if (!entry.sort || entry.sort === 'none') {
+      return undefined;
+    }
+
+    const direction = entry.sortDirection === 'desc' ? -1 : 1;
+    const criteria = { [SORT_CRITERIA[entry.sort]]: direction };
+
+    if (entry.sort === 'expression' && entry.sortExpression) {
+      criteria.qExpression = { qv: entry.sortExpression };
+    }
+
+    return [criteria];
+  }
+
+  // Build the session object properties (qHyperCubeDef) described by the spec
+  buildHyperCubeDef() {
+    const labels = this.getColumnLabels();
+
+    const qDimensions = this.dimensions.map(dim => {
+      const qDef = {
+        qFieldDefs: [dim.field],
+      };
+      if (dim.label) {
+        qDef.qFieldLabels = [dim.label];
+      }
+      const sortCriterias = this.buildSortCriteria(dim);
+      if (sortCriterias) {
+        qDef.qSortCriterias = sortCriterias;
+      }
+
+      return {
+        qDef,
+        qNullSuppression: dim.nullSuppression !== false,
+      };
+    });
+
+    const qMeasures = this.measures.map(measure => {
+      const result = {
+        qDef: {
+          qDef: measure.expression,
+          qLabel: measure.label || measure.expression,
+        },
+      };
+      const sortCriterias = this.buildSortCriteria(measure);
+      if (sortCriterias) {
+        result.qSortBy = sortCriterias[0];
+      }
+      return result;
+    });
+
+    const hyperCubeDef = {
+      qDimensions,
+      qMeasures,
+      qSuppressZero: !!this.suppression.zero,
+      qSuppressMissing: !!this.suppression.missing,
+      qInitialDataFetch: [{
+        qLeft: 0,
+        qTop: 0,
+        qWidth: labels.length,
+        qHeight: 0,
+      }],
+    };
+
+    // Explicit inter-column sort order; remaining columns keep their natural order
+    if (this.sort.length > 0) {
+      const order = this.sort.map(label => labels.indexOf(label));
+      labels.forEach((label, index) => {
+        if (!order.includes(index)) {
+          order.push(index);
+        }
+      });
+      hyperCubeDef.qInterColumnSortOrder = order;
+    }
+
+    return {
+      qInfo: { qType: 'table' },
+      qHyperCubeDef: hyperCubeDef,
+    };
+  }
+}
+
+module.exports = JobSpec;
@@ -0,0 +1,129 @@
+const { ConfigurationError } = require('./errors');
+
+// Log levels from the most to the least verbose; a level prints itself and the ones after it
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// text: the messages as they are; json: one JSON object per line
+// Every level goes to stderr, so stdout carries only the output of a command (e.g. --format json)
+const FORMATS = ['text', 'json'];
+
+// Keys whose values never reach a log line or a traffic capture
+const SECRET_KEY_PATTERN = /authorization|cookie|x-qlik-user|user[-_]?id|user[-_]?directory|username|password|secret|token|api-?key|passphrase/i;
+const REDACTED = '[REDACTED]';
+
+// Level and format shared by every logger; unset values come from QLIK_LOG_LEVEL and QLIK_LOG_FORMAT
+const settings = {
+  level: null,
+  format: null,
+};
+
+// Leveled logger of one module (the scope), e.g. new Logger('session-manager')
+class Logger {
+  constructor(scope) {
+    this.scope = scope;
+  }
+
+  // Set the level and format of all loggers (--quiet, --verbose, --log-format)
+  static configure(options = {}) {
+    const { level, format } = options;
+
+    if (level !== undefined && !LEVELS.includes(level)) {
+      throw new ConfigurationError(`Unknown log level "${level}" (use ${LEVELS.join(', ')})`);
+    }
+    if (format !== undefined && !FORMATS.includes(format)) {
+      throw new ConfigurationError(`Unknown log format "${format}" (use ${FORMATS.join(' or ')})`);
+    }
+
+    if (level !== undefined) {
+      settings.level = level;
+    }
+    if (format !== undefined) {
+      settings.format = format;
+    }
+  }
+
+  // Read when a message is written, so .env files loaded after require still apply
+  static getLevel() {
+    const level = settings.level || process.env.QLIK_LOG_LEVEL || 'info';
+    return LEVELS.includes(level) ? level : 'info';
+  }
+
+  static getFormat() {
+    const format = settings.format || process.env.QLIK_LOG_FORMAT || 'text';
+    return FORMATS.includes(format) ? format : 'text';
+  }
+
+  // Copy of a value with the secret keys replaced, for logs and traffic captures
+  static redact(value, seen = new WeakSet()) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => Logger.redact(item, seen));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      copy[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : Logger.redact(item, seen);
+    });
+    return copy;
+  }
+
+  // JSON form of a detail passed after the message; errors keep their name, message and code
+  static serialize(detail) {
+    if (detail instanceof Error) {
+      return { name: detail.name, message: detail.message, ...(detail.code !== undefined ? { code: detail.code } : {}) };
+    }
+    return Logger.redact(detail);
+  }
+
+  isEnabled(level) {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(Logger.getLevel());
+  }
+
+  debug(message, ...details) {
+    this.write('debug', message, details);
+  }
+
+  info(message, ...details) {
+    this.write('info', message, details);
+  }
+
+  warn(message, ...details) {
+    this.write('warn', message, details);
+  }
+
+  error(message, ...details) {
+    this.write('error', message, details);
+  }
+
+  write(level, message, details) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    if (Logger.getFormat() === 'json') {
+      const record = {
+        time: new Date().toISOString(),
+        level,
+        scope: this.scope,
+        message: String(message).trim(),
+      };
+      if (details.length > 0) {
+        record.details = details.map(detail => Logger.serialize(detail));
+      }
+      process.stderr.write(`${JSON.stringify(record)}\n`);
+      return;
+    }
+
+    const text = level === 'debug' ? `[${this.scope}] ${message}` : message;
+    console.error(text, ...details.map(detail => (detail instanceof Error ? detail : Logger.redact(detail))));
+  }
+}
+
+module.exports = Logger;
@@ -0,0 +1,211 @@
+const CsvWriter = require('./csv-writer');
+const { ConfigurationError } = require('./errors');
+
+const SHAPES = ['long', 'wide'];
+
+// Columns of the long shape: the measure name and its value
+const MEASURE_COLUMN = 'measure';
+const VALUE_COLUMN = 'value';
+
+// Reshapes extracted rows for an output file
+// long (tidy): one row per dimension tuple and measure, with measure and value columns
+// wide: the members of one dimension (by) become columns, one per member and measure
+class OutputShape {
+  constructor(options = {}) {
+    this.shape = options.shape;
+    this.by = options.by || null;
+
+    const error = OutputShape.validate(options);
+    if (error) {
+      throw new ConfigurationError(error);
+    }
+  }
+
+  // Check shape options ({ shape, by }); keyColumns are the columns "by" may name
+  static validate(options, keyColumns = null) {
+    const { shape, by } = options;
+
+    if (!SHAPES.includes(shape)) {
+      return `Unknown output shape "${shape}" (use ${SHAPES.join(' or ')})`;
+    }
+    if (shape === 'wide' && !by) {
+      return 'The wide shape needs the dimension whose members become columns (by)';
+    }
+    if (shape === 'long' && by) {
+      return '"by" only applies to the wide shape';
+    }
+    if (by && keyColumns && !keyColumns.includes(by)) {
+      return `Cannot spread "${by}" into columns: it is not a dimension (${keyColumns.join(', ')})`;
+    }
+    return null;
+  }
+
+  // Shape of an output entry or configuration ({ shape, by }); null keeps the rows as extracted
+  static from(options) {
+    return options && options.shape ? new OutputShape(options) : null;
+  }
+
+  // Column of a member and measure in the wide shape; the member alone when there is one measure
+  static getWideColumn(member, measure, measureCount) {
+    return measureCount === 1 ? member : `${member} ${measure}`;
+  }
+
+  // Reshape rows ({ column: cell }) given their key (dimension) and measure columns
+  // text(cell) is the member text of a key cell, label(text) builds the cell of a measure name
+  // Returns the rows with their key columns and measure columns ({ name, measure })
+  reshape(rows, keyColumns, measureColumns, { text, label }) {
+    if (this.by && !keyColumns.includes(this.by)) {
+      throw new ConfigurationError(`Cannot spread "${this.by}" into columns: it is not a dimension (${keyColumns.join(', ')})`);
+    }
+
+    if (this.shape === 'long') {
+      const shaped = [];
+      rows.forEach(row => {
+        measureColumns.forEach(measure => {
+          const record = {};
+          keyColumns.forEach(column => {
+            record[column] = row[column];
+          });
+          record[MEASURE_COLUMN] = label(measure);
+          record[VALUE_COLUMN] = row[measure];
+          shaped.push(record);
+        });
+      });
+
+      return {
+        rows: shaped,
+        keyColumns: [...keyColumns, MEASURE_COLUMN],
+        measureColumns: [{ name: VALUE_COLUMN, measure: null }],
+      };
+    }
+
+    // Wide: one row per combination of the other key columns, members in order of appearance
+    const otherColumns = keyColumns.filter(column => column !== this.by);
+    const members = new Set();
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const member = text(row[this.by]);
+      members.add(member);
+
+      const groupKey = JSON.stringify(otherColumns.map(column => text(row[column])));
+      let group = groups.get(groupKey);
+      if (!group) {
+        group = {};
+        otherColumns.forEach(column => {
+          group[column] = row[column];
+        });
+        groups.set(groupKey, group);
+      }
+
+      measureColumns.forEach(measure => {
+        group[OutputShape.getWideColumn(member, measure, measureColumns.length)] = row[measure];
+      });
+    });
+
+    return {
+      rows: [...groups.values()],
+      keyColumns: otherColumns,
+      measureColumns: [...members].flatMap(member => measureColumns.map(measure => ({
+        name: OutputShape.getWideColumn(member, measure, measureColumns.length),
+        measure,
+      }))),
+    };
+  }
+
+  // Metadata of the shaped measure columns; wide columns keep the number format of their measure
+  buildMeasureInfo(measureColumns, findMeasure) {
+    return measureColumns.map(column => {
+      const info = column.measure ? findMeasure(column.measure) : null;
+      return { qFallbackTitle: column.name, ...(info && info.qNumFormat ? { qNumFormat: info.qNumFormat } : {}) };
+    });
+  }
+
+  // Reshape formatted pivot data ({ headers, rows: [{ index, data }], metadata, summary })
+  shapeFormattedData(data) {
+    const keyColumns = data.headers.filter(header => header.type !== 'measure').map(header => header.name);
+    const measureColumns = data.headers.filter(header => header.type === 'measure').map(header => header.name);
+
+    const shaped = this.reshape(data.rows.map(row => row.data), keyColumns, measureColumns, {
+      text: cell => (cell ? cell.text : ''),
+      label: text => ({ text, number: 'NaN' }),
+    });
+
+    const dimensions = data.metadata.dimensions || [];
+    const measures = data.metadata.measures || [];
+    const headers = [
+      ...shaped.keyColumns.map(name => ({ name, type: 'dimension' })),
+      ...shaped.measureColumns.map(column => ({ name: column.name, type: 'measure' })),
+    ].map((header, index) => ({ ...header, index }));
+
+    return {
+      ...data,
+      headers,
+      rows: shaped.rows.map((row, index) => ({ index, data: row })),
+      metadata: {
+        ...data.metadata,
+        dimensions: shaped.keyColumns.map(name => dimensions.find(info => info.qFallbackTitle === name) || { qFallbackTitle: name }),
+        measures: this.buildMeasureInfo(shaped.measureColumns, name => measures.find(info => info.qFallbackTitle === name)),
+        shape: this.shape,
+        shapeBy: this.by,
+      },
+      summary: {
+        ...data.summary,
+        totalRows: shaped.rows.length,
+        totalColumns: headers.length,
+        dimensions: shaped.keyColumns.length,
+        measures: shaped.measureColumns.length,
+      },
+    };
+  }
+
+  // Reshape job records ({ headers, rows, metadata }); measureLabels are the numeric columns
+  // in qMeasureInfo order. Returns the result with its new headers, rows and measureLabels
+  shapeRecords(result, measureLabels) {
+    const keyColumns = result.headers.filter(header => !measureLabels.includes(header));
+    const measureColumns = result.headers.filter(header => measureLabels.includes(header));
+
+    // Measures travel as { number, text } so the formatted texts follow them into their new columns
+    const rows = result.rows.map(row => {
+      const record = { ...row };
+      measureColumns.forEach(measure => {
+        record[measure] = { number: row[measure], text: CsvWriter.getRecordText(row, measure) };
+      });
+      return record;
+    });
+
+    const shaped = this.reshape(rows, keyColumns, measureColumns, {
+      text: value => (value === undefined || value === null ? '' : String(value)),
+      label: text => text,
+    });
+    const measures = (result.metadata && result.metadata.measures) || [];
+
+    const shapedRows = shaped.rows.map(row => {
+      const record = {};
+      const texts = {};
+      shaped.keyColumns.forEach(column => {
+        record[column] = row[column];
+      });
+      shaped.measureColumns.forEach(({ name }) => {
+        record[name] = row[name] ? row[name].number : undefined;
+        texts[name] = row[name] ? row[name].text : undefined;
+      });
+      return CsvWriter.setRecordTexts(record, texts);
+    });
+
+    return {
+      ...result,
+      headers: [...shaped.keyColumns, ...shaped.measureColumns.map(column => column.name)],
+      rows: shapedRows,
+      measureLabels: shaped.measureColumns.map(column => column.name),
+      metadata: {
+        ...result.metadata,
+        measures: this.buildMeasureInfo(shaped.measureColumns, label => measures[measureLabels.indexOf(label)]),
+      },
+      // Sheets per selection set need the selection columns, which the wide shape may spread
+      completed: result.completed && result.completed.every(set => !(this.by in set.columns)) ? result.completed : null,
+    };
+  }
+}
+
+module.exports = OutputShape;
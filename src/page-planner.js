@@ -0,0 +1,117 @@
+const { ExtractionError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('page-planner');
+
+// Engine limit on the cells of one data request, all page rectangles together
+const CELL_LIMIT = 10000;
+
+// Requests slower than this make the next ones smaller; faster ones grow them back
+const SLOW_REQUEST_MS = 5000;
+const FAST_REQUEST_MS = 1000;
+
+// Plans the data requests of a paged extraction: page rectangles whose height follows from the
+// cell budget and the column count, as many pages per request as the budget allows, and a
+// request size that shrinks after engine errors or slow responses and grows back when fast
+class PagePlanner {
+  constructor(options) {
+    const {
+      totalRows,
+      width,
+      startRow = 0,
+      startCol = 0,
+      endRow = totalRows,
+      pageSize = 1000,
+      cellLimit = CELL_LIMIT,
+      pagesPerRequest = Infinity,
+      slowRequestMs = SLOW_REQUEST_MS,
+      fastRequestMs = FAST_REQUEST_MS,
+    } = options;
+
+    if (width > cellLimit) {
+      throw new ExtractionError(`A row has ${width} cells, more than the ${cellLimit} cells one request may return; limit the columns (columnCount)`);
+    }
+
+    this.width = Math.max(1, width);
+    this.startCol = startCol;
+    this.endRow = Math.min(totalRows, endRow);
+    this.pageSize = Math.max(1, pageSize);
+    this.pagesPerRequest = Math.max(1, pagesPerRequest);
+    this.slowRequestMs = slowRequestMs;
+    this.fastRequestMs = fastRequestMs;
+    this.nextRow = startRow;
+
+    // Cells per request: adapted between one row and the ceiling, which drops when the engine refuses a size
+    this.cellBudget = cellLimit;
+    this.ceiling = cellLimit;
+  }
+
+  // Rows per page rectangle
+  getPageHeight() {
+    return Math.max(1, Math.min(this.pageSize, Math.floor(this.cellBudget / this.width)));
+  }
+
+  hasMore() {
+    return this.nextRow < this.endRow;
+  }
+
+  // Page rectangles of the next request, consecutive rows from the planned position
+  next() {
+    const pageHeight = this.getPageHeight();
+    const pageCount = Math.max(1, Math.min(this.pagesPerRequest, Math.floor(this.cellBudget / (pageHeight * this.width))));
+    const pages = [];
+
+    for (let i = 0; i < pageCount && this.nextRow < this.endRow; i++) {
+      const height = Math.min(pageHeight, this.endRow - this.nextRow);
+      pages.push({
+        qTop: this.nextRow,
+        qLeft: this.startCol,
+        qHeight: height,
+        qWidth: this.width,
+      });
+      this.nextRow += height;
+    }
+
+    return pages;
+  }
+
+  // Plan again from a row; requests planned after it are dropped by the caller
+  rewind(row) {
+    this.nextRow = row;
+  }
+
+  // Halve the request size; the pages of a request the engine refused (refusedPages) also lower
+  // the ceiling to half their cells for the rest of the run
+  // Returns false when a request is already down to a single row
+  shrink(reason, refusedPages = null) {
+    const smallest = this.width;
+    const refusedCells = refusedPages
+      ? refusedPages.reduce((total, page) => total + page.qWidth * page.qHeight, 0)
+      : Infinity;
+    const current = Math.min(this.cellBudget, refusedCells);
+    if (current <= smallest) {
+      return false;
+    }
+
+    const previous = this.cellBudget;
+    this.cellBudget = Math.max(smallest, Math.floor(current / 2));
+    if (refusedPages) {
+      this.ceiling = this.cellBudget;
+    }
+    log.info(`📐 Request size ${previous} → ${this.cellBudget} cells (${reason}), ${this.getPageHeight()} rows per page`);
+    return true;
+  }
+
+  // Adapt the request size to the response time of the last request
+  recordLatency(durationMs) {
+    if (durationMs > this.slowRequestMs) {
+      this.shrink(`slow response, ${durationMs} ms`);
+    } else if (durationMs < this.fastRequestMs && this.cellBudget < this.ceiling) {
+      const previous = this.cellBudget;
+      this.cellBudget = Math.min(this.ceiling, Math.floor(this.cellBudget * 1.5));
+      log.info(`📐 Request size ${previous} → ${this.cellBudget} cells (fast response, ${durationMs} ms)`);
+    }
+  }
+}
+
+module.exports = PagePlanner;
@@ -1,3 +1,25 @@
+const schema = require('enigma.js/schemas/12.20.0.json');
+const PivotPageDecoder = require('./pivot-page-decoder');
+const CsvWriter = require('./csv-writer');
+const SessionManager = require('./session-manager');
+const PagePlanner = require('./page-planner');
+const { ExtractionError, ConnectionError, ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('pivot-extractor');
+
+// Engine error of a request aborted by the engine (numeric, like all LocalizedErrorCode values)
+const { LOCERR_GENERIC_ABORTED } = schema.enums.LocalizedErrorCode;
+
+// Times one extraction resumes after a dropped connection before giving up
+const MAX_CONNECTION_RECOVERIES = 3;
+
+// Layout qMode of objects that page through GetHyperCubePivotData ('P'); the enum names are a fallback
+const PIVOT_MODES = ['P', 'EQ_DATA_MODE_PIVOT', 'DATA_MODE_PIVOT'];
+
+// Tree nodes read per request when looking for expandable nodes (one data column or row wide)
+const TREE_PAGE_SIZE = 10000;
+
 class PivotExtractor {
   constructor(doc) {
     this.doc = doc;
@@ -6,39 +28,151 @@ class PivotExtractor {
   // Get existing pivot table object by ID
   async getPivotObject(objectId) {
     try {
-      console.log(`Getting pivot object with ID: ${objectId}`);
+      log.info(`Getting pivot object with ID: ${objectId}`);
       const pivotObject = await this.doc.getObject(objectId);
-      console.log('Pivot object retrieved successfully');
+      log.info('Pivot object retrieved successfully');
       return pivotObject;
     } catch (error) {
-      console.error(`Failed to get pivot object ${objectId}:`, error);
-      throw error;
+      log.error(`Failed to get pivot object ${objectId}:`, error.message);
+      throw ExtractionError.from(error);
     }
   }
 
   // Get pivot table layout (metadata and structure)
   async getPivotLayout(pivotObject) {
     try {
-      console.log('Getting pivot layout...');
+      log.info('Getting pivot layout...');
       const layout = await pivotObject.getLayout();
       
       const hypercube = layout.qHyperCube;
-      console.log('Pivot layout info:');
-      console.log(`- Dimensions: ${hypercube.qDimensionInfo.length}`);
-      console.log(`- Measures: ${hypercube.qMeasureInfo.length}`);
-      console.log(`- Total rows: ${hypercube.qSize.qcy}`);
-      console.log(`- Total columns: ${hypercube.qSize.qcx}`);
-      console.log(`- Data mode: ${hypercube.qMode}`);
+      log.info('Pivot layout info:');
+      log.info(`- Dimensions: ${hypercube.qDimensionInfo.length}`);
+      log.info(`- Measures: ${hypercube.qMeasureInfo.length}`);
+      log.info(`- Total rows: ${hypercube.qSize.qcy}`);
+      log.info(`- Total columns: ${hypercube.qSize.qcx}`);
+      log.info(`- Data mode: ${hypercube.qMode}`);
       
       return layout;
     } catch (error) {
-      console.error('Failed to get pivot layout:', error);
+      log.error('Failed to get pivot layout:', error.message);
       throw error;
     }
   }
 
+  // Expansion option from a flag or setting: "all" (or true) expands every level, a number
+  // expands down to that many levels; empty means the saved state of the object is kept
+  static parseExpand(value) {
+    if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+      return null;
+    }
+    if (value === true || value === 'true' || value === 'all') {
+      return true;
+    }
+    const depth = Number(value);
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new ConfigurationError(`Expand must be "all" or a number of levels (1 or more), got "${value}"`);
+    }
+    return depth;
+  }
+
+  // Expand the left and top dimension trees of a pivot object (expand: true for all levels, or
+  // the number of levels to show) and return a function that restores the saved properties
+  async expandPivot(pivotObject, expand) {
+    const properties = await pivotObject.getProperties();
+
+    try {
+      if (expand === true) {
+        log.info('Expanding all pivot nodes...');
+        await pivotObject.expandLeft('/qHyperCubeDef', 0, 0, true);
+        await pivotObject.expandTop('/qHyperCubeDef', 0, 0, true);
+      } else {
+        log.info(`Expanding pivot nodes down to level ${expand}...`);
+        await this.expandToDepth(pivotObject, expand);
+      }
+    } catch (error) {
+      await pivotObject.setProperties(properties).catch(() => {});
+      throw new ExtractionError(`Could not expand the pivot object: ${error.message}`, error);
+    }
+
+    return async () => {
+      try {
+        await pivotObject.setProperties(properties);
+        log.info('Restored the saved expansion of the pivot object');
+      } catch (error) {
+        // Objects the user may not change keep the expansion until the session ends
+        log.warn(`⚠️ Could not restore the expansion of the pivot object: ${error.message}`);
+      }
+    };
+  }
+
+  // Collapse everything, then expand the nodes of each level above the depth
+  // Nodes are expanded from the last to the first, so the positions of the others do not move
+  async expandToDepth(pivotObject, depth) {
+    await pivotObject.collapseLeft('/qHyperCubeDef', 0, 0, true);
+    await pivotObject.collapseTop('/qHyperCubeDef', 0, 0, true);
+
+    for (let level = 0; level < depth - 1; level++) {
+      const rows = await this.findExpandableNodes(pivotObject, 'left', level);
+      for (const row of rows.reverse()) {
+        await pivotObject.expandLeft('/qHyperCubeDef', row, level, false);
+      }
+
+      const columns = await this.findExpandableNodes(pivotObject, 'top', level);
+      for (const column of columns.reverse()) {
+        await pivotObject.expandTop('/qHyperCubeDef', level, column, false);
+      }
+
+      log.debug(`Level ${level + 1}: expanded ${rows.length} left and ${columns.length} top nodes`);
+    }
+  }
+
+  // Positions (row for left, column for top) of the collapsed nodes on one tree level
+  // A node spanning two tree pages is counted where it starts
+  async findExpandableNodes(pivotObject, side, level) {
+    const layout = await pivotObject.getLayout();
+    const { qcx, qcy } = layout.qHyperCube.qSize;
+    const length = side === 'left' ? qcy : qcx;
+    const positions = new Map();
+
+    for (let start = 0; start < length; start += TREE_PAGE_SIZE) {
+      const size = Math.min(TREE_PAGE_SIZE, length - start);
+      const page = side === 'left'
+        ? { qTop: start, qLeft: 0, qHeight: size, qWidth: 1 }
+        : { qTop: 0, qLeft: start, qHeight: 1, qWidth: size };
+      const [pageData] = await pivotObject.getHyperCubePivotData('/qHyperCubeDef', [page]);
+
+      let position = start;
+      const visit = (nodes, depth, parentKey) => {
+        nodes.forEach(node => {
+          const key = `${parentKey}/${node.qElemNo}`;
+          if (depth === level && node.qCanExpand && node.qType !== 'T' && !positions.has(key)) {
+            positions.set(key, position);
+          }
+          if (node.qSubNodes && node.qSubNodes.length > 0) {
+            visit(node.qSubNodes, depth + 1, key);
+          } else {
+            position++;
+          }
+        });
+      };
+      visit((side === 'left' ? pageData.qLeft : pageData.qTop) || [], 0, '');
+    }
+
+    return [...positions.values()];
+  }
+
   // Extract pivot data with optimization (pagination)
   async extractPivotData(pivotObject, options = {}) {
+    // The expansion changes the size of the object, so it comes before the layout is read
+    if (options.expand) {
+      const restoreExpansion = await this.expandPivot(pivotObject, options.expand);
+      try {
+        return await this.extractPivotData(pivotObject, { ...options, expand: null });
+      } finally {
+        await restoreExpansion();
+      }
+    }
+
     try {
       const {
         pageSize = 1000,     // Number of rows per page
@@ -46,9 +180,18 @@ class PivotExtractor {
         startRow = 0,        // Starting row
         startCol = 0,        // Starting column
         columnCount = null,  // Number of columns (null = all)
+        includeTotals = true, // Keep total rows/nodes when decoding pivot pages
+        onPage = null,       // Receives each page of rows instead of collecting them (streaming)
+        onProgress = null,   // Called with { extractedRows, totalRows } after each page
+        onConnectionLost = null, // Waits for the reconnect and returns the object to continue paging on
+        checkpoint = null,   // { nextRow, rows, save(rows, nextRow) } of an interrupted run, saved after each page
+        concurrency = 1,     // Data requests in flight at once
+        pagesPerRequest = Infinity, // Page rectangles per request (within the cell limit)
+        cellLimit = undefined, // Cells per request (engine limit 10,000)
+        hierarchy = false,   // Add the nested hierarchy with subtotals (pivot objects, not streamed)
       } = options;
 
-      console.log('Starting optimized pivot data extraction...');
+      log.info('Starting optimized pivot data extraction...');
       
       // Get layout first to understand data structure
       const layout = await this.getPivotLayout(pivotObject);
@@ -57,145 +200,213 @@ class PivotExtractor {
       const totalRows = hypercube.qSize.qcy;
       const totalCols = columnCount || hypercube.qSize.qcx;
       
-      console.log(`Extracting data: ${totalRows} rows, ${totalCols} columns`);
+      log.info(`Extracting data: ${totalRows} rows, ${totalCols} columns`);
+      
+      const isPivotMode = PIVOT_MODES.includes(hypercube.qMode);
+      const pivotDecoder = isPivotMode ? new PivotPageDecoder(hypercube) : null;
+      const nestedData = [];
       
       const allData = [];
+      let extractedRows = 0;
       let currentRow = startRow;
       let pagesProcessed = 0;
-
-      // Extract data in chunks (pagination for memory optimization)
-      while (currentRow < totalRows && pagesProcessed < maxPages) {
-        const remainingRows = totalRows - currentRow;
-        const rowsToFetch = Math.min(pageSize, remainingRows);
-        
-        console.log(`Fetching page ${pagesProcessed + 1}: rows ${currentRow} to ${currentRow + rowsToFetch - 1}`);
-        
-        try {
-          let pageData;
-          
-          // Choose extraction method based on data mode
-          if (hypercube.qMode === 'EQ_DATA_MODE_PIVOT') {
-            // Use getHyperCubePivotData for pivot tables
-            pageData = await pivotObject.getHyperCubePivotData('/qHyperCubeDef', [{
-              qTop: currentRow,
-              qLeft: startCol,
-              qHeight: rowsToFetch,
-              qWidth: totalCols,
-            }]);
-          } else {
-            // Use getHyperCubeData for straight tables
-            pageData = await pivotObject.getHyperCubeData('/qHyperCubeDef', [{
-              qTop: currentRow,
-              qLeft: startCol,
-              qHeight: rowsToFetch,
-              qWidth: totalCols,
-            }]);
-          }
-          
-          if (pageData && pageData.length > 0 && pageData[0].qMatrix) {
-            const matrixData = pageData[0].qMatrix;
-            allData.push(...matrixData);
-            console.log(`Page ${pagesProcessed + 1}: ${matrixData.length} rows fetched`);
-          } else {
-            console.log(`Page ${pagesProcessed + 1}: No data returned`);
-            break;
-          }
-          
-          currentRow += rowsToFetch;
-          pagesProcessed++;
-          
-          // Small delay to prevent overloading the server
-          if (pagesProcessed < maxPages && currentRow < totalRows) {
-            await new Promise(resolve => setTimeout(resolve, 10));
+      let connectionRecoveries = 0;
+      
+      // Hand rows to the page callback when streaming, otherwise keep them in memory
+      const pageMetadata = {
+        dimensions: hypercube.qDimensionInfo,
+        measures: hypercube.qMeasureInfo,
+      };
+      const collectRows = async (rows, nextRow = null) => {
+        extractedRows += rows.length;
+        if (onPage) {
+          await onPage(rows, { startIndex: extractedRows - rows.length, metadata: pageMetadata });
+        } else {
+          allData.push(...rows);
+        }
+        if (checkpoint && nextRow !== null) {
+          try {
+            await checkpoint.save(rows, nextRow);
+          } catch (error) {
+            throw new ExtractionError(`Could not write checkpoint: ${error.message}`, error);
           }
-          
-        } catch (pageError) {
-          console.error(`Error fetching page ${pagesProcessed + 1}:`, pageError);
-          
+        }
+        if (onProgress) {
+          onProgress({ extractedRows, totalRows });
+        }
+      };
+
+      // Rows of an interrupted run count as extracted; paging continues after them
+      if (checkpoint && checkpoint.nextRow > currentRow) {
+        log.info(`⏩ Continuing at row ${checkpoint.nextRow} with ${checkpoint.rows.length} rows from the checkpoint`);
+        currentRow = checkpoint.nextRow;
+        await collectRows(checkpoint.rows);
+      }
+
+      // Plan page rectangles that fit the engine cell limit; maxPages pages of pageSize rows at most
+      const planner = new PagePlanner({
+        totalRows,
+        width: totalCols,
+        startRow: currentRow,
+        startCol,
+        endRow: startRow + maxPages * pageSize,
+        pageSize,
+        cellLimit,
+        pagesPerRequest,
+      });
+      let useStraightData = !isPivotMode;
+
+      // Requests never reject, so responses can wait in order while later ones are in flight
+      const fetchPages = (object, pages) => {
+        const requestedAt = Date.now();
+        const request = useStraightData
+          ? object.getHyperCubeData('/qHyperCubeDef', pages)
+          : object.getHyperCubePivotData('/qHyperCubeDef', pages);
+        return request.then(
+          data => ({ pages, data, duration: Date.now() - requestedAt }),
+          error => ({ pages, error })
+        );
+      };
+      const inFlight = [];
+      const dropInFlight = async () => {
+        await Promise.all(inFlight.splice(0));
+        planner.rewind(currentRow);
+      };
+
+      // Up to `concurrency` requests run at once; their pages are collected in row order
+      let finished = false;
+      while (!finished) {
+        while (inFlight.length < concurrency && planner.hasMore()) {
+          const pages = planner.next();
+          const lastPage = pages[pages.length - 1];
+          log.debug(`Fetching rows ${pages[0].qTop} to ${lastPage.qTop + lastPage.qHeight - 1} (${pages.length} page${pages.length > 1 ? 's' : ''})`);
+          inFlight.push(fetchPages(pivotObject, pages));
+        }
+        if (inFlight.length === 0) {
+          break;
+        }
+
+        const response = await inFlight.shift();
+
+        if (response.error) {
+          const pageError = response.error;
+          log.error(`Error fetching rows from ${response.pages[0].qTop}:`, pageError.message);
+          // Later responses may continue where this one failed only after it is retried
+          await dropInFlight();
+
           // Handle specific error types
-          if (pageError.code === 6001 || pageError.parameter === 'Page(s) too large') {
-            console.log(`Page too large, reducing page size from ${rowsToFetch} to ${Math.floor(rowsToFetch / 2)}`);
-            // Reduce page size and retry
-            const newPageSize = Math.max(10, Math.floor(rowsToFetch / 2));
-            
-            try {
-              const pageData = await pivotObject.getHyperCubeData('/qHyperCubeDef', [{
-                qTop: currentRow,
-                qLeft: startCol,
-                qHeight: newPageSize,
-                qWidth: totalCols,
-              }]);
-              
-              if (pageData && pageData.length > 0 && pageData[0].qMatrix) {
-                const matrixData = pageData[0].qMatrix;
-                allData.push(...matrixData);
-                console.log(`Page ${pagesProcessed + 1}: ${matrixData.length} rows fetched (reduced size)`);
-                currentRow += matrixData.length;
-                pagesProcessed++;
-                continue;
-              }
-            } catch (retryError) {
-              console.error('Retry with smaller page size failed:', retryError);
+          if (SessionManager.isConnectionLost(pageError)) {
+            if (!onConnectionLost || connectionRecoveries >= MAX_CONNECTION_RECOVERIES) {
+              throw ConnectionError.from(pageError);
+            }
+            connectionRecoveries++;
+            log.info(`🔌 Connection lost at row ${currentRow}, continuing from there after reconnect...`);
+            pivotObject = await onConnectionLost();
+          } else if (pageError.code === 6001 || pageError.parameter === 'Page(s) too large') {
+            // Same data method with smaller pages, so pivot objects keep their pivot pages
+            if (!planner.shrink('page too large', response.pages)) {
+              log.info('Page too large even for a single row, stopping extraction');
               break;
             }
           } else if (pageError.code === 6002 || pageError.parameter === 'Not in pivot mode') {
-            console.log('Object is not in pivot mode, trying straight table method...');
-            // Try straight table method once
-            try {
-              const pageData = await pivotObject.getHyperCubeData('/qHyperCubeDef', [{
-                qTop: currentRow,
-                qLeft: startCol,
-                qHeight: rowsToFetch,
-                qWidth: totalCols,
-              }]);
-              
-              if (pageData && pageData.length > 0 && pageData[0].qMatrix) {
-                const matrixData = pageData[0].qMatrix;
-                allData.push(...matrixData);
-                console.log(`Page ${pagesProcessed + 1}: ${matrixData.length} rows fetched (straight table)`);
-                currentRow += rowsToFetch;
-                pagesProcessed++;
-                continue;
-              }
-            } catch (straightError) {
-              console.error('Straight table method also failed:', straightError);
+            if (useStraightData) {
+              log.info(`Stopping extraction due to error: ${pageError.message}`);
               break;
             }
-          } else if (pageError.code === 'LOCERR_GENERIC_ABORTED') {
-            console.log('Request aborted, retrying...');
-            continue; // Retry same page
+            log.info('Object is not in pivot mode, trying straight table method...');
+            useStraightData = true;
+          } else if (pageError.code === LOCERR_GENERIC_ABORTED) {
+            if (!planner.shrink('request aborted', response.pages)) {
+              log.info('Request aborted even for a single row, stopping extraction');
+              break;
+            }
+            log.info('Request aborted, retrying with smaller requests...');
           } else {
-            console.log(`Stopping extraction due to error: ${pageError.message}`);
+            log.info(`Stopping extraction due to error: ${pageError.message}`);
             break; // Stop on other errors
           }
+          continue; // Retry from the first row that was not collected
+        }
+
+        planner.recordLatency(response.duration);
+
+        for (let index = 0; index < response.pages.length; index++) {
+          const page = response.pages[index];
+          const pageData = response.data[index];
+          const nextRow = page.qTop + page.qHeight;
+
+          if (pageData && pageData.qMatrix) {
+            const matrixData = pageData.qMatrix;
+            await collectRows(matrixData, nextRow);
+            log.info(`Page ${pagesProcessed + 1}: ${matrixData.length} rows fetched${useStraightData && isPivotMode ? ' (straight table)' : ''}`);
+          } else if (pivotDecoder && pageData && pageData.qData) {
+            // Pivot pages carry qLeft/qTop dimension trees plus a qData grid instead of qMatrix
+            // A tuple cut by the page end is finished by the next page, so a rerun starts at its first row
+            const decoded = pivotDecoder.decodePage(pageData, { includeTotals, startRow: page.qTop });
+            await collectRows(decoded.rows, decoded.pendingFrom !== null ? decoded.pendingFrom : nextRow);
+            if (!onPage) {
+              pivotDecoder.mergeTree(nestedData, decoded.tree);
+            }
+            log.info(`Page ${pagesProcessed + 1}: ${decoded.rows.length} rows decoded from pivot page`);
+          } else {
+            log.info(`Page ${pagesProcessed + 1}: No data returned`);
+            finished = true;
+            break;
+          }
+
+          currentRow = nextRow;
+          pagesProcessed++;
+        }
+      }
+
+      // Responses of a stopped extraction are not used
+      await Promise.all(inFlight.splice(0));
+
+      if (pivotDecoder) {
+        const heldRows = pivotDecoder.flush({ includeTotals });
+        if (heldRows.length > 0) {
+          await collectRows(heldRows, currentRow);
         }
       }
       
-      console.log(`Data extraction completed: ${allData.length} total rows`);
+      log.info(`Data extraction completed: ${extractedRows} total rows`);
       
-      return {
+      const result = {
         data: allData,
         metadata: {
           dimensions: hypercube.qDimensionInfo,
           measures: hypercube.qMeasureInfo,
           totalRows: totalRows,
           totalColumns: totalCols,
-          extractedRows: allData.length,
+          extractedRows: extractedRows,
           pageSize: pageSize,
           pagesProcessed: pagesProcessed,
+          mode: hypercube.qMode,
         },
       };
       
+      // Nested rows follow the left dimension tree of pivot objects
+      if (isPivotMode && !onPage) {
+        result.nested = nestedData;
+        if (hierarchy) {
+          result.hierarchy = pivotDecoder.buildHierarchy(nestedData);
+        }
+      } else if (hierarchy) {
+        log.warn('⚠️ The hierarchy is only built for pivot objects that are not streamed');
+      }
+      
+      return result;
+      
     } catch (error) {
-      console.error('Failed to extract pivot data:', error);
-      throw error;
+      log.error('Failed to extract pivot data:', error.message);
+      throw ExtractionError.from(error);
     }
   }
 
   // Alternative method: Extract data using getLayout (for smaller datasets)
   async extractPivotDataSimple(pivotObject) {
     try {
-      console.log('Extracting pivot data using simple method (getLayout)...');
+      log.info('Extracting pivot data using simple method (getLayout)...');
       
       const layout = await pivotObject.getLayout();
       const hypercube = layout.qHyperCube;
@@ -218,21 +429,18 @@ class PivotExtractor {
           },
         };
       } else {
-        console.log('No data pages found in layout, trying pivot-specific method...');
+        log.info('No data pages found in layout, trying pivot-specific method...');
         return await this.extractPivotData(pivotObject);
       }
       
     } catch (error) {
-      console.error('Simple extraction failed, falling back to paginated method:', error);
+      log.error('Simple extraction failed, falling back to paginated method:', error);
       return await this.extractPivotData(pivotObject);
     }
   }
 
-  // Format extracted data for easier consumption
-  formatPivotData(extractedData) {
-    const { data, metadata } = extractedData;
-    
-    // Create column headers
+  // Build column headers from hypercube metadata
+  buildHeaders(metadata) {
     const headers = [];
     
     // Add dimension headers
@@ -253,8 +461,12 @@ class PivotExtractor {
       });
     });
     
-    // Format data rows
-    const formattedRows = data.map((row, rowIndex) => {
+    return headers;
+  }
+
+  // Format matrix rows as { index, data: { header: { text, number, state } } }
+  formatRows(data, headers, startIndex = 0) {
+    return data.map((row, rowIndex) => {
       const formattedRow = {};
       
       row.forEach((cell, cellIndex) => {
@@ -269,12 +481,23 @@ class PivotExtractor {
       });
       
       return {
-        index: rowIndex,
+        index: startIndex + rowIndex,
         data: formattedRow,
       };
     });
+  }
+
+  // Format extracted data for easier consumption
+  formatPivotData(extractedData) {
+    const { data, metadata } = extractedData;
     
-    return {
+    // Create column headers
+    const headers = this.buildHeaders(metadata);
+    
+    // Format data rows
+    const formattedRows = this.formatRows(data, headers);
+    
+    const formatted = {
       headers,
       rows: formattedRows,
       metadata,
@@ -285,37 +508,82 @@ class PivotExtractor {
         measures: metadata.measures.length,
       },
     };
-  }
-
-  // Export data to different formats
-  exportToCSV(formattedData) {
-    const { headers, rows } = formattedData;
     
-    // Create CSV header
-    const csvHeaders = headers.map(h => h.name).join(',');
+    if (extractedData.nested) {
+      formatted.nested = extractedData.nested;
+    }
+    if (extractedData.hierarchy) {
+      formatted.hierarchy = extractedData.hierarchy;
+    }
     
-    // Create CSV rows
-    const csvRows = rows.map(row => {
-      return headers.map(header => {
-        const cellData = row.data[header.name];
-        return cellData ? `"${cellData.text}"` : '""';
-      }).join(',');
-    });
+    return formatted;
+  }
+
+  // Stream pages straight into writers; memory use depends on the page size only
+  async streamPivotData(pivotObject, writers, options = {}) {
+    let headers = null;
     
-    return [csvHeaders, ...csvRows].join('\n');
+    try {
+      const extractedData = await this.extractPivotData(pivotObject, {
+        ...options,
+        onPage: async (rows, { startIndex, metadata }) => {
+          if (!headers) {
+            headers = this.buildHeaders(metadata);
+            for (const writer of writers) {
+              await writer.begin(headers);
+            }
+          }
+          
+          const formattedRows = this.formatRows(rows, headers, startIndex);
+          for (const writer of writers) {
+            await writer.writeRows(formattedRows);
+          }
+        },
+      });
+      
+      // Write headers even when no rows were returned
+      if (!headers) {
+        headers = this.buildHeaders(extractedData.metadata);
+        for (const writer of writers) {
+          await writer.begin(headers);
+        }
+      }
+      
+      const outputPaths = [];
+      for (const writer of writers) {
+        outputPaths.push(await writer.end());
+      }
+      
+      return {
+        headers,
+        metadata: extractedData.metadata,
+        outputs: outputPaths,
+      };
+    } catch (error) {
+      // Close the files so partial output is flushed
+      for (const writer of writers) {
+        await writer.end().catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // Export data to CSV (RFC 4180; delimiter, decimal separator, BOM, quoting and measure values are configurable)
+  exportToCSV(formattedData, options = {}) {
+    return new CsvWriter(options).stringify(formattedData);
   }
 
   // Monitor pivot object for changes (real-time updates)
   monitorPivotChanges(pivotObject, callback) {
-    console.log('Setting up pivot change monitoring...');
+    log.info('Setting up pivot change monitoring...');
     
     pivotObject.on('changed', () => {
-      console.log('Pivot object changed, triggering callback...');
+      log.info('Pivot object changed, triggering callback...');
       callback();
     });
     
     pivotObject.on('closed', () => {
-      console.log('Pivot object closed');
+      log.info('Pivot object closed');
     });
   }
 }
@@ -0,0 +1,406 @@
+// Node types used by the engine in NxPivotDimensionCell.qType
+const PSEUDO_NODE = 'P';
+const TOTAL_NODE = 'T';
+
+class PivotPageDecoder {
+  constructor(hypercube) {
+    this.dimensions = hypercube.qDimensionInfo || [];
+    this.measures = hypercube.qMeasureInfo || [];
+
+    // Each level of the left/top trees maps to a dimension index, or -1 for the measure pseudo-dimension
+    const levels = this.resolveLevels(hypercube);
+    this.leftLevels = levels.left;
+    this.topLevels = levels.top;
+
+    // Rows of the last left tuple of a page that still miss measures; with the measures on the
+    // left, a page may end between the measure leaves of one tuple and the next page finishes it
+    this.pending = new Map();
+  }
+
+  // Work out which dimension sits on which level of the left and top trees
+  resolveLevels(hypercube) {
+    const noOfLeftDims = hypercube.qNoOfLeftDims != null ? hypercube.qNoOfLeftDims : this.dimensions.length;
+    let order = hypercube.qEffectiveInterColumnSortOrder;
+
+    if (!Array.isArray(order) || order.length === 0) {
+      // No effective order reported: dimensions in definition order, measures last on top
+      order = this.dimensions.map((dim, index) => index);
+      if (this.measures.length > 1) {
+        order.push(-1);
+      }
+    }
+
+    return {
+      left: order.slice(0, noOfLeftDims),
+      top: order.slice(noOfLeftDims),
+    };
+  }
+
+  // Flatten a dimension tree into one path of nodes per leaf (one leaf per row/column of qData)
+  collectLeafPaths(nodes, path = [], paths = []) {
+    nodes.forEach(node => {
+      const nodePath = [...path, node];
+
+      if (node.qSubNodes && node.qSubNodes.length > 0) {
+        this.collectLeafPaths(node.qSubNodes, nodePath, paths);
+      } else {
+        paths.push(nodePath);
+      }
+    });
+
+    return paths;
+  }
+
+  // Create a matrix-style cell from a dimension node
+  createDimensionCell(node) {
+    return {
+      qText: node.qText,
+      qNum: node.qValue,
+      qElemNumber: node.qElemNo,
+      qIsTotalCell: node.qType === TOTAL_NODE,
+    };
+  }
+
+  // Placeholder for dimensions below a collapsed node or measures without a value
+  createEmptyCell() {
+    return {
+      qText: '',
+      qNum: 'NaN',
+      qElemNumber: -1,
+      qIsEmpty: true,
+    };
+  }
+
+  // Split a node path into dimension cells and the measure index of its pseudo node (if any)
+  resolvePath(path, levels) {
+    const dimensionCells = {};
+    let measureIndex = null;
+    let isTotal = false;
+
+    path.forEach((node, depth) => {
+      const level = levels[depth];
+
+      if (node.qType === PSEUDO_NODE || level === -1) {
+        measureIndex = node.qElemNo;
+        return;
+      }
+
+      if (node.qType === TOTAL_NODE) {
+        isTotal = true;
+      }
+
+      if (level != null) {
+        dimensionCells[level] = this.createDimensionCell(node);
+      }
+    });
+
+    return { dimensionCells, measureIndex, isTotal };
+  }
+
+  // Decode one NxPivotPage into flat matrix rows and a nested tree of the left dimensions
+  // startRow is the row of the page in the object; pendingFrom is the first row of the rows held
+  // back for the next page (null when none are), where an interrupted run has to continue
+  decodePage(page, options = {}) {
+    const { includeTotals = true, startRow = 0 } = options;
+
+    const leftPaths = this.collectLeafPaths(page.qLeft || []);
+    const topPaths = page.qTop && page.qTop.length > 0 ? this.collectLeafPaths(page.qTop) : [[]];
+    const data = page.qData || [];
+
+    const leftResolved = leftPaths.map(path => this.resolvePath(path, this.leftLevels));
+    const topResolved = topPaths.map(path => this.resolvePath(path, this.topLevels));
+
+    const leafColumns = [];
+
+    // Rows are keyed by their dimension cells: with the measures on the left, every measure is
+    // a leaf of its own, and the leaves of one dimension tuple fill the measures of one row
+    const rowsByKey = new Map(this.pending);
+    this.pending = new Map();
+    let lastLeftKey = null;
+
+    leftResolved.forEach((left, rowIndex) => {
+      const rowValues = data[rowIndex] || [];
+      const rowsByColumn = new Map();
+      const columns = [];
+      const leftKey = this.getCellsKey(left.dimensionCells);
+      lastLeftKey = leftKey;
+
+      topResolved.forEach((top, colIndex) => {
+        const value = rowValues[colIndex];
+        if (!value) {
+          return;
+        }
+
+        const topKey = this.getCellsKey(top.dimensionCells);
+
+        let entry = rowsByColumn.get(topKey);
+        if (!entry) {
+          entry = {
+            dimensionCells: { ...left.dimensionCells, ...top.dimensionCells },
+            measureCells: {},
+            isTotal: left.isTotal || top.isTotal,
+            topPath: Object.keys(top.dimensionCells).map(level => top.dimensionCells[level].qText),
+          };
+          rowsByColumn.set(topKey, entry);
+        }
+
+        const measureIndex = left.measureIndex != null ? left.measureIndex : (top.measureIndex != null ? top.measureIndex : 0);
+        const measureCell = {
+          qText: value.qText,
+          qNum: value.qNum,
+          qIsTotalCell: value.qType === TOTAL_NODE,
+        };
+        entry.measureCells[measureIndex] = measureCell;
+
+        const rowKey = `${leftKey}\u0001${topKey}`;
+        let row = rowsByKey.get(rowKey);
+        if (!row) {
+          row = {
+            dimensionCells: entry.dimensionCells,
+            measureCells: {},
+            isTotal: entry.isTotal,
+            leftKey,
+            firstRow: startRow + rowIndex,
+          };
+          rowsByKey.set(rowKey, row);
+        }
+        row.measureCells[measureIndex] = measureCell;
+      });
+
+      rowsByColumn.forEach(entry => {
+        columns.push({
+          path: entry.topPath,
+          isTotal: entry.isTotal,
+          values: this.createValueMap(entry.measureCells),
+        });
+      });
+
+      leafColumns.push(columns);
+    });
+
+    // Only the last tuple can continue on the next page, and only when the measures are on the left
+    const measuresOnLeft = this.leftLevels.includes(-1);
+    const rows = [];
+    let pendingFrom = null;
+    rowsByKey.forEach((row, rowKey) => {
+      if (measuresOnLeft && row.leftKey === lastLeftKey && !this.hasAllMeasures(row)) {
+        this.pending.set(rowKey, row);
+        pendingFrom = pendingFrom === null ? row.firstRow : Math.min(pendingFrom, row.firstRow);
+        return;
+      }
+      this.emitRow(rows, row, includeTotals);
+    });
+
+    return {
+      rows,
+      pendingFrom,
+      tree: this.buildTree(page.qLeft || [], leafColumns, includeTotals),
+    };
+  }
+
+  // Rows still held back after the last page (the object ended before their measures did)
+  flush(options = {}) {
+    const { includeTotals = true } = options;
+    const rows = [];
+    this.pending.forEach(row => this.emitRow(rows, row, includeTotals));
+    this.pending = new Map();
+    return rows;
+  }
+
+  // Whether a decoded row has a cell for every measure
+  hasAllMeasures(row) {
+    return this.measures.every((measure, index) => row.measureCells[index] !== undefined);
+  }
+
+  // Add a decoded row as matrix cells (dimensions, then measures)
+  emitRow(rows, row, includeTotals) {
+    if (row.isTotal && !includeTotals) {
+      return;
+    }
+
+    rows.push([
+      ...this.dimensions.map((dim, index) => row.dimensionCells[index] || this.createEmptyCell()),
+      ...this.measures.map((measure, index) => row.measureCells[index] || this.createEmptyCell()),
+    ]);
+  }
+
+  // Key of the dimension cells of a leaf (levels, elements and texts; the pseudo level is not a cell)
+  getCellsKey(dimensionCells) {
+    return Object.keys(dimensionCells)
+      .map(level => {
+        const cell = dimensionCells[level];
+        return `${level}:${cell.qElemNumber}:${cell.qIsTotalCell ? 'T' : ''}:${cell.qText}`;
+      })
+      .join('\u0000');
+  }
+
+  // Map measure cells to { label: { text, number } }
+  createValueMap(measureCells) {
+    const values = {};
+
+    this.measures.forEach((measure, index) => {
+      const cell = measureCells[index];
+      if (cell) {
+        values[measure.qFallbackTitle] = {
+          text: cell.qText,
+          number: cell.qNum,
+        };
+      }
+    });
+
+    return values;
+  }
+
+  // Build nested nodes for the left tree, attaching top columns and values to each leaf
+  buildTree(nodes, leafColumns, includeTotals, depth = 0, cursor = { leaf: 0 }) {
+    const tree = [];
+
+    nodes.forEach(node => {
+      const level = this.leftLevels[depth];
+      const isPseudo = node.qType === PSEUDO_NODE || level === -1;
+      const isTotal = node.qType === TOTAL_NODE;
+      const hasChildren = node.qSubNodes && node.qSubNodes.length > 0;
+
+      const treeNode = {
+        text: node.qText,
+        number: node.qValue,
+        elemNumber: node.qElemNo,
+        type: node.qType,
+        dimension: isPseudo ? null : (this.dimensions[level] ? this.dimensions[level].qFallbackTitle : null),
+        isPseudo,
+        isTotal,
+        canExpand: !!node.qCanExpand,
+        children: [],
+      };
+
+      if (hasChildren) {
+        treeNode.children = this.buildTree(node.qSubNodes, leafColumns, includeTotals, depth + 1, cursor);
+      } else {
+        treeNode.columns = leafColumns[cursor.leaf] || [];
+        cursor.leaf++;
+      }
+
+      if (isTotal && !includeTotals) {
+        return;
+      }
+
+      tree.push(treeNode);
+    });
+
+    return tree;
+  }
+
+  // Hierarchy of the left dimensions from a merged tree: { dimensions, totals, children } with
+  // nodes { dimension, text, subtotals, children } and leaves { dimension, text, values }.
+  // Total nodes become the subtotals of their parent (the grand totals at the top), and
+  // measures on the left (pseudo nodes) become the values of the node above them
+  buildHierarchy(tree) {
+    const { children, totals } = this.buildHierarchyLevel(tree);
+
+    return {
+      dimensions: this.leftLevels
+        .filter(level => level !== -1 && this.dimensions[level])
+        .map(level => this.dimensions[level].qFallbackTitle),
+      measures: this.measures.map(measure => measure.qFallbackTitle),
+      totals,
+      children,
+    };
+  }
+
+  // Nodes of one level, the totals among them and the values of measure (pseudo) nodes
+  buildHierarchyLevel(nodes) {
+    const level = { children: [], totals: null, values: null };
+
+    nodes.forEach(node => {
+      if (node.isTotal) {
+        level.totals = this.mergeValues(level.totals, this.getNodeValues(node));
+        return;
+      }
+      if (node.isPseudo) {
+        level.values = this.mergeValues(level.values, this.getNodeValues(node));
+        return;
+      }
+
+      const item = {
+        dimension: node.dimension,
+        text: node.text,
+      };
+      if (typeof node.number === 'number') {
+        item.number = node.number;
+      }
+
+      if (node.children.length > 0) {
+        const inner = this.buildHierarchyLevel(node.children);
+        if (inner.totals) {
+          item.subtotals = inner.totals;
+        }
+        if (inner.values) {
+          item.values = inner.values;
+        }
+        if (inner.children.length > 0) {
+          item.children = inner.children;
+        }
+      } else {
+        item.values = this.getColumnValues(node.columns || []);
+      }
+
+      level.children.push(item);
+    });
+
+    return level;
+  }
+
+  // Values of a leaf: { measure: { text, number } }, or one entry per top column with top dimensions
+  getColumnValues(columns) {
+    if (columns.every(column => column.path.length === 0)) {
+      return columns.reduce((values, column) => ({ ...values, ...column.values }), {});
+    }
+    return columns.map(column => ({ path: column.path, isTotal: column.isTotal, values: column.values }));
+  }
+
+  // Values of a total or measure node, gathered from the leaves below it
+  getNodeValues(node) {
+    if (node.children.length === 0) {
+      return this.getColumnValues(node.columns || []);
+    }
+    return node.children.reduce((values, child) => this.mergeValues(values, this.getNodeValues(child)), null);
+  }
+
+  // Combine the values of measure nodes: objects by measure, top columns by position
+  mergeValues(target, source) {
+    if (!target) {
+      return source;
+    }
+    if (Array.isArray(target) && Array.isArray(source)) {
+      return target.map((column, index) => ({
+        ...column,
+        values: { ...column.values, ...(source[index] ? source[index].values : {}) },
+      }));
+    }
+    return { ...target, ...source };
+  }
+
+  // Merge the tree of a following page into an accumulated tree.
+  // Nodes that span a page boundary appear at the end of one page and the start of the next.
+  mergeTree(target, source) {
+    source.forEach((node, index) => {
+      const last = target[target.length - 1];
+      const continuesLast = index === 0 && last &&
+        last.elemNumber === node.elemNumber &&
+        last.type === node.type &&
+        last.text === node.text &&
+        last.children.length > 0 &&
+        node.children.length > 0;
+
+      if (continuesLast) {
+        this.mergeTree(last.children, node.children);
+      } else {
+        target.push(node);
+      }
+    });
+
+    return target;
+  }
+}
+
+module.exports = PivotPageDecoder;
@@ -0,0 +1,88 @@
+const { ConfigurationError } = require('./errors');
+
+// Month abbreviations used by the Год-Месяц field ("2024-авг")
+const RU_MONTHS = ['янв', 'фев', 'мар', 'апр', 'май', 'июн', 'июл', 'авг', 'сен', 'окт', 'ноя', 'дек'];
+
+// Named periods relative to the run date
+const NAMED_PERIODS = {
+  'today': { unit: 'day', offset: 0 },
+  'yesterday': { unit: 'day', offset: -1 },
+  'current month': { unit: 'month', offset: 0 },
+  'previous month': { unit: 'month', offset: -1 },
+  'current year': { unit: 'year', offset: 0 },
+  'previous year': { unit: 'year', offset: -1 },
+};
+
+// Default value formats per unit, matching the clean-pivot fields
+const DEFAULT_FORMATS = {
+  day: 'DD.MM.YYYY',
+  month: 'YYYY-MMM',
+  year: 'YYYY',
+};
+
+// Selections relative to the run date, e.g. { fieldName: "Год-Месяц", period: "previous month" }
+class RelativePeriod {
+  // { unit, offset } for "previous month", "3 months ago", "current year", ...
+  static parse(text) {
+    const normalized = String(text).trim().toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ');
+
+    if (NAMED_PERIODS[normalized]) {
+      return NAMED_PERIODS[normalized];
+    }
+
+    const match = /^(\d+) (day|month|year)s? ago$/.exec(normalized);
+    if (match) {
+      return { unit: match[2], offset: -parseInt(match[1], 10) };
+    }
+
+    throw new ConfigurationError(`Unknown relative period "${text}" (use e.g. "previous month" or "2 months ago")`);
+  }
+
+  // Date of the period relative to now (the first day for months and years)
+  static resolveDate(period, now = new Date()) {
+    const { unit, offset } = RelativePeriod.parse(period);
+
+    if (unit === 'day') {
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    }
+    if (unit === 'month') {
+      return new Date(now.getFullYear(), now.getMonth() + offset, 1);
+    }
+    return new Date(now.getFullYear() + offset, 0, 1);
+  }
+
+  // Format with YYYY, YY, MMM (Russian month abbreviation), MM, M, DD and D
+  static format(date, pattern) {
+    const pad = value => String(value).padStart(2, '0');
+    const tokens = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MMM: RU_MONTHS[date.getMonth()],
+      MM: pad(date.getMonth() + 1),
+      M: String(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      D: String(date.getDate()),
+    };
+
+    return pattern.replace(/YYYY|YY|MMM|MM|M|DD|D/g, token => tokens[token]);
+  }
+
+  // Replace relative selections ({ period, format }) by plain value selections
+  static resolveSelections(selections = [], now = new Date()) {
+    return selections.map(selection => {
+      if (selection.period === undefined) {
+        return selection;
+      }
+
+      const { unit } = RelativePeriod.parse(selection.period);
+      const value = RelativePeriod.format(
+        RelativePeriod.resolveDate(selection.period, now),
+        selection.format || DEFAULT_FORMATS[unit]
+      );
+
+      return { fieldName: selection.fieldName, value };
+    });
+  }
+}
+
+module.exports = RelativePeriod;
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const TrafficRecorder = require('./traffic-recorder');
+const Logger = require('./logger');
+
+const log = new Logger('replay-socket');
+
+// WebSocket ready states used by enigma.js
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// A socket for enigma.js createSocket that answers from a recorded cassette instead of an engine
+// Requests are matched by method, handle and parameters; repeated identical calls get their
+// recorded responses in order, so a run that makes the same calls replays exactly
+class ReplaySocket {
+  constructor(cassette) {
+    this.cassette = cassette;
+    this.OPEN = OPEN;
+    this.readyState = CONNECTING;
+    this.responses = new Map();
+
+    cassette.interactions.forEach(({ request, response }) => {
+      const key = ReplaySocket.buildKey(request);
+      if (!this.responses.has(key)) {
+        this.responses.set(key, []);
+      }
+      this.responses.get(key).push(response);
+    });
+
+    // Open asynchronously like a real socket, then deliver the recorded notifications
+    setTimeout(() => {
+      this.readyState = OPEN;
+      if (this.onopen) {
+        this.onopen({});
+      }
+      (cassette.notifications || []).forEach(notification => this.deliver(notification));
+    }, 0);
+  }
+
+  static fromFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    const cassette = TrafficRecorder.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    log.info(`📼 Replaying ${cassette.interactions.length} engine calls from ${resolvedPath}`);
+    return new ReplaySocket(cassette);
+  }
+
+  // Identity of a request regardless of its id
+  static buildKey(request) {
+    return JSON.stringify([request.method, request.handle, request.params]);
+  }
+
+  deliver(message) {
+    setTimeout(() => {
+      if (this.readyState === OPEN && this.onmessage) {
+        this.onmessage({ data: JSON.stringify(message) });
+      }
+    }, 0);
+  }
+
+  send(data) {
+    const request = JSON.parse(data);
+    const queue = this.responses.get(ReplaySocket.buildKey(request));
+
+    if (!queue || queue.length === 0) {
+      this.deliver({
+        jsonrpc: '2.0',
+        id: request.id,
+        error: {
+          code: -1,
+          parameter: request.method,
+          message: `No recorded response for ${request.method} on handle ${request.handle} with ${JSON.stringify(request.params)}`,
+        },
+      });
+      return;
+    }
+
+    // The last recorded response is reused once the queue runs out of repeats
+    const response = queue.length > 1 ? queue.shift() : queue[0];
+    this.deliver({ ...response, id: request.id });
+  }
+
+  close(code = 1000, reason = '') {
+    this.readyState = CLOSED;
+    setTimeout(() => {
+      if (this.onclose) {
+        this.onclose({ code, reason });
+      }
+    }, 0);
+  }
+}
+
+module.exports = ReplaySocket;
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+const log = new Logger('run-history');
+
+// Append-only log of job runs, one JSON document per line
+class RunHistory {
+  constructor(filePath = 'run-history.ndjson') {
+    this.filePath = path.resolve(filePath);
+  }
+
+  // Append one run ({ job, status, startedAt, finishedAt, rows, outputs, error, ... })
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+    return entry;
+  }
+
+  // Most recent runs first, optionally for one job only
+  read(options = {}) {
+    const { job, limit = 20 } = options;
+
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const entries = [];
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(line => {
+      if (line.trim() === '') {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash is skipped
+        log.warn(`Skipping unreadable history line: ${line.slice(0, 80)}`);
+      }
+    });
+
+    return entries
+      .filter(entry => !job || entry.job === job)
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = RunHistory;
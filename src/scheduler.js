@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const JobSpec = require('./job-spec');
+const JobRunner = require('./job-runner');
+const CronExpression = require('./cron-expression');
+const RelativePeriod = require('./relative-period');
+const RunHistory = require('./run-history');
+const ConnectionProfiles = require('./connection-profiles');
+const { ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('scheduler');
+
+// Runs extraction jobs on cron schedules, one run per job at a time, recording every run
+class Scheduler {
+  constructor(schedule, source = null) {
+    this.source = source;
+    const baseDir = source ? path.dirname(source) : process.cwd();
+
+    this.history = new RunHistory(path.resolve(baseDir, schedule.history || 'run-history.ndjson'));
+    this.lockDir = path.resolve(baseDir, schedule.lockDir || '.locks');
+    this.entries = (schedule.entries || []).map(entry => ({
+      ...entry,
+      name: entry.name || path.basename(entry.job || '', path.extname(entry.job || '')),
+      jobPath: entry.job ? path.resolve(baseDir, entry.job) : null,
+    }));
+
+    this.running = new Set();
+    this.activeRuns = new Set();
+    this.timer = null;
+    this.stopped = null;
+
+    this.validate();
+  }
+
+  // Load a schedule file (.json, .yml or .yaml)
+  static load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      throw new ConfigurationError(`Schedule file not found: ${resolvedPath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf8');
+    const extension = path.extname(resolvedPath).toLowerCase();
+    let schedule;
+
+    try {
+      if (extension === '.yml' || extension === '.yaml') {
+        const yaml = require('js-yaml');
+        schedule = yaml.load(content);
+      } else {
+        schedule = JSON.parse(content);
+      }
+    } catch (error) {
+      throw new ConfigurationError(`Failed to parse schedule file ${resolvedPath}: ${error.message}`, error);
+    }
+
+    return new Scheduler(schedule || {}, resolvedPath);
+  }
+
+  // Parse every cron expression and job file up front so mistakes show at startup
+  validate() {
+    const errors = [];
+    const names = new Set();
+
+    if (this.entries.length === 0) {
+      errors.push('at least one entry is required');
+    }
+
+    this.entries.forEach((entry, index) => {
+      if (names.has(entry.name)) {
+        errors.push(`entries[${index}]: duplicate name "${entry.name}"`);
+      }
+      names.add(entry.name);
+
+      if (!entry.cron) {
+        errors.push(`entries[${index}].cron is required`);
+      } else {
+        try {
+          entry.cronExpression = new CronExpression(entry.cron);
+        } catch (error) {
+          errors.push(`entries[${index}]: ${error.message}`);
+        }
+      }
+
+      if (!entry.jobPath) {
+        errors.push(`entries[${index}].job is required`);
+        return;
+      }
+
+      try {
+        this.buildSpec(entry);
+      } catch (error) {
+        errors.push(`entries[${index}] (${entry.name}): ${error.message}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ConfigurationError(`Invalid schedule: ${errors.join('; ')}`);
+    }
+  }
+
+  // Load the job and apply the entry selections, resolving relative periods for the run date
+  // Entry selections replace the job selections of the same field
+  buildSpec(entry, now = new Date()) {
+    const spec = JobSpec.load(entry.jobPath);
+
+    if (entry.selections) {
+      const selections = RelativePeriod.resolveSelections(entry.selections, now);
+      const fields = selections.map(selection => selection.fieldName);
+      spec.selections = [
+        ...spec.selections.filter(selection => !fields.includes(selection.fieldName)),
+        ...selections,
+      ];
+    }
+    if (entry.outputs) {
+      spec.outputs = entry.outputs;
+    }
+    // One app of a connection profile ("prod:north"); its outputs are tagged with it
+    if (entry.profile) {
+      spec.applyTarget(ConnectionProfiles.load().resolveSingle(entry.profile));
+    }
+
+    return spec;
+  }
+
+  // Whether the process that wrote a lock file is still running
+  static isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  // Take the lock of a job; false when a run of the same job is still in progress
+  // The lock file also keeps a second scheduler (or a manual run) from overlapping
+  acquireLock(entry) {
+    if (this.running.has(entry.name)) {
+      return false;
+    }
+
+    fs.mkdirSync(this.lockDir, { recursive: true });
+    const lockPath = path.join(this.lockDir, `${entry.name}.lock`);
+
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // Locks left behind by a crashed process are taken over
+      let lock = {};
+      try {
+        lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+      } catch (readError) {
+        // An unreadable lock is treated as stale
+      }
+      if (lock.pid && Scheduler.isProcessAlive(lock.pid)) {
+        return false;
+      }
+
+      log.info(`Removing stale lock of "${entry.name}" (pid ${lock.pid})`);
+      fs.unlinkSync(lockPath);
+      return this.acquireLock(entry);
+    }
+
+    this.running.add(entry.name);
+    return true;
+  }
+
+  releaseLock(entry) {
+    this.running.delete(entry.name);
+    fs.rmSync(path.join(this.lockDir, `${entry.name}.lock`), { force: true });
+  }
+
+  // Run one entry now and record the run in the history
+  async runEntry(entry, now = new Date()) {
+    const startedAt = new Date();
+
+    if (!this.acquireLock(entry)) {
+      log.info(`⏭️ Skipping "${entry.name}": the previous run is still in progress`);
+      return this.history.append({
+        job: entry.name,
+        status: 'skipped',
+        startedAt: startedAt.toISOString(),
+        finishedAt: startedAt.toISOString(),
+        error: 'previous run still in progress',
+      });
+    }
+
+    const record = {
+      job: entry.name,
+      jobFile: entry.jobPath,
+      status: 'running',
+      startedAt: startedAt.toISOString(),
+    };
+
+    try {
+      log.info(`\n⏰ ${startedAt.toISOString()} Running scheduled job "${entry.name}"`);
+      const spec = this.buildSpec(entry, now);
+      record.selections = spec.selections;
+
+      const result = await new JobRunner(spec).run();
+
+      record.status = result.failures.length > 0 ? 'partial' : 'success';
+      record.rows = result.rows.length;
+      record.outputs = result.outputs;
+      if (result.failures.length > 0) {
+        record.failures = result.failures.map(failure => `${failure.description}: ${failure.error}`);
+      }
+    } catch (error) {
+      log.error(`❌ Scheduled job "${entry.name}" failed:`, error.message);
+      record.status = 'failed';
+      record.error = error.message;
+      record.exitCode = error.exitCode;
+    } finally {
+      this.releaseLock(entry);
+    }
+
+    const finishedAt = new Date();
+    record.finishedAt = finishedAt.toISOString();
+    record.durationMs = finishedAt - startedAt;
+
+    return this.history.append(record);
+  }
+
+  // Run an entry by name immediately (outside its schedule)
+  async runNow(name) {
+    const entry = this.entries.find(item => item.name === name);
+    if (!entry) {
+      throw new ConfigurationError(`No schedule entry named "${name}" (entries: ${this.entries.map(item => item.name).join(', ')})`);
+    }
+    return await this.runEntry(entry);
+  }
+
+  // Start every entry whose expression fires in this minute
+  tick(now) {
+    this.entries
+      .filter(entry => entry.cronExpression.matches(now))
+      .forEach(entry => {
+        // A lock or history file that cannot be written must not end the scheduler
+        const run = this.runEntry(entry, now)
+          .catch(error => log.error(`❌ Scheduled run of "${entry.name}" could not be recorded:`, error.message))
+          .finally(() => this.activeRuns.delete(run));
+        this.activeRuns.add(run);
+      });
+  }
+
+  // Wake up at the start of every minute until stop(); the minute after the one just handled
+  // comes next, so a timer that fires a little early does not handle the same minute twice
+  scheduleTick(handledMinute = null) {
+    const now = new Date();
+    const nextMinute = new Date(now.getTime());
+    nextMinute.setSeconds(0, 0);
+    nextMinute.setMinutes(nextMinute.getMinutes() + 1);
+    if (handledMinute && nextMinute <= handledMinute) {
+      nextMinute.setTime(handledMinute.getTime());
+      nextMinute.setMinutes(nextMinute.getMinutes() + 1);
+    }
+
+    this.timer = setTimeout(() => {
+      this.tick(nextMinute);
+      this.scheduleTick(nextMinute);
+    }, nextMinute - now);
+  }
+
+  // Run until stop() is called; resolves once the runs in progress have finished
+  start() {
+    log.info(`🗓️ Scheduler started with ${this.entries.length} entries (history: ${this.history.filePath})`);
+    this.entries.forEach(entry => {
+      log.info(`- ${entry.name}: "${entry.cron}", next run ${entry.cronExpression.next().toLocaleString()}`);
+    });
+
+    this.scheduleTick();
+
+    return new Promise(resolve => {
+      this.stopped = resolve;
+    });
+  }
+
+  async stop() {
+    log.info('\n🛑 Stopping scheduler...');
+    clearTimeout(this.timer);
+
+    if (this.activeRuns.size > 0) {
+      log.info(`Waiting for ${this.activeRuns.size} runs in progress...`);
+      await Promise.allSettled([...this.activeRuns]);
+    }
+
+    if (this.stopped) {
+      this.stopped();
+    }
+  }
+}
+
+module.exports = Scheduler;
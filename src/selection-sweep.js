@@ -0,0 +1,151 @@
+const FieldSelector = require('./field-selector');
+const Logger = require('./logger');
+
+const log = new Logger('selection-sweep');
+
+class SelectionSweep {
+  constructor(fieldSelector, options = {}) {
+    this.fieldSelector = fieldSelector;
+    this.continueOnError = options.continueOnError !== false;
+  }
+
+  // Validate a sweep definition, returning a list of problems
+  static validate(sweep) {
+    const errors = [];
+
+    if (!sweep.fields && !sweep.sets) {
+      errors.push('sweep needs "fields" (cartesian product) or "sets" (explicit list)');
+    }
+    if (sweep.fields) {
+      Object.entries(sweep.fields).forEach(([fieldName, values]) => {
+        if (!Array.isArray(values) || values.length === 0) {
+          errors.push(`sweep.fields["${fieldName}"] must be a non-empty list`);
+        }
+      });
+    }
+    if (sweep.sets) {
+      if (!Array.isArray(sweep.sets) || sweep.sets.length === 0) {
+        errors.push('sweep.sets must be a non-empty list');
+      } else {
+        sweep.sets.forEach((set, setIndex) => {
+          (Array.isArray(set) ? set : []).forEach((selection, index) => {
+            const selectionError = FieldSelector.validateSelection(selection);
+            if (selectionError) {
+              errors.push(`sweep.sets[${setIndex}][${index}]: ${selectionError}`);
+            }
+          });
+          if (!Array.isArray(set) || set.length === 0) {
+            errors.push(`sweep.sets[${setIndex}] must be a non-empty list of selections`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // Expand a sweep definition into selection sets, each with the column values that identify it
+  static buildSelectionSets(sweep, baseSelections = []) {
+    let sets = [];
+
+    if (sweep.fields) {
+      // Cartesian product of all field values
+      sets = Object.entries(sweep.fields).reduce((combinations, [fieldName, values]) => {
+        const expanded = [];
+        combinations.forEach(combination => {
+          values.forEach(value => {
+            expanded.push([...combination, { fieldName, value }]);
+          });
+        });
+        return expanded;
+      }, [[]]);
+    }
+
+    if (sweep.sets) {
+      sets.push(...sweep.sets);
+    }
+
+    return sets.map(sweepSelections => {
+      const columns = {};
+      sweepSelections.forEach(selection => {
+        columns[selection.fieldName] = selection.value !== undefined
+          ? String(selection.value)
+          : FieldSelector.describeSelection(selection);
+      });
+
+      return {
+        columns,
+        selections: [...baseSelections, ...sweepSelections],
+        description: sweepSelections.map(selection => FieldSelector.describeSelection(selection)).join(', '),
+      };
+    });
+  }
+
+  // Names of the selection columns added to every swept row
+  static getSelectionColumns(selectionSets) {
+    const columns = [];
+    selectionSets.forEach(set => {
+      Object.keys(set.columns).forEach(column => {
+        if (!columns.includes(column)) {
+          columns.push(column);
+        }
+      });
+    });
+    return columns;
+  }
+
+  // Apply each selection set in turn and collect the rows returned by extract(set, index)
+  // options.restore(index) may return { rows, extractedAt } of a set finished by an earlier run
+  async run(selectionSets, extract, options = {}) {
+    const rows = [];
+    const failures = [];
+    const completed = [];
+
+    for (let index = 0; index < selectionSets.length; index++) {
+      const set = selectionSets[index];
+      log.info(`\n🔁 Selection set ${index + 1}/${selectionSets.length}: ${set.description}`);
+
+      const restored = options.restore ? options.restore(index) : null;
+      if (restored) {
+        restored.rows.forEach(row => {
+          rows.push({ ...set.columns, ...row });
+        });
+        completed.push({ ...set, rows: restored.rows.length, extractedAt: restored.extractedAt, resumed: true });
+        log.info(`⏩ ${set.description}: ${restored.rows.length} rows from the checkpoint`);
+        continue;
+      }
+
+      try {
+        await this.fieldSelector.makeSelections(set.selections);
+        const setRows = await extract(set, index);
+
+        // Tag every row with the selection values of its set
+        setRows.forEach(row => {
+          rows.push({ ...set.columns, ...row });
+        });
+
+        completed.push({ ...set, rows: setRows.length, extractedAt: new Date().toISOString() });
+        log.info(`✅ ${set.description}: ${setRows.length} rows`);
+      } catch (error) {
+        log.error(`❌ ${set.description} failed:`, error.message);
+        failures.push({
+          selections: set.selections,
+          columns: set.columns,
+          description: set.description,
+          error: error.message,
+          extractedAt: new Date().toISOString(),
+        });
+
+        if (!this.continueOnError) {
+          throw error;
+        }
+      }
+    }
+
+    log.info(`\n📊 Sweep finished: ${completed.length} succeeded, ${failures.length} failed, ${rows.length} rows`);
+
+    return { rows, failures, completed };
+  }
+}
+
+module.exports = SelectionSweep;
@@ -1,19 +1,164 @@
 const enigma = require('enigma.js');
+const { NOT_CONNECTED, SESSION_SUSPENDED } = require('enigma.js/error-codes');
 const WebSocket = require('ws');
-const path = require('path');
-const fs = require('fs');
+const { EventEmitter } = require('events');
+const tls = require('tls');
+const TrafficRecorder = require('./traffic-recorder');
+const TrafficLog = require('./traffic-log');
+const ReplaySocket = require('./replay-socket');
+const SimulatedEngine = require('./simulated-engine');
+const CertificateCheck = require('./certificate-check');
+const { ConnectionError } = require('./errors');
+const Logger = require('./logger');
 
-class SessionManager {
+const log = new Logger('session-manager');
+
+// Reconnect after a dropped connection: attempts and exponential backoff between them
+const RECONNECT_DEFAULTS = {
+  attempts: 5,
+  delayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+// How long a caller whose request failed waits for the session to report the drop
+const SUSPEND_NOTICE_MS = 5000;
+
+// What to do about the TLS errors a misconfigured server verification produces
+const TLS_ERROR_HINTS = {
+  ERR_TLS_CERT_ALTNAME_INVALID: 'the server certificate is issued to another name; set QLIK_TLS_SERVERNAME to a name in its SAN list or pin it with QLIK_TLS_FINGERPRINT',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'the server certificate is not issued by a trusted CA; check root.pem in QLIK_CERTIFICATES_PATH',
+  SELF_SIGNED_CERT_IN_CHAIN: 'the server certificate chain ends in an untrusted root; check root.pem in QLIK_CERTIFICATES_PATH',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'the server uses a self-signed certificate; add it as root.pem in QLIK_CERTIFICATES_PATH',
+  CERT_HAS_EXPIRED: 'the server certificate has expired',
+};
+
+// Settings each authentication method needs
+const AUTH_SETTINGS = {
+  certificates: ['userDirectory', 'userId'],
+  apikey: ['apiKey'],
+  jwt: ['jwtToken'],
+};
+
+// Emits 'state' events ({ state, ...details }): connecting, connected (resumed: true after a
+// reconnect), suspended, reconnecting (attempt, attempts, delayMs), failed and closed
+class SessionManager extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.session = null;
     this.global = null;
     this.doc = null;
+    this.recorder = null;
+    this.state = 'disconnected';
+    this.closing = false;
+  }
+
+  // Whether an enigma.js error means the socket is gone (as opposed to an engine error)
+  static isConnectionLost(error) {
+    return !!error && error.enigmaError === true && (error.code === NOT_CONNECTED || error.code === SESSION_SUSPENDED);
+  }
+
+  // Problems with the authentication settings of a configuration
+  static validateConnection(config) {
+    // Replayed, simulated and custom sockets never reach an engine, so no credentials are needed
+    if (config.createSocket || config.replayTraffic || config.simulateCsv) {
+      return [];
+    }
+
+    const authMethod = config.authMethod || 'certificates';
+
+    if (!AUTH_SETTINGS[authMethod]) {
+      return [`Unknown authentication method "${authMethod}" (use ${Object.keys(AUTH_SETTINGS).join(', ')})`];
+    }
+
+    const missing = AUTH_SETTINGS[authMethod].filter(key => !config[key]);
+    if (missing.length > 0) {
+      return [`Missing required configuration: ${missing.join(', ')}`];
+    }
+
+    return [];
+  }
+
+  // Engine WebSocket URL of the app
+  buildUrl() {
+    return `wss://${this.config.engineHost}:${this.config.enginePort}/app/${this.config.appId}`;
+  }
+
+  // HTTP headers of the WebSocket handshake for the authentication method
+  buildHeaders() {
+    const headers = {};
+
+    if (this.config.authMethod === 'certificates') {
+      headers['X-Qlik-User'] = `UserDirectory=${encodeURIComponent(this.config.userDirectory)}; UserId=${encodeURIComponent(this.config.userId)}`;
+    } else if (this.config.authMethod === 'apikey') {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    } else if (this.config.authMethod === 'jwt') {
+      headers.Authorization = `Bearer ${this.config.jwtToken}`;
+    }
+
+    return headers;
+  }
+
+  // Reconnect settings from the configuration; 0 attempts disables reconnecting
+  getReconnectOptions() {
+    const read = (value, fallback) => (value === undefined || value === '' || isNaN(parseInt(value, 10)) ? fallback : parseInt(value, 10));
+    return {
+      attempts: read(this.config.reconnectAttempts, RECONNECT_DEFAULTS.attempts),
+      delayMs: read(this.config.reconnectDelayMs, RECONNECT_DEFAULTS.delayMs),
+      maxDelayMs: read(this.config.reconnectMaxDelayMs, RECONNECT_DEFAULTS.maxDelayMs),
+    };
+  }
+
+  setState(state, details = {}) {
+    this.state = state;
+    this.emit('state', { state, ...details });
   }
 
-  // Helper function to read certificate files
+  // Helper function to read certificate files (missing files raise a ConfigurationError)
   readCert(filename) {
-    return fs.readFileSync(path.resolve(this.config.certificatesPath, filename));
+    return CertificateCheck.readFile(this.config.certificatesPath, filename);
+  }
+
+  // SHA-256 fingerprint in one notation: upper case hex without separators
+  static normalizeFingerprint(fingerprint) {
+    return fingerprint ? String(fingerprint).replace(/[^0-9a-f]/gi, '').toUpperCase() : null;
+  }
+
+  // Server certificate verification: on unless tlsVerify is false. An expected name
+  // (tlsServerName) is matched against the SAN list instead of the host, e.g. when the
+  // engine is reached by IP; a SHA-256 fingerprint pin (tlsFingerprint) replaces the name check
+  buildTlsOptions() {
+    if (this.config.tlsVerify === false || this.config.tlsVerify === 'false') {
+      log.warn('⚠️ Server certificate verification is disabled (QLIK_TLS_VERIFY=false)');
+      return { rejectUnauthorized: false };
+    }
+
+    const options = { rejectUnauthorized: true };
+    const pin = SessionManager.normalizeFingerprint(this.config.tlsFingerprint);
+    const expectedName = this.config.tlsServerName;
+
+    if (expectedName) {
+      options.servername = expectedName;
+    }
+    if (pin || expectedName) {
+      options.checkServerIdentity = (host, certificate) => {
+        if (!pin) {
+          return tls.checkServerIdentity(expectedName, certificate);
+        }
+        if (SessionManager.normalizeFingerprint(certificate.fingerprint256) !== pin) {
+          return new Error(`Server certificate fingerprint ${certificate.fingerprint256} does not match the pinned fingerprint (QLIK_TLS_FINGERPRINT)`);
+        }
+        return undefined;
+      };
+    }
+
+    return options;
+  }
+
+  // Explain TLS failures of the handshake (enigma.js passes the socket error event)
+  static describeTlsError(error) {
+    const code = error && (error.code || (error.error && error.error.code));
+    return TLS_ERROR_HINTS[code] || null;
   }
 
   // Create enigma.js session with optimized configuration
@@ -22,27 +167,39 @@ class SessionManager {
     
     const sessionConfig = {
       schema,
-      url: `wss://${this.config.engineHost}:${this.config.enginePort}/app/${this.config.appId}`,
+      url: this.buildUrl(),
       createSocket: (url) => {
-        const socketOptions = {};
+        // Custom sockets (e.g. a fake engine in tests) replace the WebSocket connection
+        if (this.config.createSocket) {
+          return this.config.createSocket(url);
+        }
 
-        // Configure authentication based on method
+        // Replay mode answers from a cassette, no engine needed
+        if (this.config.replayTraffic) {
+          return ReplaySocket.fromFile(this.config.replayTraffic);
+        }
+
+        // Simulation mode serves a CSV table as the app data model
+        if (this.config.simulateCsv) {
+          return SimulatedEngine.fromCsv(this.config.simulateCsv);
+        }
+
+        const socketOptions = {
+          headers: this.buildHeaders(),
+          ...this.buildTlsOptions(),
+        };
+
+        // Configure client certificates for certificate authentication
         if (this.config.authMethod === 'certificates') {
           socketOptions.ca = [this.readCert('root.pem')];
           socketOptions.key = this.readCert('client_key.pem');
           socketOptions.cert = this.readCert('client.pem');
-          socketOptions.rejectUnauthorized = false; // Disable certificate hostname verification
-          socketOptions.headers = {
-            'X-Qlik-User': `UserDirectory=${encodeURIComponent(this.config.userDirectory)}; UserId=${encodeURIComponent(this.config.userId)}`,
-          };
-        } else if (this.config.authMethod === 'apikey') {
-          socketOptions.headers = {
-            Authorization: `Bearer ${this.config.apiKey}`,
-          };
-        } else if (this.config.authMethod === 'jwt') {
-          socketOptions.headers = {
-            Authorization: `Bearer ${this.config.jwtToken}`,
-          };
+
+          // Report a client certificate about to expire before it breaks a nightly run
+          const expiryWarning = CertificateCheck.getExpiryWarning(socketOptions.cert, 'client.pem');
+          if (expiryWarning) {
+            log.warn(`⚠️ ${expiryWarning}`);
+          }
         }
 
         return new WebSocket(url, socketOptions);
@@ -50,12 +207,12 @@ class SessionManager {
       // Optimization: Add retry interceptor for aborted requests
       responseInterceptors: [{
         onRejected: function retryAbortedError(sessionReference, request, error) {
-          console.log('Request rejected:', error.message);
+          log.debug('Request rejected:', error.message);
           
           // Retry aborted requests (common during heavy calculations)
           if (error.code === schema.enums.LocalizedErrorCode.LOCERR_GENERIC_ABORTED) {
             request.tries = (request.tries || 0) + 1;
-            console.log(`Retry attempt #${request.tries}`);
+            log.info(`Retry attempt #${request.tries}`);
             
             if (request.tries <= 3) { // Max 3 retries
               return request.retry();
@@ -69,9 +226,30 @@ class SessionManager {
       protocol: {
         delta: true,
       },
+      // A dropped socket suspends the session so it can be resumed instead of closed
+      suspendOnClose: this.getReconnectOptions().attempts > 0,
     };
 
     this.session = enigma.create(sessionConfig);
+    this.session.on('suspended', (event) => this.handleSuspended(event));
+    this.session.on('closed', () => {
+      if (this.state !== 'failed') {
+        this.setState('closed');
+      }
+    });
+
+    // Traffic listeners must be registered before the session is opened
+    if (this.config.recordTraffic) {
+      this.recorder = new TrafficRecorder(this.config.recordTraffic, {
+        url: sessionConfig.url,
+        appId: this.config.appId,
+      });
+      this.recorder.attach(this.session);
+    }
+    if (this.config.enableTrafficLogging) {
+      this.enableTrafficLogging();
+    }
+
     return this.session;
   }
 
@@ -82,13 +260,17 @@ class SessionManager {
         this.createSession();
       }
 
-      console.log('Opening session...');
+      this.closing = false;
+      this.setState('connecting');
+
+      log.info('Opening session...');
       this.global = await this.session.open();
-      console.log('Session opened successfully');
+      log.info('Session opened successfully');
 
-      console.log('Opening document...');
+      log.info('Opening document...');
       this.doc = await this.global.openDoc(this.config.appId);
-      console.log('Document opened successfully');
+      log.info('Document opened successfully');
+      this.setState('connected');
 
       return {
         session: this.session,
@@ -96,8 +278,14 @@ class SessionManager {
         doc: this.doc,
       };
     } catch (error) {
-      console.error('Failed to connect:', error);
-      throw error;
+      log.error('Failed to connect:', error.message);
+      this.setState('failed', { error });
+
+      const tlsHint = SessionManager.describeTlsError(error);
+      if (tlsHint) {
+        throw new ConnectionError(`TLS verification failed: ${tlsHint}`, error.error || error);
+      }
+      throw ConnectionError.from(error);
     }
   }
 
@@ -109,33 +297,115 @@ class SessionManager {
     return this.doc;
   }
 
+  // The socket dropped: resume the session in the background with exponential backoff
+  handleSuspended(event) {
+    if (this.closing) {
+      return;
+    }
+
+    log.info(`🔌 Connection lost (code ${event.code}${event.reason ? `, ${event.reason}` : ''})`);
+    this.setState('suspended', { code: event.code, reason: event.reason });
+
+    this.reconnect().catch(error => {
+      log.error('❌ Reconnect failed:', error.message);
+    });
+  }
+
+  // Resume the enigma session: a new socket, the document reopened and the objects
+  // enigma.js can fetch again; session objects and selections are restored by the callers
+  async reconnect() {
+    const { attempts, delayMs, maxDelayMs } = this.getReconnectOptions();
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const wait = Math.min(maxDelayMs, delayMs * 2 ** (attempt - 1));
+      log.info(`🔄 Reconnecting in ${wait} ms (attempt ${attempt}/${attempts})...`);
+      this.setState('reconnecting', { attempt, attempts, delayMs: wait });
+      await new Promise(resolve => setTimeout(resolve, wait));
+
+      if (this.closing) {
+        return;
+      }
+
+      try {
+        await this.session.resume();
+        log.info('✅ Session resumed');
+        this.setState('connected', { resumed: true, attempt });
+        return;
+      } catch (error) {
+        lastError = error;
+        log.error(`Reconnect attempt ${attempt} failed:`, error.message);
+      }
+    }
+
+    const error = new ConnectionError(`Connection lost, ${attempts} reconnect attempts failed: ${lastError ? lastError.message : 'reconnect disabled'}`, lastError);
+    this.setState('failed', { error });
+    throw error;
+  }
+
+  // Resolve once a dropped session is connected again; rejects when it cannot be restored
+  async waitForReconnect() {
+    const nextState = (timeoutMs) => new Promise(resolve => {
+      const timer = timeoutMs ? setTimeout(() => finish(), timeoutMs) : null;
+      const finish = () => {
+        clearTimeout(timer);
+        this.removeListener('state', finish);
+        resolve();
+      };
+      this.once('state', finish);
+    });
+
+    // The failed request may be rejected before the session reports the suspension
+    if (this.state === 'connected') {
+      await nextState(SUSPEND_NOTICE_MS);
+    }
+    while (this.state === 'suspended' || this.state === 'reconnecting') {
+      await nextState();
+    }
+
+    if (this.state !== 'connected') {
+      throw new ConnectionError(`Connection lost and not restored (session ${this.state})`);
+    }
+  }
+
   // Clean shutdown
   async close() {
+    this.closing = true;
+
     try {
       if (this.session) {
-        console.log('Closing session...');
+        log.info('Closing session...');
         await this.session.close();
-        console.log('Session closed successfully');
+        log.info('Session closed successfully');
       }
     } catch (error) {
-      console.error('Error closing session:', error);
+      log.error('Error closing session:', error);
     } finally {
+      if (this.recorder) {
+        this.recorder.close();
+        this.recorder = null;
+      }
       this.session = null;
       this.global = null;
       this.doc = null;
     }
   }
 
-  // Monitor session traffic (for debugging)
+  // Capture session traffic to a rotating file (for debugging); creates the session so no message is missed
   enableTrafficLogging() {
-    if (this.session) {
-      this.session.on('traffic:sent', (data) => {
-        console.log('Sent:', JSON.stringify(data, null, 2));
-      });
-      this.session.on('traffic:received', (data) => {
-        console.log('Received:', JSON.stringify(data, null, 2));
-      });
+    if (!this.session) {
+      this.config.enableTrafficLogging = true;
+      this.createSession();
+      return;
     }
+
+    const trafficLog = new TrafficLog(this.config.trafficLog || TrafficLog.getPath());
+    trafficLog.attach(this.session, {
+      url: this.buildUrl(),
+      appId: this.config.appId,
+      headers: this.config.createSocket || this.config.replayTraffic || this.config.simulateCsv ? {} : this.buildHeaders(),
+    });
+    log.info(`📝 Capturing engine traffic to ${trafficLog.filePath}`);
   }
 }
 
@@ -0,0 +1,1028 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+const log = new Logger('simulated-engine');
+
+// WebSocket ready states used by enigma.js
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// Fixed handles of the global object and the opened document
+const GLOBAL_HANDLE = -1;
+const DOC_HANDLE = 1;
+
+// The engine refuses data requests larger than this many cells
+const MAX_PAGE_CELLS = 10000;
+
+// LocalizedErrorCode values returned like the real engine
+const ERROR_CODES = {
+  UNKNOWN: -1,
+  NOT_FOUND: 2,
+  INVALID_PARAMETERS: 8,
+  RESULT_TOO_LARGE: 6001,
+  INVALID_OBJECT_STATE: 6002,
+  METHOD_NOT_FOUND: -32601,
+};
+
+// Measure aggregations the simulation can compute
+const AGGREGATIONS = ['sum', 'count', 'min', 'max', 'avg'];
+
+// Default sort of dimension values when the definition has none
+const DEFAULT_DIMENSION_SORT = { qSortByNumeric: 1, qSortByAscii: 1, qSortByLoadOrder: 1 };
+
+// Definition qMode values that make a hypercube a pivot table (layout qMode 'P')
+const PIVOT_MODES = ['P', 'EQ_DATA_MODE_PIVOT', 'DATA_MODE_PIVOT'];
+
+// Level of the measure pseudo-dimension in qInterColumnSortOrder
+const PSEUDO_LEVEL = -1;
+
+// A local engine for enigma.js createSocket that loads one CSV table as its data model
+// Hypercubes group by their dimension fields and aggregate measures (Sum([Field]), Count, Min, Max, Avg;
+// a bare [Field] is summed), list objects and fields support the selections this project makes
+// Hypercubes defined with qMode 'P' are pivot tables: left and top trees with totals
+// (qOtherTotalSpec.qTotalMode 'TOTAL_EXPR'), paged by GetHyperCubePivotData and expanded or
+// collapsed node by node; the expansion is kept in the properties (qExpansionState)
+class SimulatedEngine {
+  constructor(table, options = {}) {
+    this.appTitle = options.appTitle || 'Simulated app';
+    this.fileName = options.fileName || '';
+    this.lastReloadTime = options.lastReloadTime || new Date().toISOString();
+
+    this.OPEN = OPEN;
+    this.readyState = CONNECTING;
+
+    // Fields with their distinct values in load order; the position is the element number
+    this.fields = new Map();
+    table.headers.forEach((name, index) => {
+      this.fields.set(name, { name, index, values: [], lookup: new Map() });
+    });
+    this.rows = table.rows.map(cells => table.headers.map((name, index) => this.addValue(this.fields.get(name), cells[index] || '')));
+
+    // Selected element numbers per field name
+    this.selections = new Map();
+    this.objects = new Map();
+    this.handles = new Map();
+    this.nextHandle = DOC_HANDLE + 1;
+    this.nextObjectId = 1;
+
+    setTimeout(() => {
+      this.readyState = OPEN;
+      if (this.onopen) {
+        this.onopen({});
+      }
+      this.deliver({ jsonrpc: '2.0', method: 'OnConnected', params: { qSessionState: 'SESSION_CREATED' } });
+    }, 0);
+  }
+
+  // Load a CSV file (delimiter detected from the header line) as the data model
+  static fromCsv(filePath) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Simulation data file not found: ${resolvedPath}`);
+    }
+
+    const table = SimulatedEngine.parseCsv(fs.readFileSync(resolvedPath, 'utf8'));
+    log.info(`🧪 Simulating the engine with ${table.rows.length} rows and ${table.headers.length} fields from ${resolvedPath}`);
+
+    return new SimulatedEngine(table, {
+      appTitle: path.basename(resolvedPath, path.extname(resolvedPath)),
+      fileName: resolvedPath,
+      lastReloadTime: fs.statSync(resolvedPath).mtime.toISOString(),
+    });
+  }
+
+  // Parse RFC 4180 CSV text into headers and rows of strings
+  static parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const headerLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = [';', '\t', ','].reduce((best, candidate) => (
+      headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+    ), ',');
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const [headers = [], ...rows] = records.filter(cells => cells.some(cell => cell.trim() !== ''));
+    return { headers: headers.map(header => header.trim()), rows };
+  }
+
+  // Numeric value of a CSV cell ("1 234,56" and "1234.56" both count), NaN for text
+  static parseNumber(text) {
+    const normalized = text.trim().replace(/\s/g, '').replace(',', '.');
+    return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+  }
+
+  static createError(code, message, parameter = '') {
+    const error = new Error(message);
+    error.code = code;
+    error.parameter = parameter;
+    return error;
+  }
+
+  // Register a field value and return its element number
+  addValue(field, text) {
+    if (!field.lookup.has(text)) {
+      field.lookup.set(text, field.values.length);
+      field.values.push({ qText: text, qNum: SimulatedEngine.parseNumber(text) });
+    }
+    return field.lookup.get(text);
+  }
+
+  // Find a field by name, with or without [brackets]
+  getField(fieldName) {
+    const name = String(fieldName || '').trim().replace(/^=/, '').replace(/^\[(.*)\]$/, '$1');
+    const field = this.fields.get(name);
+    if (!field) {
+      throw SimulatedEngine.createError(ERROR_CODES.NOT_FOUND, `Field "${name}" not found in the simulated data model`, name);
+    }
+    return field;
+  }
+
+  // Rows allowed by the current selections, optionally ignoring the selection of one field
+  getPossibleRows(ignoreField = null) {
+    const active = [...this.selections.entries()]
+      .filter(([name]) => name !== ignoreField)
+      .map(([name, selected]) => [this.fields.get(name).index, selected]);
+
+    return this.rows.filter(row => active.every(([index, selected]) => selected.has(row[index])));
+  }
+
+  // Replace or toggle the selected element numbers of a field
+  selectElements(field, elemNumbers, toggle = false) {
+    const selected = toggle ? new Set(this.selections.get(field.name) || []) : new Set();
+
+    elemNumbers.forEach(elemNumber => {
+      if (toggle && selected.has(elemNumber)) {
+        selected.delete(elemNumber);
+      } else if (elemNumber >= 0 && elemNumber < field.values.length) {
+        selected.add(elemNumber);
+      }
+    });
+
+    if (selected.size > 0) {
+      this.selections.set(field.name, selected);
+    } else {
+      this.selections.delete(field.name);
+    }
+    return true;
+  }
+
+  // Element numbers of the values matching a search string: "*" and "?" wildcards,
+  // numeric conditions like ">=2024<2025", otherwise a case-insensitive substring match
+  searchElements(field, searchString) {
+    const search = String(searchString).trim();
+    let matches;
+
+    if (/^([<>]=?|=)/.test(search)) {
+      const conditions = [...search.matchAll(/(<=|>=|<|>|=)\s*(-?[\d.,]+)/g)]
+        .map(([, operator, number]) => [operator, SimulatedEngine.parseNumber(number)]);
+      matches = value => Number.isFinite(value.qNum) && conditions.every(([operator, number]) => ({
+        '<': value.qNum < number,
+        '<=': value.qNum <= number,
+        '>': value.qNum > number,
+        '>=': value.qNum >= number,
+        '=': value.qNum === number,
+      })[operator]);
+    } else if (/[*?]/.test(search)) {
+      const pattern = search.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+      const regex = new RegExp(`^${pattern}$`, 'i');
+      matches = value => regex.test(value.qText);
+    } else {
+      const lower = search.replace(/^"(.*)"$/, '$1').toLowerCase();
+      matches = value => value.qText.toLowerCase().includes(lower);
+    }
+
+    return field.values.map((value, elemNumber) => (matches(value) ? elemNumber : -1)).filter(elemNumber => elemNumber >= 0);
+  }
+
+  // Parse a measure expression into an aggregation over one field
+  parseMeasure(expression) {
+    const text = String(expression || '').trim().replace(/^=/, '').trim();
+    const call = /^(\w+)\s*\(\s*(distinct\s+)?(.+?)\s*\)$/i.exec(text);
+    const aggregation = call ? call[1].toLowerCase() : 'sum';
+    const fieldReference = call ? call[3] : text;
+
+    if (!AGGREGATIONS.includes(aggregation) || !/^(\[[^\]]+\]|[^()[\]*/+]+)$/.test(fieldReference)) {
+      throw SimulatedEngine.createError(
+        ERROR_CODES.INVALID_PARAMETERS,
+        `Expression "${expression}" is not supported by the simulated engine (use ${AGGREGATIONS.map(name => `${name[0].toUpperCase()}${name.slice(1)}([Field])`).join(', ')} or [Field])`,
+        String(expression)
+      );
+    }
+
+    return { aggregation, distinct: !!(call && call[2]), field: this.getField(fieldReference) };
+  }
+
+  // Aggregate a measure over a group of rows; null when there is nothing to aggregate
+  aggregate(measure, rows) {
+    const { field } = measure;
+    const values = rows.map(row => field.values[row[field.index]]);
+
+    if (measure.aggregation === 'count') {
+      const texts = values.filter(value => value.qText !== '').map(value => value.qText);
+      return measure.distinct ? new Set(texts).size : texts.length;
+    }
+
+    const numbers = values.map(value => value.qNum).filter(Number.isFinite);
+    // Sums are rounded to 15 significant digits so 0.1 + 0.2 reads 0.3 as in the engine
+    const sum = Number(numbers.reduce((total, number) => total + number, 0).toPrecision(15));
+    if (measure.aggregation === 'sum') {
+      return sum;
+    }
+    if (numbers.length === 0) {
+      return null;
+    }
+    if (measure.aggregation === 'min') {
+      return Math.min(...numbers);
+    }
+    if (measure.aggregation === 'max') {
+      return Math.max(...numbers);
+    }
+    return sum / numbers.length;
+  }
+
+  // Cell of a field value as sent by the engine
+  static toValueCell(value, elemNumber, state) {
+    return {
+      qText: value.qText,
+      qNum: Number.isFinite(value.qNum) ? value.qNum : 'NaN',
+      qElemNumber: elemNumber,
+      qState: state,
+    };
+  }
+
+  // Cell of a measure result; missing values show as "-"
+  static toMeasureCell(number) {
+    if (number === null) {
+      return { qText: '-', qNum: 'NaN', qElemNumber: -1, qState: 'L', qIsNull: true };
+    }
+    return { qText: String(Math.round(number * 1e6) / 1e6), qNum: number, qElemNumber: 0, qState: 'L' };
+  }
+
+  // Compare two cells by qSortCriterias (numeric, ascii, load order); the first difference wins
+  static compareCells(a, b, criteria) {
+    const aNum = Number(a.qNum);
+    const bNum = Number(b.qNum);
+
+    if (criteria.qSortByNumeric && Number.isFinite(aNum) && Number.isFinite(bNum) && aNum !== bNum) {
+      return (aNum - bNum) * Math.sign(criteria.qSortByNumeric);
+    }
+    if (criteria.qSortByAscii && a.qText !== b.qText) {
+      return a.qText.localeCompare(b.qText) * Math.sign(criteria.qSortByAscii);
+    }
+    if (criteria.qSortByLoadOrder && a.qElemNumber !== b.qElemNumber) {
+      return (a.qElemNumber - b.qElemNumber) * Math.sign(criteria.qSortByLoadOrder);
+    }
+    return 0;
+  }
+
+  // Group the possible rows by the dimensions of a hypercube definition and aggregate its measures
+  computeHyperCube(def) {
+    const qDimensions = def.qDimensions || [];
+    const qMeasures = def.qMeasures || [];
+    const dimensions = qDimensions.map(dim => this.getField((dim.qDef.qFieldDefs || [])[0]));
+    const measures = qMeasures.map(measure => this.parseMeasure(measure.qDef.qDef));
+
+    const groups = new Map();
+    this.getPossibleRows().forEach(row => {
+      const elemNumbers = dimensions.map(field => row[field.index]);
+      const suppressed = dimensions.some((field, index) => (
+        qDimensions[index].qNullSuppression && field.values[elemNumbers[index]].qText === ''
+      ));
+      if (suppressed) {
+        return;
+      }
+
+      const key = elemNumbers.join('|');
+      if (!groups.has(key)) {
+        groups.set(key, { elemNumbers, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    });
+    if (dimensions.length === 0) {
+      groups.set('', { elemNumbers: [], rows: this.getPossibleRows() });
+    }
+
+    let matrix = [...groups.values()].map(group => [
+      ...dimensions.map((field, index) => SimulatedEngine.toValueCell(field.values[group.elemNumbers[index]], group.elemNumbers[index], 'O')),
+      ...measures.map(measure => SimulatedEngine.toMeasureCell(this.aggregate(measure, group.rows))),
+    ]);
+
+    if (def.qSuppressMissing || def.qSuppressZero) {
+      matrix = matrix.filter(row => row.slice(dimensions.length).some(cell => (
+        !cell.qIsNull && !(def.qSuppressZero && cell.qNum === 0)
+      )));
+    }
+
+    const columnCount = dimensions.length + measures.length;
+    // Pivot definitions place the measures with -1, which does not sort the straight rows
+    const requestedOrder = (def.qInterColumnSortOrder || []).filter(column => column !== PSEUDO_LEVEL);
+    const sortOrder = requestedOrder.length > 0 ? requestedOrder : [...Array(columnCount).keys()];
+    const criteria = [
+      ...qDimensions.map(dim => (dim.qDef.qSortCriterias && dim.qDef.qSortCriterias[0]) || DEFAULT_DIMENSION_SORT),
+      ...qMeasures.map(measure => measure.qSortBy || { qSortByNumeric: -1 }),
+    ];
+    matrix.sort((a, b) => {
+      for (const column of sortOrder) {
+        const order = SimulatedEngine.compareCells(a[column], b[column], criteria[column] || {});
+        if (order !== 0) {
+          return order;
+        }
+      }
+      return 0;
+    });
+
+    const measureNumbers = measures.map((measure, index) => matrix.map(row => row[dimensions.length + index].qNum).filter(Number.isFinite));
+    const possibleRows = this.getPossibleRows();
+
+    return {
+      matrix,
+      width: columnCount,
+      info: {
+        qSize: { qcx: columnCount, qcy: matrix.length },
+        qMode: 'S',
+        qDimensionInfo: dimensions.map((field, index) => ({
+          qFallbackTitle: (qDimensions[index].qDef.qFieldLabels || [])[0] || field.name,
+          qGroupFieldDefs: [field.name],
+          qCardinal: field.values.length,
+          qSortIndicator: 'A',
+          qStateCounts: this.getStateCounts(field),
+        })),
+        qMeasureInfo: measures.map((measure, index) => ({
+          qFallbackTitle: qMeasures[index].qDef.qLabel || qMeasures[index].qDef.qDef,
+          qMin: measureNumbers[index].length > 0 ? Math.min(...measureNumbers[index]) : 'NaN',
+          qMax: measureNumbers[index].length > 0 ? Math.max(...measureNumbers[index]) : 'NaN',
+          qNumFormat: { qType: 'U', qnDec: 10, qUseThou: 0 },
+        })),
+        qGrandTotalRow: measures.map(measure => SimulatedEngine.toMeasureCell(this.aggregate(measure, possibleRows))),
+        qEffectiveInterColumnSortOrder: sortOrder,
+        qNoOfLeftDims: -1,
+      },
+    };
+  }
+
+  static isPivot(def) {
+    return PIVOT_MODES.includes(def.qMode);
+  }
+
+  // Pivot table of a hypercube definition: the left and top trees of the visible nodes, their
+  // leaves (the rows and columns of qData) and the layout info
+  // Levels follow qInterColumnSortOrder (-1 the measures, last by default when there are several);
+  // the first qNoOfLeftDims levels are on the left, all dimensions when it is not set
+  computePivot(def) {
+    const qDimensions = def.qDimensions || [];
+    const qMeasures = def.qMeasures || [];
+    const dimensions = qDimensions.map(dim => this.getField((dim.qDef.qFieldDefs || [])[0]));
+    const measures = qMeasures.map(measure => this.parseMeasure(measure.qDef.qDef));
+
+    const defaultOrder = [...dimensions.keys(), ...(measures.length > 1 ? [PSEUDO_LEVEL] : [])];
+    const requestedOrder = def.qInterColumnSortOrder || [];
+    const order = requestedOrder.length === defaultOrder.length && defaultOrder.every(level => requestedOrder.includes(level))
+      ? requestedOrder
+      : defaultOrder;
+    const noOfLeftDims = def.qNoOfLeftDims >= 0 ? Math.min(def.qNoOfLeftDims, order.length) : dimensions.length;
+
+    const rows = this.getPossibleRows().filter(row => !dimensions.some((field, index) => (
+      qDimensions[index].qNullSuppression && field.values[row[field.index]].qText === ''
+    )));
+    const cube = { def, qDimensions, qMeasures, dimensions, measures };
+    const left = this.buildPivotTree(cube, 'left', order.slice(0, noOfLeftDims), rows);
+    const top = this.buildPivotTree(cube, 'top', order.slice(noOfLeftDims), rows);
+    const leftLeaves = SimulatedEngine.getPivotLeaves(left, rows);
+    const topLeaves = SimulatedEngine.getPivotLeaves(top, rows);
+    const straight = this.computeHyperCube(def);
+
+    return {
+      cube,
+      left,
+      top,
+      leftLeaves,
+      topLeaves,
+      info: {
+        ...straight.info,
+        qSize: { qcx: topLeaves.length, qcy: leftLeaves.length },
+        qMode: 'P',
+        qEffectiveInterColumnSortOrder: order,
+        qNoOfLeftDims: noOfLeftDims,
+      },
+    };
+  }
+
+  // Nodes of the remaining tree levels over a group of rows: { cell, key, rows, measureIndex,
+  // leafCount, children }. Collapsed and total nodes keep only the measure levels below them
+  buildPivotTree(cube, side, levels, rows, parentKey = '', measureIndex = null) {
+    if (levels.length === 0) {
+      return [];
+    }
+    const [level, ...below] = levels;
+    const measuresBelow = below.filter(next => next === PSEUDO_LEVEL);
+    const withLeafCount = node => ({
+      ...node,
+      leafCount: node.children.length === 0 ? 1 : node.children.reduce((total, child) => total + child.leafCount, 0),
+    });
+
+    if (level === PSEUDO_LEVEL) {
+      return cube.measures.map((measure, index) => withLeafCount({
+        cell: { qText: cube.qMeasures[index].qDef.qLabel || cube.qMeasures[index].qDef.qDef, qElemNo: index, qValue: 'NaN', qType: 'P', qCanExpand: false, qCanCollapse: false },
+        key: null,
+        rows,
+        measureIndex: index,
+        children: this.buildPivotTree(cube, side, below, rows, parentKey, index),
+      }));
+    }
+
+    const field = cube.dimensions[level];
+    const qDimension = cube.qDimensions[level];
+    const criteria = (qDimension.qDef.qSortCriterias && qDimension.qDef.qSortCriterias[0]) || DEFAULT_DIMENSION_SORT;
+    const groups = new Map();
+    rows.forEach(row => {
+      const elemNumber = row[field.index];
+      if (!groups.has(elemNumber)) {
+        groups.set(elemNumber, []);
+      }
+      groups.get(elemNumber).push(row);
+    });
+
+    const canExpand = below.some(next => next !== PSEUDO_LEVEL);
+    const nodes = [...groups.entries()]
+      .map(([elemNumber, groupRows]) => ({ value: SimulatedEngine.toValueCell(field.values[elemNumber], elemNumber, 'O'), rows: groupRows }))
+      .sort((a, b) => SimulatedEngine.compareCells(a.value, b.value, criteria))
+      .map(({ value, rows: groupRows }) => {
+        const key = `${parentKey}/${value.qElemNumber}`;
+        const expanded = canExpand && SimulatedEngine.isExpanded(cube.def, side, key);
+        return withLeafCount({
+          cell: { qText: value.qText, qElemNo: value.qElemNumber, qValue: value.qNum, qType: 'N', qCanExpand: canExpand && !expanded, qCanCollapse: expanded },
+          key,
+          rows: groupRows,
+          measureIndex,
+          children: this.buildPivotTree(cube, side, expanded ? below : measuresBelow, groupRows, key, measureIndex),
+        });
+      });
+
+    if (qDimension.qOtherTotalSpec && qDimension.qOtherTotalSpec.qTotalMode === 'TOTAL_EXPR') {
+      nodes.push(withLeafCount({
+        cell: { qText: qDimension.qTotalLabel || 'Total', qElemNo: -1, qValue: 'NaN', qType: 'T', qCanExpand: false, qCanCollapse: false },
+        key: null,
+        rows,
+        measureIndex,
+        isTotal: true,
+        children: this.buildPivotTree(cube, side, measuresBelow, rows, parentKey, measureIndex),
+      }));
+    }
+    return nodes;
+  }
+
+  // Leaves of a tree in order ({ rows, measureIndex, isTotal }); a side without levels has one leaf
+  static getPivotLeaves(nodes, rows, isTotal = false) {
+    if (nodes.length === 0) {
+      return [{ rows, measureIndex: null, isTotal }];
+    }
+    return nodes.flatMap(node => (
+      node.children.length === 0
+        ? [{ rows: node.rows, measureIndex: node.measureIndex, isTotal: isTotal || !!node.isTotal }]
+        : SimulatedEngine.getPivotLeaves(node.children, node.rows, isTotal || !!node.isTotal)
+    ));
+  }
+
+  // Whether a node (key: element numbers from the root) is expanded; qExpansionState holds one
+  // { qExcludeList, qPos } per side, the listed keys expanded (or collapsed with qExcludeList)
+  static isExpanded(def, side, key) {
+    if (def.qAlwaysFullyExpanded) {
+      return true;
+    }
+    const state = (def.qExpansionState || [])[side === 'left' ? 0 : 1];
+    if (!state) {
+      return false;
+    }
+    const listed = (state.qPos || []).includes(key);
+    return state.qExcludeList ? !listed : listed;
+  }
+
+  // Node on a tree level that covers a leaf position
+  static findPivotNode(nodes, position, level) {
+    let first = 0;
+    for (const node of nodes) {
+      if (position < first + node.leafCount) {
+        return level === 0 ? node : SimulatedEngine.findPivotNode(node.children, position - first, level - 1);
+      }
+      first += node.leafCount;
+    }
+    return null;
+  }
+
+  // ExpandLeft/CollapseLeft (position = row, level = column) and ExpandTop/CollapseTop
+  // (level = row, position = column); all applies to every node of the side
+  setExpansion(object, side, position, level, all, expanded) {
+    const def = object.properties.qHyperCubeDef;
+    if (!def || !SimulatedEngine.isPivot(def)) {
+      throw SimulatedEngine.createError(ERROR_CODES.INVALID_OBJECT_STATE, 'Not in pivot mode', 'Not in pivot mode');
+    }
+
+    const index = side === 'left' ? 0 : 1;
+    const states = [0, 1].map(sideIndex => (def.qExpansionState || [])[sideIndex] || { qExcludeList: false, qPos: [] });
+
+    if (all) {
+      states[index] = { qExcludeList: expanded, qPos: [] };
+    } else {
+      const pivot = this.computePivot(def);
+      const node = SimulatedEngine.findPivotNode(side === 'left' ? pivot.left : pivot.top, position, level);
+      if (!node || node.key === null) {
+        throw SimulatedEngine.createError(ERROR_CODES.INVALID_PARAMETERS, `No ${side} node at position ${position} of level ${level}`, String(position));
+      }
+      const state = states[index];
+      const others = state.qPos.filter(key => key !== node.key);
+      states[index] = { ...state, qPos: expanded !== state.qExcludeList ? [...others, node.key] : others };
+    }
+
+    object.properties = { ...object.properties, qHyperCubeDef: { ...def, qExpansionState: states } };
+    return {};
+  }
+
+  // Slice pivot pages (NxPivotPage) out of a pivot table, enforcing the engine cell limit
+  getPivotPages(pivot, pages = []) {
+    SimulatedEngine.checkCellLimit(pages);
+
+    return pages.map(page => {
+      const leftLeaves = pivot.leftLeaves.slice(page.qTop, page.qTop + page.qHeight);
+      const topLeaves = pivot.topLeaves.slice(page.qLeft, page.qLeft + page.qWidth);
+
+      return {
+        qLeft: SimulatedEngine.slicePivotTree(pivot.left, page.qTop, page.qTop + page.qHeight),
+        qTop: SimulatedEngine.slicePivotTree(pivot.top, page.qLeft, page.qLeft + page.qWidth),
+        qData: leftLeaves.map(left => topLeaves.map(top => this.getPivotValue(pivot.cube, left, top))),
+        qArea: { qLeft: page.qLeft, qTop: page.qTop, qWidth: topLeaves.length, qHeight: leftLeaves.length },
+      };
+    });
+  }
+
+  // Dimension cells (NxPivotDimensionCell) of the leaves from start to end (exclusive)
+  static slicePivotTree(nodes, start, end, offset = { leaf: 0 }) {
+    const cells = [];
+    nodes.forEach(node => {
+      if (node.children.length === 0) {
+        if (offset.leaf >= start && offset.leaf < end) {
+          cells.push({ ...node.cell, qSubNodes: [] });
+        }
+        offset.leaf++;
+        return;
+      }
+      const subNodes = SimulatedEngine.slicePivotTree(node.children, start, end, offset);
+      if (subNodes.length > 0) {
+        cells.push({ ...node.cell, qSubNodes: subNodes });
+      }
+    });
+    return cells;
+  }
+
+  // Value of the measure of a left and a top leaf over the rows they share (NxPivotValuePoint)
+  getPivotValue(cube, left, top) {
+    const measureIndex = left.measureIndex !== null ? left.measureIndex : (top.measureIndex !== null ? top.measureIndex : 0);
+    const measure = cube.measures[measureIndex];
+    if (!measure) {
+      return { qText: '', qNum: 'NaN', qType: 'E' };
+    }
+
+    const topRows = new Set(top.rows);
+    const cell = SimulatedEngine.toMeasureCell(this.aggregate(measure, left.rows.filter(row => topRows.has(row))));
+    return {
+      qText: cell.qText,
+      qNum: cell.qNum,
+      qType: left.isTotal || top.isTotal ? 'T' : (cell.qIsNull ? 'N' : 'V'),
+    };
+  }
+
+  // Values of a field with their selection state: S selected, O possible, A alternative, X excluded
+  getListValues(field, sortCriterias = []) {
+    const selected = this.selections.get(field.name);
+    const possible = new Set(this.getPossibleRows(field.name).map(row => row[field.index]));
+
+    const cells = field.values.map((value, elemNumber) => {
+      let state = possible.has(elemNumber) ? 'O' : 'X';
+      if (selected) {
+        state = selected.has(elemNumber) ? 'S' : (state === 'O' ? 'A' : 'X');
+      }
+      return SimulatedEngine.toValueCell(value, elemNumber, state);
+    });
+
+    // Selected values first when sorted by state, then load order
+    const criteria = sortCriterias[0] || {};
+    if (criteria.qSortByState) {
+      cells.sort((a, b) => (a.qState === 'S' ? 0 : 1) - (b.qState === 'S' ? 0 : 1) || a.qElemNumber - b.qElemNumber);
+    }
+    return cells;
+  }
+
+  getStateCounts(field) {
+    const cells = this.getListValues(field);
+    const count = state => cells.filter(cell => cell.qState === state).length;
+    return {
+      qSelected: count('S'),
+      qOption: count('O'),
+      qAlternative: count('A'),
+      qExcluded: count('X'),
+      qLocked: 0,
+      qDeselected: 0,
+      qSelectedExcluded: 0,
+      qLockedExcluded: 0,
+    };
+  }
+
+  // The engine refuses requests for more cells than its limit, all pages together
+  static checkCellLimit(pages) {
+    const cellCount = pages.reduce((total, page) => total + page.qWidth * page.qHeight, 0);
+    if (cellCount > MAX_PAGE_CELLS) {
+      throw SimulatedEngine.createError(ERROR_CODES.RESULT_TOO_LARGE, 'Result too large', 'Page(s) too large');
+    }
+  }
+
+  // Slice data pages out of a matrix, enforcing the engine cell limit
+  static getPages(matrix, width, pages = []) {
+    SimulatedEngine.checkCellLimit(pages);
+
+    return pages.map(page => {
+      const rows = matrix
+        .slice(page.qTop, page.qTop + page.qHeight)
+        .map(row => row.slice(page.qLeft, page.qLeft + page.qWidth));
+      return {
+        qMatrix: rows,
+        qTails: [],
+        qArea: {
+          qLeft: page.qLeft,
+          qTop: page.qTop,
+          qWidth: Math.max(0, Math.min(page.qWidth, width - page.qLeft)),
+          qHeight: rows.length,
+        },
+      };
+    });
+  }
+
+  // Create a generic object (session or persistent) and return its handle reference
+  createObject(properties) {
+    const id = (properties.qInfo && properties.qInfo.qId) || `sim-${this.nextObjectId++}`;
+    const object = {
+      id,
+      properties: { ...properties, qInfo: { ...properties.qInfo, qId: id } },
+      handle: this.nextHandle++,
+      search: null,
+    };
+
+    this.objects.set(id, object);
+    this.handles.set(object.handle, { type: 'GenericObject', object });
+    return { qReturn: { qType: 'GenericObject', qHandle: object.handle, qGenericType: object.properties.qInfo.qType, qGenericId: id } };
+  }
+
+  destroyObject(id) {
+    const object = this.objects.get(id);
+    if (!object) {
+      return { qSuccess: false };
+    }
+    this.objects.delete(id);
+    this.handles.delete(object.handle);
+    return { qSuccess: true };
+  }
+
+  // Layout of a generic object: its properties with the definitions replaced by computed data
+  getLayout(object) {
+    const { qHyperCubeDef, qListObjectDef, qFieldListDef, qSelectionObjectDef, ...rest } = object.properties;
+    const layout = { ...rest };
+
+    if (qHyperCubeDef && SimulatedEngine.isPivot(qHyperCubeDef)) {
+      const pivot = this.computePivot(qHyperCubeDef);
+      layout.qHyperCube = {
+        ...pivot.info,
+        qDataPages: [],
+        qPivotDataPages: this.getPivotPages(pivot, qHyperCubeDef.qInitialDataFetch),
+      };
+    } else if (qHyperCubeDef) {
+      const cube = this.computeHyperCube(qHyperCubeDef);
+      layout.qHyperCube = {
+        ...cube.info,
+        qDataPages: SimulatedEngine.getPages(cube.matrix, cube.width, qHyperCubeDef.qInitialDataFetch),
+      };
+    }
+
+    if (qListObjectDef) {
+      const field = this.getField((qListObjectDef.qDef.qFieldDefs || [])[0]);
+      const cells = this.getListValues(field, qListObjectDef.qDef.qSortCriterias);
+      layout.qListObject = {
+        qSize: { qcx: 1, qcy: cells.length },
+        qDimensionInfo: {
+          qFallbackTitle: field.name,
+          qGroupFieldDefs: [field.name],
+          qCardinal: field.values.length,
+          qStateCounts: this.getStateCounts(field),
+        },
+        qDataPages: SimulatedEngine.getPages(cells.map(cell => [cell]), 1, qListObjectDef.qInitialDataFetch),
+      };
+    }
+
+    if (qFieldListDef) {
+      layout.qFieldList = {
+        qItems: [...this.fields.values()].map(field => ({
+          qName: field.name,
+          qCardinal: field.values.length,
+          qTags: field.values.every(value => Number.isFinite(value.qNum)) ? ['$numeric'] : ['$text'],
+          qSrcTables: [this.appTitle],
+        })),
+      };
+    }
+
+    if (qSelectionObjectDef) {
+      layout.qSelectionObject = {
+        qBackCount: 0,
+        qForwardCount: 0,
+        qSelections: [...this.selections.entries()].map(([name, selected]) => {
+          const field = this.fields.get(name);
+          const texts = [...selected].map(elemNumber => field.values[elemNumber].qText);
+          return {
+            qField: name,
+            qSelected: texts.length <= 6 ? texts.join(', ') : `${texts.length} of ${field.values.length}`,
+            qSelectedCount: texts.length,
+            qTotal: field.values.length,
+            qSelectedFieldSelectionInfo: texts.map(text => ({ qName: text, qFieldSelectionMode: 'NORMAL' })),
+          };
+        }),
+      };
+    }
+
+    return { qLayout: layout };
+  }
+
+  // Requests on the global handle
+  handleGlobal(method, params) {
+    switch (method) {
+      case 'OpenDoc':
+      case 'GetActiveDoc':
+        return { qReturn: { qType: 'Doc', qHandle: DOC_HANDLE, qGenericId: params[0] || this.appTitle } };
+      case 'EngineVersion':
+        return { qVersion: { qComponentVersion: 'simulated' } };
+      default:
+        return undefined;
+    }
+  }
+
+  // Requests on the document handle
+  handleDoc(method, params) {
+    switch (method) {
+      case 'CreateSessionObject':
+      case 'CreateObject':
+        return this.createObject(params[0] || {});
+      case 'DestroySessionObject':
+      case 'DestroyObject':
+        return this.destroyObject(params[0]);
+      case 'GetObject': {
+        const object = this.objects.get(params[0]);
+        if (!object) {
+          throw SimulatedEngine.createError(ERROR_CODES.NOT_FOUND, `Object "${params[0]}" not found`, params[0]);
+        }
+        return { qReturn: { qType: 'GenericObject', qHandle: object.handle, qGenericType: object.properties.qInfo.qType, qGenericId: object.id } };
+      }
+      case 'GetAllInfos':
+        return { qInfos: [...this.objects.values()].map(object => object.properties.qInfo) };
+      case 'GetField': {
+        const field = this.getField(params[0]);
+        const handle = this.nextHandle++;
+        this.handles.set(handle, { type: 'Field', field });
+        return { qReturn: { qType: 'Field', qHandle: handle } };
+      }
+      case 'ClearAll':
+        this.selections.clear();
+        return {};
+      case 'GetAppLayout':
+        return {
+          qLayout: {
+            qTitle: this.appTitle,
+            qFileName: this.fileName,
+            qLastReloadTime: this.lastReloadTime,
+            qHasScript: false,
+            qHasData: true,
+          },
+        };
+      default:
+        return undefined;
+    }
+  }
+
+  // Requests on a generic object handle (list object selections use the field of the object)
+  handleObject(object, method, params) {
+    const listField = () => {
+      const def = object.properties.qListObjectDef;
+      if (!def) {
+        throw SimulatedEngine.createError(ERROR_CODES.INVALID_OBJECT_STATE, `Object "${object.id}" has no list object`, method);
+      }
+      return this.getField((def.qDef.qFieldDefs || [])[0]);
+    };
+
+    switch (method) {
+      case 'GetLayout':
+        return this.getLayout(object);
+      case 'GetInfo':
+        return { qInfo: object.properties.qInfo };
+      case 'GetProperties':
+      case 'GetEffectiveProperties':
+        return { qProp: object.properties };
+      case 'SetProperties':
+        object.properties = { ...params[0], qInfo: object.properties.qInfo };
+        return {};
+      case 'GetHyperCubeData': {
+        if (!object.properties.qHyperCubeDef) {
+          throw SimulatedEngine.createError(ERROR_CODES.INVALID_OBJECT_STATE, `Object "${object.id}" has no hypercube`, method);
+        }
+        const cube = this.computeHyperCube(object.properties.qHyperCubeDef);
+        return { qDataPages: SimulatedEngine.getPages(cube.matrix, cube.width, params[1]) };
+      }
+      case 'GetHyperCubePivotData': {
+        const def = object.properties.qHyperCubeDef;
+        if (!def || !SimulatedEngine.isPivot(def)) {
+          throw SimulatedEngine.createError(ERROR_CODES.INVALID_OBJECT_STATE, 'Not in pivot mode', 'Not in pivot mode');
+        }
+        return { qDataPages: this.getPivotPages(this.computePivot(def), params[1]) };
+      }
+      case 'GetHyperCubeStackData':
+        throw SimulatedEngine.createError(ERROR_CODES.INVALID_OBJECT_STATE, 'Not in stacked mode', 'Not in stacked mode');
+      case 'ExpandLeft':
+        return this.setExpansion(object, 'left', params[1], params[2], !!params[3], true);
+      case 'CollapseLeft':
+        return this.setExpansion(object, 'left', params[1], params[2], !!params[3], false);
+      case 'ExpandTop':
+        return this.setExpansion(object, 'top', params[2], params[1], !!params[3], true);
+      case 'CollapseTop':
+        return this.setExpansion(object, 'top', params[2], params[1], !!params[3], false);
+      case 'GetListObjectData': {
+        const field = listField();
+        const cells = this.getListValues(field, object.properties.qListObjectDef.qDef.qSortCriterias);
+        return { qDataPages: SimulatedEngine.getPages(cells.map(cell => [cell]), 1, params[1]) };
+      }
+      case 'SelectListObjectValues':
+        return { qSuccess: this.selectElements(listField(), params[1] || [], !!params[2]) };
+      case 'SelectListObjectExcluded': {
+        // Inverts the selection of the field, or selects the values excluded by the other fields
+        const field = listField();
+        const cells = this.getListValues(field);
+        const target = this.selections.has(field.name) ? ['A', 'X'] : ['X'];
+        return { qSuccess: this.selectElements(field, cells.filter(cell => target.includes(cell.qState)).map(cell => cell.qElemNumber)) };
+      }
+      case 'SelectListObjectContinuousRange': {
+        const field = listField();
+        const ranges = params[1] || [];
+        const elemNumbers = field.values
+          .map((value, elemNumber) => ({ value: value.qNum, elemNumber }))
+          .filter(({ value }) => Number.isFinite(value) && ranges.some(range => (
+            (range.qMinInclEq ? value >= range.qMin : value > range.qMin) &&
+            (range.qMaxInclEq ? value <= range.qMax : value < range.qMax)
+          )))
+          .map(({ elemNumber }) => elemNumber);
+        if (elemNumbers.length === 0) {
+          return { qSuccess: false };
+        }
+        return { qSuccess: this.selectElements(field, elemNumbers) };
+      }
+      case 'SearchListObjectFor':
+        object.search = this.searchElements(listField(), params[1]);
+        return { qSuccess: object.search.length > 0 };
+      case 'AcceptListObjectSearch': {
+        const field = listField();
+        const elemNumbers = object.search || [];
+        object.search = null;
+        if (elemNumbers.length > 0) {
+          this.selectElements(field, elemNumbers, !!params[1]);
+        }
+        return {};
+      }
+      case 'AbortListObjectSearch':
+        object.search = null;
+        return {};
+      case 'ClearSelections':
+        this.selections.delete(listField().name);
+        return {};
+      default:
+        return undefined;
+    }
+  }
+
+  // Requests on a field handle
+  handleField(field, method, params) {
+    switch (method) {
+      case 'SelectValues': {
+        const elemNumbers = (params[0] || []).map(fieldValue => (
+          fieldValue.qIsNumeric
+            ? field.values.findIndex(value => value.qNum === fieldValue.qNumber)
+            : field.lookup.get(String(fieldValue.qText))
+        )).filter(elemNumber => elemNumber !== undefined && elemNumber >= 0);
+        return { qReturn: this.selectElements(field, elemNumbers, !!params[1]) };
+      }
+      case 'Select':
+        return { qReturn: this.selectElements(field, this.searchElements(field, params[0])) };
+      case 'SelectAll':
+        return { qReturn: this.selectElements(field, field.values.map((value, elemNumber) => elemNumber)) };
+      case 'Clear':
+        this.selections.delete(field.name);
+        return { qReturn: true };
+      case 'GetCardinal':
+        return { qReturn: field.values.length };
+      case 'GetNxInfo':
+        return { qInfo: { qId: field.name, qType: 'Field' } };
+      default:
+        return undefined;
+    }
+  }
+
+  // Dispatch a request to the object behind its handle
+  handleRequest(request) {
+    const { method, handle } = request;
+    // enigma.js sends positional parameters; named ones are taken in their object order
+    const params = Array.isArray(request.params) ? request.params : Object.values(request.params || {});
+    let result;
+
+    if (handle === GLOBAL_HANDLE) {
+      result = this.handleGlobal(method, params);
+    } else if (handle === DOC_HANDLE) {
+      result = this.handleDoc(method, params);
+    } else {
+      const target = this.handles.get(handle);
+      if (!target) {
+        throw SimulatedEngine.createError(ERROR_CODES.NOT_FOUND, `Invalid handle ${handle}`, method);
+      }
+      result = target.type === 'Field'
+        ? this.handleField(target.field, method, params)
+        : this.handleObject(target.object, method, params);
+    }
+
+    if (result === undefined) {
+      throw SimulatedEngine.createError(ERROR_CODES.METHOD_NOT_FOUND, `${method} is not supported by the simulated engine`, method);
+    }
+    return result;
+  }
+
+  deliver(message) {
+    setTimeout(() => {
+      if (this.readyState === OPEN && this.onmessage) {
+        this.onmessage({ data: JSON.stringify(message) });
+      }
+    }, 0);
+  }
+
+  send(data) {
+    const request = JSON.parse(data);
+
+    try {
+      this.deliver({ jsonrpc: '2.0', id: request.id, result: this.handleRequest(request) });
+    } catch (error) {
+      this.deliver({
+        jsonrpc: '2.0',
+        id: request.id,
+        error: { code: error.code !== undefined ? error.code : ERROR_CODES.UNKNOWN, parameter: error.parameter || '', message: error.message },
+      });
+    }
+  }
+
+  close(code = 1000, reason = '') {
+    this.readyState = CLOSED;
+    setTimeout(() => {
+      if (this.onclose) {
+        this.onclose({ code, reason });
+      }
+    }, 0);
+  }
+}
+
+module.exports = SimulatedEngine;
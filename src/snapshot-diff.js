@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CsvWriter = require('./csv-writer');
+const { ConfigurationError } = require('./errors');
+const Logger = require('./logger');
+
+const log = new Logger('snapshot-diff');
+
+// Columns added by the extractor that are neither keys nor measures
+const DERIVED_COLUMNS = ['validation_status'];
+
+// Compares two extraction snapshots keyed by their dimension columns
+class SnapshotDiff {
+  constructor(options = {}) {
+    this.keyColumns = options.keyColumns || null;
+    this.minDelta = options.minDelta || 0;
+    this.minPercent = options.minPercent || 0;
+  }
+
+  // Load a saveDataToFile JSON ({ headers, rows }) or a job JSON (array of records) as flat records
+  static async loadSnapshot(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    let content;
+
+    try {
+      content = JSON.parse(await fs.readFile(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new ConfigurationError(`Cannot read snapshot ${resolvedPath}: ${error.message}`, error);
+    }
+
+    // Formatted pivot data: header types tell dimensions from measures
+    if (content && Array.isArray(content.headers) && Array.isArray(content.rows)) {
+      const dimensions = content.headers.filter(header => header.type !== 'measure').map(header => header.name);
+      const measures = content.headers.filter(header => header.type === 'measure').map(header => header.name);
+      const records = content.rows.map(row => {
+        const record = {};
+        dimensions.forEach(name => {
+          record[name] = row.data[name]?.text ?? '';
+        });
+        measures.forEach(name => {
+          const number = parseFloat(row.data[name]?.number);
+          // Missing and NaN cells stay null so they are not mistaken for zero
+          record[name] = Number.isFinite(number) ? number : null;
+        });
+        return record;
+      });
+
+      return { path: resolvedPath, dimensions, measures, records };
+    }
+
+    // Job records: numeric columns are measures, the other columns identify the row
+    if (Array.isArray(content)) {
+      const columns = [];
+      content.forEach(record => {
+        Object.keys(record).forEach(column => {
+          if (!columns.includes(column) && !DERIVED_COLUMNS.includes(column)) {
+            columns.push(column);
+          }
+        });
+      });
+
+      const measures = columns.filter(column => content.every(record => record[column] == null || typeof record[column] === 'number'));
+      const dimensions = columns.filter(column => !measures.includes(column));
+
+      return { path: resolvedPath, dimensions, measures, records: content };
+    }
+
+    throw new ConfigurationError(`Unrecognized snapshot format in ${resolvedPath}`);
+  }
+
+  // Records by key; repeated keys are numbered so duplicates pair up in order
+  static indexRecords(records, keyColumns) {
+    const index = new Map();
+    const counts = new Map();
+
+    records.forEach(record => {
+      const baseKey = JSON.stringify(keyColumns.map(column => record[column] ?? ''));
+      const occurrence = counts.get(baseKey) || 0;
+      counts.set(baseKey, occurrence + 1);
+      index.set(occurrence === 0 ? baseKey : `${baseKey}#${occurrence}`, record);
+    });
+
+    return index;
+  }
+
+  // Whether a measure change is large enough to report
+  exceedsThresholds(delta, percent) {
+    if (Math.abs(delta) <= this.minDelta || delta === 0) {
+      return false;
+    }
+    // A change from zero has no percentage and always passes the percent threshold
+    return percent === null || Math.abs(percent) >= this.minPercent;
+  }
+
+  // Added and removed members plus measure changes between two snapshots
+  compare(before, after) {
+    const keyColumns = this.keyColumns || before.dimensions.filter(column => after.dimensions.includes(column));
+    const measures = before.measures.filter(measure => after.measures.includes(measure));
+
+    const missingKeys = keyColumns.filter(column => !before.dimensions.includes(column) || !after.dimensions.includes(column));
+    if (missingKeys.length > 0) {
+      throw new ConfigurationError(`Key columns missing from a snapshot: ${missingKeys.join(', ')}`);
+    }
+    if (keyColumns.length === 0) {
+      throw new ConfigurationError('The snapshots have no dimension columns in common to key rows by');
+    }
+
+    const beforeIndex = SnapshotDiff.indexRecords(before.records, keyColumns);
+    const afterIndex = SnapshotDiff.indexRecords(after.records, keyColumns);
+    const pickKey = record => Object.fromEntries(keyColumns.map(column => [column, record[column]]));
+    const pickMeasures = record => Object.fromEntries(measures.map(measure => [measure, record[measure] ?? null]));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    afterIndex.forEach((record, key) => {
+      if (!beforeIndex.has(key)) {
+        added.push({ ...pickKey(record), ...pickMeasures(record) });
+      }
+    });
+
+    beforeIndex.forEach((record, key) => {
+      const afterRecord = afterIndex.get(key);
+      if (!afterRecord) {
+        removed.push({ ...pickKey(record), ...pickMeasures(record) });
+        return;
+      }
+
+      let rowChanged = false;
+      measures.forEach(measure => {
+        const beforeValue = record[measure] ?? null;
+        const afterValue = afterRecord[measure] ?? null;
+
+        // A value that appears or disappears is always a change, without a delta
+        if (beforeValue === null || afterValue === null) {
+          if (beforeValue !== afterValue) {
+            changed.push({ ...pickKey(record), measure, before: beforeValue, after: afterValue, delta: null, percent: null });
+            rowChanged = true;
+          }
+          return;
+        }
+
+        const delta = Math.round((afterValue - beforeValue) * 1e6) / 1e6;
+        const percent = beforeValue === 0 ? null : Math.round((delta / Math.abs(beforeValue)) * 10000) / 100;
+
+        if (this.exceedsThresholds(delta, percent)) {
+          changed.push({ ...pickKey(record), measure, before: beforeValue, after: afterValue, delta, percent });
+          rowChanged = true;
+        }
+      });
+
+      if (!rowChanged) {
+        unchanged++;
+      }
+    });
+
+    const totals = measures.map(measure => {
+      const sum = records => records.reduce((total, record) => total + (record[measure] || 0), 0);
+      const beforeTotal = sum(before.records);
+      const afterTotal = sum(after.records);
+      return { measure, before: beforeTotal, after: afterTotal, delta: Math.round((afterTotal - beforeTotal) * 1e6) / 1e6 };
+    });
+
+    return {
+      before: before.path,
+      after: after.path,
+      keyColumns,
+      measures,
+      thresholds: { minDelta: this.minDelta, minPercent: this.minPercent },
+      summary: {
+        beforeRows: before.records.length,
+        afterRows: after.records.length,
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged,
+      },
+      totals,
+      added,
+      removed,
+      changed,
+    };
+  }
+
+  // Print counts, measure totals and the largest changes
+  printSummary(diff, limit = 10) {
+    const describe = record => diff.keyColumns.map(column => record[column]).join(' / ') || '(empty)';
+    const formatValue = value => (value === null ? 'missing' : value.toLocaleString());
+
+    log.info('\n=== SNAPSHOT DIFF ===');
+    log.info(`Before: ${diff.before} (${diff.summary.beforeRows} rows)`);
+    log.info(`After:  ${diff.after} (${diff.summary.afterRows} rows)`);
+    log.info(`➕ ${diff.summary.added} added, ➖ ${diff.summary.removed} removed, ✏️ ${diff.summary.changed} changed values, ${diff.summary.unchanged} rows unchanged`);
+
+    log.info('\nTotals:');
+    diff.totals.forEach(total => {
+      log.info(`  ${total.measure}: ${total.before.toLocaleString()} → ${total.after.toLocaleString()} (${total.delta >= 0 ? '+' : ''}${total.delta.toLocaleString()})`);
+    });
+
+    if (diff.added.length > 0) {
+      log.info(`\nAdded (first ${Math.min(limit, diff.added.length)}):`);
+      diff.added.slice(0, limit).forEach(record => log.info(`  + ${describe(record)}`));
+    }
+    if (diff.removed.length > 0) {
+      log.info(`\nRemoved (first ${Math.min(limit, diff.removed.length)}):`);
+      diff.removed.slice(0, limit).forEach(record => log.info(`  - ${describe(record)}`));
+    }
+    if (diff.changed.length > 0) {
+      log.info(`\nLargest changes (first ${Math.min(limit, diff.changed.length)}):`);
+      [...diff.changed]
+        .sort((a, b) => (b.delta === null ? Infinity : Math.abs(b.delta)) - (a.delta === null ? Infinity : Math.abs(a.delta)))
+        .slice(0, limit)
+        .forEach(change => {
+          if (change.delta === null) {
+            log.info(`  ${describe(change)} [${change.measure}]: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+            return;
+          }
+          const percent = change.percent === null ? 'new' : `${change.percent >= 0 ? '+' : ''}${change.percent}%`;
+          log.info(`  ${describe(change)} [${change.measure}]: ${formatValue(change.before)} → ${formatValue(change.after)} (${change.delta >= 0 ? '+' : ''}${change.delta.toLocaleString()}, ${percent})`);
+        });
+    }
+  }
+
+  // Save the delta as JSON, or as CSV with one line per added/removed member and per changed value
+  // The absent side of an added or removed member, and missing values, are empty cells
+  static async writeDelta(diff, filePath) {
+    const outputPath = path.resolve(filePath);
+
+    if (path.extname(outputPath).toLowerCase() === '.csv') {
+      const headers = ['change', ...diff.keyColumns, 'measure', 'before', 'after', 'delta', 'percent'];
+      const lines = [
+        ...diff.added.flatMap(record => diff.measures.map(measure => ({
+          change: 'added', ...record, measure, before: null, after: record[measure], delta: record[measure], percent: null,
+        }))),
+        ...diff.removed.flatMap(record => diff.measures.map(measure => ({
+          change: 'removed', ...record, measure, before: record[measure], after: null, delta: record[measure] === null ? null : -record[measure], percent: null,
+        }))),
+        ...diff.changed.map(change => ({ change: 'changed', ...change })),
+      ];
+
+      const content = new CsvWriter().stringifyRecords(lines, headers, ['before', 'after', 'delta', 'percent']);
+      await fs.writeFile(outputPath, content, 'utf8');
+    } else {
+      await fs.writeFile(outputPath, JSON.stringify(diff, null, 2), 'utf8');
+    }
+
+    log.info(`Delta saved to: ${outputPath}`);
+    return outputPath;
+  }
+}
+
+module.exports = SnapshotDiff;
@@ -0,0 +1,162 @@
+const FieldSelector = require('./field-selector');
+
+// Output extensions written to a SQLite database
+const SQLITE_FORMATS = ['sqlite', 'sqlite3', 'db'];
+
+class SqliteWriter {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.table = options.table || 'pivot_data';
+    this.db = null;
+  }
+
+  static isSqliteFormat(format) {
+    return SQLITE_FORMATS.includes(format);
+  }
+
+  // Quote a table or column name (Cyrillic labels and spaces are kept as they are)
+  static quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  // Stable key identifying a selection set; reruns of the same set replace its rows
+  static buildSelectionKey(selections = []) {
+    return selections
+      .map(selection => FieldSelector.describeSelection(selection))
+      .sort()
+      .join('; ');
+  }
+
+  // One column per selected field, holding the selected value (or a description of the selection)
+  static getSelectionColumns(selections = []) {
+    const columns = {};
+    selections.forEach(selection => {
+      columns[selection.fieldName] = selection.value !== undefined
+        ? String(selection.value)
+        : FieldSelector.describeSelection(selection);
+    });
+    return columns;
+  }
+
+  // Typed columns from the hypercube metadata: dimensions as TEXT, measures as REAL
+  // labels optionally renames the columns (dimensions first, then measures)
+  static buildColumns(metadata, labels = []) {
+    const dimensions = metadata.dimensions || [];
+    const measures = metadata.measures || [];
+
+    return [
+      ...dimensions.map((info, index) => ({
+        name: labels[index] || info.qFallbackTitle,
+        type: 'TEXT',
+      })),
+      ...measures.map((info, index) => ({
+        name: labels[dimensions.length + index] || info.qFallbackTitle,
+        type: 'REAL',
+      })),
+    ];
+  }
+
+  // SQLite value for a column: REAL columns take numbers (NULL for missing values), others text
+  static toColumnValue(column, value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (column.type === 'REAL') {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    return String(value);
+  }
+
+  open() {
+    const Database = require('better-sqlite3');
+    this.db = new Database(this.filePath);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Create the table, or add the columns that earlier runs did not have
+  ensureTable(columns) {
+    const table = SqliteWriter.quoteIdentifier(this.table);
+    const existing = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+
+    if (existing.length === 0) {
+      const definitions = columns.map(column => `${SqliteWriter.quoteIdentifier(column.name)} ${column.type}`);
+      this.db.exec(`CREATE TABLE ${table} (${definitions.join(', ')})`);
+      this.db.exec(`CREATE INDEX IF NOT EXISTS ${SqliteWriter.quoteIdentifier(`${this.table}_selection_key`)} ON ${table} (selection_key)`);
+      return;
+    }
+
+    columns
+      .filter(column => !existing.includes(column.name))
+      .forEach(column => {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${SqliteWriter.quoteIdentifier(column.name)} ${column.type}`);
+      });
+  }
+
+  // Write slices ({ selections, rows, extractedAt }) of records; each slice replaces the rows of the same selection key
+  write(dataColumns, slices) {
+    const selectionNames = [];
+    slices.forEach(slice => {
+      Object.keys(SqliteWriter.getSelectionColumns(slice.selections)).forEach(name => {
+        if (!selectionNames.includes(name) && !dataColumns.some(column => column.name === name)) {
+          selectionNames.push(name);
+        }
+      });
+    });
+
+    const columns = [
+      ...selectionNames.map(name => ({ name, type: 'TEXT' })),
+      ...dataColumns,
+      { name: 'selection_key', type: 'TEXT' },
+      { name: 'extracted_at', type: 'TEXT' },
+    ];
+
+    this.open();
+
+    try {
+      this.ensureTable(columns);
+
+      const table = SqliteWriter.quoteIdentifier(this.table);
+      const columnList = columns.map(column => SqliteWriter.quoteIdentifier(column.name)).join(', ');
+      const deleteSlice = this.db.prepare(`DELETE FROM ${table} WHERE selection_key = ?`);
+      const insertRow = this.db.prepare(`INSERT INTO ${table} (${columnList}) VALUES (${columns.map(() => '?').join(', ')})`);
+      let inserted = 0;
+      let replaced = 0;
+
+      const writeSlices = this.db.transaction(() => {
+        slices.forEach(slice => {
+          const selectionKey = SqliteWriter.buildSelectionKey(slice.selections);
+          const selectionColumns = SqliteWriter.getSelectionColumns(slice.selections);
+          const extractedAt = slice.extractedAt || new Date().toISOString();
+
+          replaced += deleteSlice.run(selectionKey).changes;
+
+          slice.rows.forEach(row => {
+            const values = {
+              ...selectionColumns,
+              ...row,
+              selection_key: selectionKey,
+              extracted_at: extractedAt,
+            };
+            insertRow.run(columns.map(column => SqliteWriter.toColumnValue(column, values[column.name])));
+            inserted++;
+          });
+        });
+      });
+
+      writeSlices();
+
+      return { table: this.table, inserted, replaced };
+    } finally {
+      this.close();
+    }
+  }
+}
+
+module.exports = SqliteWriter;
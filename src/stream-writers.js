@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline, finished } = require('stream/promises');
+const CsvWriter = require('./csv-writer');
+
+// Base writer: a file stream (optionally gzip-compressed) that respects backpressure
+class StreamWriter {
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.gzip = options.gzip !== undefined ? options.gzip : this.filePath.endsWith('.gz');
+    this.rowCount = 0;
+
+    this.fileStream = fs.createWriteStream(this.filePath);
+
+    if (this.gzip) {
+      this.stream = zlib.createGzip();
+      this.done = pipeline(this.stream, this.fileStream);
+    } else {
+      this.stream = this.fileStream;
+      this.done = finished(this.fileStream);
+    }
+
+    // Errors surface when end() awaits completion
+    this.done.catch(() => {});
+  }
+
+  // Write a chunk, waiting for the stream to drain when its buffer is full
+  async write(chunk) {
+    if (!this.stream.write(chunk)) {
+      await once(this.stream, 'drain');
+    }
+  }
+
+  // Called once with the column headers before the first rows
+  async begin(headers) {
+    this.headers = headers;
+  }
+
+  // Write a page of formatted rows ({ index, data: { column: { text, number, state } } })
+  async writeRows(rows) {
+    for (const row of rows) {
+      await this.write(this.serializeRow(row));
+      this.rowCount++;
+    }
+  }
+
+  serializeRow(row) {
+    throw new Error('serializeRow must be implemented by the writer');
+  }
+
+  // Finish the file and wait until everything is flushed to disk
+  async end() {
+    this.stream.end();
+    await this.done;
+    return this.filePath;
+  }
+}
+
+// RFC 4180 CSV through CsvWriter (options.csv holds delimiter, BOM, quoting, ...)
+class CsvStreamWriter extends StreamWriter {
+  constructor(filePath, options = {}) {
+    super(filePath, options);
+    this.csvWriter = new CsvWriter(options.csv);
+  }
+
+  async begin(headers) {
+    await super.begin(headers);
+    this.columns = this.csvWriter.buildColumns(headers);
+    await this.write(this.csvWriter.formatHeader(this.columns));
+  }
+
+  serializeRow(row) {
+    return this.csvWriter.formatRow(this.columns, row);
+  }
+}
+
+// One JSON document per line
+class NdjsonStreamWriter extends StreamWriter {
+  serializeRow(row) {
+    return JSON.stringify(row) + '\n';
+  }
+}
+
+// A single JSON array of rows, written element by element
+class JsonArrayStreamWriter extends StreamWriter {
+  async begin(headers) {
+    await super.begin(headers);
+    await this.write('[\n');
+  }
+
+  serializeRow(row) {
+    return (this.rowCount > 0 ? ',\n' : '') + JSON.stringify(row);
+  }
+
+  async end() {
+    await this.write('\n]\n');
+    return await super.end();
+  }
+}
+
+// Writer classes by format name
+const STREAM_WRITERS = {
+  csv: CsvStreamWriter,
+  ndjson: NdjsonStreamWriter,
+  jsonl: NdjsonStreamWriter,
+  json: JsonArrayStreamWriter,
+};
+
+// Create a writer from the file extension (".gz" suffix enables compression) or an explicit format
+function createStreamWriter(filePath, options = {}) {
+  const baseName = filePath.endsWith('.gz') ? filePath.slice(0, -3) : filePath;
+  const format = options.format || path.extname(baseName).slice(1).toLowerCase();
+  const WriterClass = STREAM_WRITERS[format];
+
+  if (!WriterClass) {
+    throw new Error(`No streaming writer for format "${format}" (${filePath})`);
+  }
+
+  const gzip = options.gzip || filePath.endsWith('.gz');
+  const targetPath = gzip && !filePath.endsWith('.gz') ? `${filePath}.gz` : filePath;
+
+  return new WriterClass(targetPath, { gzip, csv: options.csv });
+}
+
+module.exports = {
+  StreamWriter,
+  CsvStreamWriter,
+  NdjsonStreamWriter,
+  JsonArrayStreamWriter,
+  createStreamWriter,
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+// Size at which the capture rolls over to traffic.ndjson.1, and the number of files kept
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+// Capture of the engine traffic of a session for debugging, one JSON line per message
+// Credentials are redacted and handshake headers are recorded by name only; the file rotates
+// at maxBytes (traffic.ndjson -> traffic.ndjson.1 -> ...) keeping maxFiles files
+class TrafficLog {
+  constructor(filePath = TrafficLog.getPath(), options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.maxBytes = options.maxBytes || parseInt(process.env.QLIK_TRAFFIC_LOG_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles || parseInt(process.env.QLIK_TRAFFIC_LOG_FILES, 10) || DEFAULT_MAX_FILES;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+  }
+
+  // Capture file from QLIK_TRAFFIC_LOG, default logs/traffic.ndjson
+  static getPath() {
+    return path.resolve(process.env.QLIK_TRAFFIC_LOG || 'logs/traffic.ndjson');
+  }
+
+  // Listen to the traffic events of an enigma session (before it is opened)
+  attach(session, connection = {}) {
+    const { headers = {}, ...details } = connection;
+    this.write({ event: 'session', ...details, headers: Object.keys(headers) });
+
+    session.on('traffic:sent', (message) => this.write({ event: 'sent', message }));
+    session.on('traffic:received', (message) => this.write({ event: 'received', message }));
+  }
+
+  write(entry) {
+    const line = `${JSON.stringify({ time: new Date().toISOString(), ...Logger.redact(entry) })}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.filePath, line, 'utf8');
+    this.size += bytes;
+  }
+
+  // Shift the numbered files up by one, dropping the oldest
+  rotate() {
+    fs.rmSync(`${this.filePath}.${this.maxFiles - 1}`, { force: true });
+    for (let index = this.maxFiles - 2; index >= 1; index--) {
+      if (fs.existsSync(`${this.filePath}.${index}`)) {
+        fs.renameSync(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`);
+      }
+    }
+    if (this.maxFiles > 1) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.rmSync(this.filePath, { force: true });
+    }
+    this.size = 0;
+  }
+}
+
+module.exports = TrafficLog;
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+const log = new Logger('traffic-recorder');
+
+// Cassette format version, bumped when the file layout changes
+// 1: one JSON document written at close; 2: a header line, then one line per exchange
+const CASSETTE_VERSION = 2;
+
+// Records every JSON-RPC request and its response of an enigma session into a cassette file
+// Exchanges are appended as they happen, so a crash or a dropped connection keeps the recording
+class TrafficRecorder {
+  constructor(filePath, details = {}) {
+    this.filePath = path.resolve(filePath);
+    this.pending = new Map();
+    this.interactions = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, `${JSON.stringify({
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      ...details,
+    })}\n`, 'utf8');
+  }
+
+  // Read a cassette of either version as { notifications, interactions }
+  // A last line cut off by a crash is skipped
+  static parse(content) {
+    try {
+      const cassette = JSON.parse(content);
+      if (cassette && Array.isArray(cassette.interactions)) {
+        return cassette;
+      }
+    } catch (error) {
+      // Not a single JSON document: a version 2 cassette
+    }
+
+    const lines = content.split('\n').filter(line => line.trim() !== '');
+    const entries = [];
+    lines.forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        if (index !== lines.length - 1) {
+          throw error;
+        }
+      }
+    });
+
+    const [header = {}, ...exchanges] = entries;
+    return {
+      ...header,
+      notifications: exchanges.filter(entry => entry.notification).map(entry => entry.notification),
+      interactions: exchanges.filter(entry => entry.request),
+    };
+  }
+
+  // Listen to the traffic events of an enigma session (before it is opened)
+  attach(session) {
+    session.on('traffic:sent', (request) => {
+      this.pending.set(request.id, request);
+    });
+
+    session.on('traffic:received', (response) => {
+      // Messages without an id are notifications (OnConnected, OnMaxParallelSessionsExceeded, ...)
+      if (response.id === undefined) {
+        this.append({ notification: response });
+        return;
+      }
+
+      const request = this.pending.get(response.id);
+      if (!request) {
+        return;
+      }
+      this.pending.delete(response.id);
+      this.append({ request, response });
+      this.interactions++;
+    });
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+  }
+
+  // Finish the recording; requests that never got an answer are left out
+  close() {
+    log.info(`📼 Recorded ${this.interactions} engine calls to ${this.filePath}`);
+    return this.filePath;
+  }
+}
+
+module.exports = TrafficRecorder;
@@ -0,0 +1,227 @@
+const FieldSelector = require('./field-selector');
+
+// Characters Excel accepts unquoted in a number format
+const FORMAT_CHARACTERS = '#0?%,.;-+() ';
+
+// Excel limits sheet names to 31 characters without []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Widest column in characters (long material texts would otherwise make sheets unreadable)
+const MAX_COLUMN_WIDTH = 60;
+
+class XlsxWriter {
+  constructor(options = {}) {
+    this.sheetName = options.sheetName || 'Data';
+  }
+
+  // Convert a Qlik qNumFormat to an Excel number format (null keeps Excel's General format)
+  static toExcelFormat(qNumFormat) {
+    if (!qNumFormat || !qNumFormat.qFmt || qNumFormat.qType === 'U') {
+      return null;
+    }
+
+    const { qType, qFmt } = qNumFormat;
+
+    // Dates and times share the serial day numbers of Excel (day 0 = 1899-12-30)
+    if (qType === 'D' || qType === 'T' || qType === 'TS') {
+      return qFmt.replace(/TT/g, 'AM/PM').replace(/f/g, '0');
+    }
+    if (qType === 'IV') {
+      return qFmt.replace(/^(h+|D+)/, match => `[${match.toLowerCase()}]`);
+    }
+
+    const decimalSeparator = qNumFormat.qDec || '.';
+    const thousandSeparator = qNumFormat.qThou || ',';
+    const isDigit = char => char === '#' || char === '0';
+    let format = '';
+    let literal = '';
+
+    const flushLiteral = () => {
+      if (literal) {
+        format += `"${literal.replace(/"/g, '')}"`;
+        literal = '';
+      }
+    };
+
+    for (let i = 0; i < qFmt.length; i++) {
+      const char = qFmt[i];
+      let mapped = null;
+
+      // Separators only count between digit placeholders; elsewhere they are literal text
+      if (char === thousandSeparator && isDigit(qFmt[i - 1]) && isDigit(qFmt[i + 1])) {
+        mapped = ',';
+      } else if (char === decimalSeparator && isDigit(qFmt[i + 1])) {
+        mapped = '.';
+      } else if (FORMAT_CHARACTERS.includes(char) && char !== ',' && char !== '.') {
+        mapped = char;
+      }
+
+      if (mapped === null) {
+        literal += char;
+      } else {
+        flushLiteral();
+        format += mapped;
+      }
+    }
+    flushLiteral();
+
+    return format;
+  }
+
+  // Excel-safe, unique sheet name
+  static buildSheetName(text, usedNames) {
+    const base = String(text || 'Sheet').replace(/[[\]:*?/\\]/g, '_').slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+    let name = base;
+    let counter = 2;
+
+    while (usedNames.has(name.toLowerCase())) {
+      const suffix = ` (${counter++})`;
+      name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+
+    usedNames.add(name.toLowerCase());
+    return name;
+  }
+
+  // Number for a numeric cell; Qlik reports missing numbers as "NaN"
+  static toNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  // Add a sheet with a bold frozen header, typed columns and widths fitted to the content
+  // columns: [{ header, numFmt, numeric }], rows: arrays of cell values, widths: display lengths
+  addSheet(workbook, name, columns, rows, widths = []) {
+    const sheet = workbook.addWorksheet(name, {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+
+    sheet.columns = columns.map((column, index) => ({
+      header: column.header,
+      key: `c${index}`,
+      width: Math.min(Math.max(String(column.header).length, widths[index] || 0, 8) + 2, MAX_COLUMN_WIDTH),
+      style: column.numFmt ? { numFmt: column.numFmt } : {},
+    }));
+
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(values => sheet.addRow(values));
+
+    return sheet;
+  }
+
+  // Widest display text per column
+  static measureWidths(rows) {
+    const widths = [];
+    rows.forEach(values => {
+      values.forEach((value, index) => {
+        const length = value === null || value === undefined ? 0 : String(value).length;
+        widths[index] = Math.max(widths[index] || 0, length);
+      });
+    });
+    return widths;
+  }
+
+  // Save formatted pivot data ({ headers, rows, metadata }) to a single sheet
+  async writePivotData(filePath, formattedData) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const measures = formattedData.metadata?.measures || [];
+    let measureIndex = 0;
+
+    const columns = formattedData.headers.map(header => {
+      if (header.type !== 'measure') {
+        return { header: header.name, numeric: false };
+      }
+      const measure = measures[measureIndex++];
+      return {
+        header: header.name,
+        numeric: true,
+        numFmt: XlsxWriter.toExcelFormat(measure?.qNumFormat),
+      };
+    });
+
+    // Widths follow the formatted text Qlik shows, not the raw numbers
+    const texts = [];
+    const rows = formattedData.rows.map(row => {
+      texts.push(formattedData.headers.map(header => row.data[header.name]?.text));
+      return formattedData.headers.map((header, index) => {
+        const cell = row.data[header.name];
+        if (!cell) {
+          return null;
+        }
+        return columns[index].numeric ? XlsxWriter.toNumber(cell.number) : cell.text;
+      });
+    });
+
+    const usedNames = new Set();
+    this.addSheet(workbook, XlsxWriter.buildSheetName(this.sheetName, usedNames), columns, rows, XlsxWriter.measureWidths(texts));
+
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+  }
+
+  // Save job records: one sheet per selection set, plus a metadata sheet for sweeps
+  // result: { headers, rows, metadata, completed, failures }, measureLabels: numeric columns in qMeasureInfo order
+  async writeRecords(filePath, result, measureLabels = []) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const { headers, rows, metadata, completed, failures = [] } = result;
+    const measures = metadata?.measures || [];
+    const usedNames = new Set();
+
+    const columns = headers.map(header => {
+      const measureIndex = measureLabels.indexOf(header);
+      return {
+        header,
+        numeric: measureIndex !== -1,
+        numFmt: measureIndex !== -1 ? XlsxWriter.toExcelFormat(measures[measureIndex]?.qNumFormat) : null,
+      };
+    });
+
+    const toValues = record => headers.map((header, index) => {
+      const value = record[header];
+      if (columns[index].numeric) {
+        return XlsxWriter.toNumber(value);
+      }
+      return value === undefined || value === null ? '' : String(value);
+    });
+
+    const addRecordsSheet = (name, records) => {
+      const values = records.map(toValues);
+      // Leave room for thousand separators in the numeric columns
+      const widths = XlsxWriter.measureWidths(values).map((width, index) => (
+        columns[index].numeric ? Math.ceil(width * 4 / 3) : width
+      ));
+      this.addSheet(workbook, XlsxWriter.buildSheetName(name, usedNames), columns, values, widths);
+    };
+
+    if (!completed) {
+      addRecordsSheet(this.sheetName, rows);
+    } else {
+      completed.forEach(set => {
+        const setRows = rows.filter(row => Object.entries(set.columns).every(([column, value]) => row[column] === value));
+        addRecordsSheet(set.description, setRows);
+      });
+
+      const metadataRows = [
+        ...completed.map(set => [set.description, set.selections.map(FieldSelector.describeSelection).join('; '), 'ok', set.rows, set.extractedAt, '']),
+        ...failures.map(set => [set.description, set.selections.map(FieldSelector.describeSelection).join('; '), 'failed', 0, set.extractedAt, set.error]),
+      ];
+      const metadataColumns = ['Selection set', 'Selections', 'Status', 'Rows', 'Extracted at', 'Error']
+        .map(header => ({ header, numeric: header === 'Rows' }));
+
+      this.addSheet(
+        workbook,
+        XlsxWriter.buildSheetName('Metadata', usedNames),
+        metadataColumns,
+        metadataRows,
+        XlsxWriter.measureWidths(metadataRows)
+      );
+    }
+
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+  }
+}
+
+module.exports = XlsxWriter;
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const ApiServer = require('../src/api-server');
+const SimulatedEngine = require('../src/simulated-engine');
+const Logger = require('../src/logger');
+
+const SAMPLE_CSV = path.join(__dirname, '..', 'samples', 'clean-pivot.csv');
+
+// Send a request to the server and resolve with { statusCode, headers, body }
+const request = (address, method, pathname, body = null) => new Promise((resolve, reject) => {
+  const req = http.request({ host: address.address, port: address.port, method, path: pathname }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+  });
+  req.on('error', reject);
+  req.end(body === null ? undefined : JSON.stringify(body));
+});
+
+// Poll the status of a job until it has finished
+const waitForJob = async (address, id) => {
+  for (;;) {
+    const { body } = await request(address, 'GET', `/jobs/${id}`);
+    const job = JSON.parse(body);
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('ApiServer', () => {
+  let server;
+  let address;
+
+  before(async () => {
+    Logger.configure({ level: 'silent' });
+    server = new ApiServer({
+      port: 0,
+      overrides: { appId: 'clean-pivot', createSocket: () => SimulatedEngine.fromCsv(SAMPLE_CSV) },
+    });
+    address = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('accepts an extraction, reports its status and returns the rows as CSV', async () => {
+    const accepted = await request(address, 'POST', '/extract', {
+      selections: [{ fieldName: 'Завод', value: '1102' }],
+      dimensions: [{ field: 'Год-Месяц' }],
+      measures: [{ expression: 'Sum([На конец периода])', label: 'Closing' }],
+    });
+    assert.equal(accepted.statusCode, 202);
+    const { id, status, links } = JSON.parse(accepted.body);
+    assert.ok(['queued', 'running'].includes(status));
+    assert.equal(links.status, `/jobs/${id}`);
+
+    const job = await waitForJob(address, id);
+    assert.equal(job.status, 'completed', job.error && job.error.message);
+    assert.equal(job.rows, 3);
+
+    const result = await request(address, 'GET', `${links.result}?format=csv`);
+    assert.equal(result.statusCode, 200);
+    assert.match(result.headers['content-type'], /^text\/csv/);
+
+    const lines = result.body.trim().split(/\r?\n/);
+    assert.equal(lines.length, 4);
+    assert.equal(lines[0], 'Год-Месяц,Closing');
+  });
+
+  it('rejects a body that is not an object with 400', async () => {
+    const response = await request(address, 'POST', '/extract', []);
+    assert.equal(response.statusCode, 400);
+  });
+
+  it('answers 404 for an unknown job', async () => {
+    const response = await request(address, 'GET', '/jobs/999');
+    assert.equal(response.statusCode, 404);
+  });
+});
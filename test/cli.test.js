@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+const SAMPLE_CSV = path.join(__dirname, '..', 'samples', 'clean-pivot.csv');
+
+// Run the command line in a scratch directory and return its exit code and output streams
+const runCli = (cwd, args) => {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, QLIK_LOG_LEVEL: 'info', QLIK_LOG_FORMAT: 'text' },
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+describe('command line --format json', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qlik-cli-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  [
+    ['fields', ['fields', '--simulate', SAMPLE_CSV]],
+    ['field values', ['fields', 'Завод', '--simulate', SAMPLE_CSV]],
+    ['objects', ['objects', '--simulate', SAMPLE_CSV]],
+    ['history', ['history', '--history', 'none.ndjson']],
+  ].forEach(([name, args]) => {
+    it(`prints only JSON on stdout for ${name}`, () => {
+      const { status, stdout, stderr } = runCli(directory, [...args, '--format', 'json']);
+
+      assert.equal(status, 0, stderr);
+      assert.doesNotThrow(() => JSON.parse(stdout), stdout);
+    });
+  });
+
+  it('keeps the log lines on stderr', () => {
+    const { stdout, stderr } = runCli(directory, ['fields', '--simulate', SAMPLE_CSV, '--format', 'json']);
+
+    assert.match(stderr, /Session opened successfully/);
+    assert.doesNotMatch(stdout, /Session opened successfully/);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JobSpec = require('../src/job-spec');
+const JobRunner = require('../src/job-runner');
+
+// Runner of a spec with one dimension and two measures
+const createRunner = (suppression = { emptyRows: true }) => new JobRunner(new JobSpec({
+  name: 'records',
+  dimensions: [{ field: 'Material' }],
+  measures: [{ expression: 'Sum(Opening)', label: 'Opening' }, { expression: 'Sum(Closing)', label: 'Closing' }],
+  suppression,
+}));
+
+const dimension = text => ({ qText: text });
+const measure = (qNum, qText = String(qNum)) => ({ qNum, qText });
+
+describe('JobRunner.toRecords', () => {
+  it('keeps missing measure values as null and real zeros as 0', () => {
+    const [record] = createRunner().toRecords([[dimension('Bolt'), measure('NaN', '-'), measure(0)]]);
+
+    assert.equal(record.Material, 'Bolt');
+    assert.equal(record.Opening, null);
+    assert.equal(record.Closing, 0);
+  });
+
+  it('suppresses rows without dimension text that have only missing or zero values', () => {
+    const records = createRunner().toRecords([
+      [dimension(''), measure('NaN', '-'), measure(0)],
+      [dimension(''), measure('NaN', '-'), measure(5)],
+    ]);
+
+    assert.deepEqual(records.map(record => [record.Opening, record.Closing]), [[null, 5]]);
+  });
+});
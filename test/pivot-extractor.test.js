@@ -0,0 +1,205 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const PivotExtractor = require('../src/pivot-extractor');
+const SessionManager = require('../src/session-manager');
+const SimulatedEngine = require('../src/simulated-engine');
+const Logger = require('../src/logger');
+
+const SAMPLE_CSV = path.join(__dirname, '..', 'samples', 'clean-pivot.csv');
+
+const MEASURES = ['Opening', 'Closing'];
+const PLANTS = [
+  { text: '1101', values: [100, 80] },
+  { text: '1102', values: [50, 65] },
+  { text: '1103', values: [10, 0] },
+];
+
+// Pivot object with the plants on the left and the measures (pseudo-dimension) below them:
+// every plant has one left leaf per measure, and qData has one cell per leaf
+const createPivotObject = (qMode = 'P') => {
+  const leaves = PLANTS.flatMap((plant, elemNo) => MEASURES.map((measure, index) => ({
+    plant: { qText: plant.text, qElemNo: elemNo, qValue: Number(plant.text), qType: 'N', qCanExpand: false },
+    measure: { qText: measure, qElemNo: index, qValue: 'NaN', qType: 'P' },
+    value: plant.values[index],
+  })));
+  const requests = [];
+
+  // Left tree of a range of leaves; a plant cut by the range shows only the measures inside it
+  const getLeft = (range) => range.reduce((nodes, leaf) => {
+    const last = nodes[nodes.length - 1];
+    if (last && last.qElemNo === leaf.plant.qElemNo) {
+      last.qSubNodes.push({ ...leaf.measure, qSubNodes: [] });
+    } else {
+      nodes.push({ ...leaf.plant, qSubNodes: [{ ...leaf.measure, qSubNodes: [] }] });
+    }
+    return nodes;
+  }, []);
+
+  return {
+    requests,
+    getLayout: async () => ({
+      qHyperCube: {
+        qMode,
+        qSize: { qcx: 1, qcy: leaves.length },
+        qDimensionInfo: [{ qFallbackTitle: 'Plant' }],
+        qMeasureInfo: MEASURES.map(measure => ({ qFallbackTitle: measure })),
+        qEffectiveInterColumnSortOrder: [0, -1],
+        qNoOfLeftDims: 2,
+      },
+    }),
+    getHyperCubePivotData: async (path, pages) => {
+      requests.push('pivot');
+      return pages.map(page => {
+        const range = leaves.slice(page.qTop, page.qTop + page.qHeight);
+        return {
+          qLeft: getLeft(range),
+          qTop: [],
+          qData: range.map(leaf => [{ qNum: leaf.value, qText: String(leaf.value), qType: 'V' }]),
+          qArea: { qLeft: 0, qTop: page.qTop, qWidth: 1, qHeight: range.length },
+        };
+      });
+    },
+    getHyperCubeData: async () => {
+      requests.push('straight');
+      return [];
+    },
+  };
+};
+
+// Plant text and measure numbers of extracted rows
+const toValues = rows => rows.map(row => [row[0].qText, ...row.slice(1).map(cell => cell.qNum)]);
+
+describe('PivotExtractor', () => {
+  before(() => {
+    Logger.configure({ level: 'silent' });
+  });
+
+  it('decodes the pivot pages of a layout in pivot mode (P)', async () => {
+    const pivotObject = createPivotObject();
+    const result = await new PivotExtractor(null).extractPivotData(pivotObject, { pageSize: 6 });
+
+    assert.deepEqual(pivotObject.requests, ['pivot']);
+    assert.deepEqual(toValues(result.data), PLANTS.map(plant => [plant.text, ...plant.values]));
+    assert.equal(result.nested.length, PLANTS.length);
+  });
+
+  it('merges a tuple whose measures are split by a page boundary', async () => {
+    const pivotObject = createPivotObject();
+    const saved = [];
+    const checkpoint = {
+      nextRow: 0,
+      rows: [],
+      save: async (rows, nextRow) => saved.push({ rows: rows.length, nextRow }),
+    };
+
+    // Pages of 3 leaves: the second plant starts on the first page and ends on the second
+    const result = await new PivotExtractor(null).extractPivotData(pivotObject, { pageSize: 3, pagesPerRequest: 1, checkpoint });
+
+    assert.deepEqual(toValues(result.data), PLANTS.map(plant => [plant.text, ...plant.values]));
+    assert.equal(result.metadata.extractedRows, PLANTS.length);
+    // A rerun after the first page starts again at the first leaf of the cut plant
+    assert.deepEqual(saved, [{ rows: 1, nextRow: 2 }, { rows: 2, nextRow: 6 }]);
+    assert.deepEqual(result.nested.map(node => node.text), PLANTS.map(plant => plant.text));
+  });
+
+  it('retries aborted requests with smaller pages and stops at a single row', async () => {
+    const pivotObject = createPivotObject();
+    const heights = [];
+    pivotObject.getHyperCubePivotData = async (path, pages) => {
+      heights.push(pages[0].qHeight);
+      throw Object.assign(new Error('Request aborted'), { code: 15 });
+    };
+
+    const result = await new PivotExtractor(null).extractPivotData(pivotObject, { pageSize: 6 });
+
+    assert.deepEqual(result.data, []);
+    assert.equal(heights[heights.length - 1], 1);
+    assert.ok(heights.length < 10);
+  });
+
+  it('reads straight tables with GetHyperCubeData', async () => {
+    const pivotObject = createPivotObject('S');
+    await new PivotExtractor(null).extractPivotData(pivotObject, { pageSize: 6 });
+
+    assert.deepEqual(pivotObject.requests, ['straight']);
+  });
+});
+
+describe('PivotExtractor on a simulated pivot table', () => {
+  let sessionManager;
+  let doc;
+
+  // Plants and months on the left with their totals, the two measures on top
+  const createPivotTable = (qNoOfLeftDims = 2) => doc.createSessionObject({
+    qInfo: { qType: 'pivot-table' },
+    qHyperCubeDef: {
+      qMode: 'P',
+      qNoOfLeftDims,
+      qDimensions: [
+        { qDef: { qFieldDefs: ['Завод'] }, qOtherTotalSpec: { qTotalMode: 'TOTAL_EXPR' }, qTotalLabel: 'Всего' },
+        { qDef: { qFieldDefs: ['Год-Месяц'] }, qOtherTotalSpec: { qTotalMode: 'TOTAL_EXPR' } },
+      ],
+      qMeasures: [
+        { qDef: { qDef: 'Sum([На начало периода])', qLabel: 'Opening' } },
+        { qDef: { qDef: 'Sum([На конец периода])', qLabel: 'Closing' } },
+      ],
+    },
+  });
+
+  // Sum of one measure over hierarchy nodes
+  const sum = (nodes, field, measure) => nodes.reduce((total, node) => total + node[field][measure].number, 0);
+  const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+  before(async () => {
+    Logger.configure({ level: 'silent' });
+    sessionManager = new SessionManager({ appId: 'clean-pivot', createSocket: () => SimulatedEngine.fromCsv(SAMPLE_CSV) });
+    ({ doc } = await sessionManager.connect());
+  });
+
+  after(async () => {
+    await sessionManager.close();
+  });
+
+  it('expands all nodes, attaches the subtotals and restores the expansion', async () => {
+    const pivotObject = await createPivotTable();
+    const collapsed = await pivotObject.getLayout();
+    const properties = await pivotObject.getProperties();
+
+    const result = await new PivotExtractor(doc).extractPivotData(pivotObject, { expand: true, hierarchy: true, pageSize: 3 });
+
+    // Two plants with three months and a subtotal each, then the grand total
+    assert.equal(collapsed.qHyperCube.qMode, 'P');
+    assert.equal(result.data.length, 9);
+    assert.deepEqual(result.hierarchy.dimensions, ['Завод', 'Год-Месяц']);
+    assert.deepEqual(result.hierarchy.children.map(plant => plant.text), ['1101', '1102']);
+
+    result.hierarchy.children.forEach(plant => {
+      assert.equal(plant.children.length, 3);
+      ['Opening', 'Closing'].forEach(measure => near(plant.subtotals[measure].number, sum(plant.children, 'values', measure)));
+    });
+    ['Opening', 'Closing'].forEach(measure => near(result.hierarchy.totals[measure].number, sum(result.hierarchy.children, 'subtotals', measure)));
+
+    const restored = await pivotObject.getLayout();
+    assert.deepEqual(restored.qHyperCube.qSize, collapsed.qHyperCube.qSize);
+    assert.deepEqual(await pivotObject.getProperties(), properties);
+  });
+
+  it('expands down to a number of levels', async () => {
+    const pivotObject = await createPivotTable();
+
+    const topLevel = await new PivotExtractor(doc).extractPivotData(pivotObject, { expand: 1 });
+    assert.deepEqual(topLevel.data.map(row => [row[0].qText, row[1].qText]), [['1101', ''], ['1102', ''], ['Всего', '']]);
+
+    const allLevels = await new PivotExtractor(doc).extractPivotData(pivotObject, { expand: true });
+    const twoLevels = await new PivotExtractor(doc).extractPivotData(pivotObject, { expand: 2 });
+    assert.deepEqual(twoLevels.data, allLevels.data);
+  });
+
+  it('keeps the rows whole with the measures on the left and odd page sizes', async () => {
+    const measuresOnTop = await new PivotExtractor(doc).extractPivotData(await createPivotTable(2), { expand: true });
+    const measuresOnLeft = await new PivotExtractor(doc).extractPivotData(await createPivotTable(3), { expand: true, pageSize: 3 });
+
+    assert.deepEqual(measuresOnLeft.data, measuresOnTop.data);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../src/scheduler');
+const Logger = require('../src/logger');
+
+const JOB_FILE = path.join(__dirname, '..', 'jobs', 'clean-pivot.json');
+
+describe('Scheduler', () => {
+  let directory;
+  let scheduler;
+
+  before(() => {
+    Logger.configure({ level: 'silent' });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qlik-schedule-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    scheduler = new Scheduler({
+      history: path.join(directory, 'run-history.ndjson'),
+      lockDir: path.join(directory, '.locks'),
+      entries: [{ name: 'clean-pivot', job: JOB_FILE, cron: '* * * * *' }],
+    });
+  });
+
+  afterEach(() => {
+    clearTimeout(scheduler.timer);
+    mock.timers.reset();
+  });
+
+  it('logs a run that cannot be recorded instead of rejecting', async () => {
+    scheduler.runEntry = async () => {
+      throw new Error('history file is read-only');
+    };
+
+    scheduler.tick(new Date());
+
+    assert.equal(scheduler.activeRuns.size, 1);
+    await Promise.all([...scheduler.activeRuns]);
+    assert.equal(scheduler.activeRuns.size, 0);
+  });
+
+  it('ticks once per minute, also when the timer fires early', () => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2026, 0, 1, 10, 4, 30) });
+    const ticks = [];
+    scheduler.tick = now => ticks.push(now.getMinutes());
+
+    scheduler.scheduleTick();
+    mock.timers.tick(30000);
+    assert.deepEqual(ticks, [5]);
+
+    // Minute 6 handled while the clock still reads 10:05:59.990
+    clearTimeout(scheduler.timer);
+    mock.timers.tick(59990);
+    scheduler.scheduleTick(new Date(2026, 0, 1, 10, 6));
+    mock.timers.tick(10);
+    assert.deepEqual(ticks, [5]);
+    mock.timers.tick(60000);
+    assert.deepEqual(ticks, [5, 7]);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SimulatedEngine = require('../src/simulated-engine');
+const Logger = require('../src/logger');
+
+const SAMPLE_CSV = path.join(__dirname, '..', 'samples', 'clean-pivot.csv');
+
+// Send one request straight to the engine and return its result (errors are thrown)
+const call = (engine, handle, method, params = []) => engine.handleRequest({ handle, method, params });
+
+// Session cube of the plants with the sum of one measure
+const createPlantCube = (engine) => {
+  const { qReturn } = call(engine, 1, 'CreateSessionObject', [{
+    qInfo: { qType: 'test-cube' },
+    qHyperCubeDef: {
+      qDimensions: [{ qDef: { qFieldDefs: ['Завод'] } }],
+      qMeasures: [{ qDef: { qDef: 'Sum([На конец периода])', qLabel: 'Closing' } }],
+    },
+  }]);
+  return qReturn.qHandle;
+};
+
+describe('SimulatedEngine', () => {
+  before(() => {
+    Logger.configure({ level: 'silent' });
+  });
+
+  it('groups the rows by the dimensions and sums the measures', () => {
+    const engine = SimulatedEngine.fromCsv(SAMPLE_CSV);
+    const table = SimulatedEngine.parseCsv(fs.readFileSync(SAMPLE_CSV, 'utf8'));
+    const plantIndex = table.headers.indexOf('Завод');
+    const closingIndex = table.headers.indexOf('На конец периода');
+
+    const expected = new Map();
+    table.rows.forEach(cells => {
+      const plant = cells[plantIndex];
+      expected.set(plant, (expected.get(plant) || 0) + SimulatedEngine.parseNumber(cells[closingIndex]));
+    });
+
+    const handle = createPlantCube(engine);
+    const { qLayout } = call(engine, handle, 'GetLayout');
+    assert.equal(qLayout.qHyperCube.qSize.qcy, expected.size);
+    assert.equal(qLayout.qHyperCube.qSize.qcx, 2);
+
+    const { qDataPages } = call(engine, handle, 'GetHyperCubeData', ['/qHyperCubeDef', [{ qTop: 0, qLeft: 0, qWidth: 2, qHeight: 10 }]]);
+    const sums = new Map(qDataPages[0].qMatrix.map(([plant, closing]) => [plant.qText, closing.qNum]));
+    expected.forEach((sum, plant) => {
+      assert.ok(Math.abs(sums.get(plant) - sum) < 1e-6, `sum of ${plant}`);
+    });
+  });
+
+  it('groups only the possible rows of the selections', () => {
+    const engine = SimulatedEngine.fromCsv(SAMPLE_CSV);
+    const field = call(engine, 1, 'GetField', ['Завод']).qReturn.qHandle;
+    call(engine, field, 'SelectValues', [[{ qText: '1102' }]]);
+
+    const handle = createPlantCube(engine);
+    const { qLayout } = call(engine, handle, 'GetLayout');
+    assert.equal(qLayout.qHyperCube.qSize.qcy, 1);
+
+    const { qDataPages } = call(engine, handle, 'GetHyperCubeData', ['/qHyperCubeDef', [{ qTop: 0, qLeft: 0, qWidth: 2, qHeight: 10 }]]);
+    assert.equal(qDataPages[0].qMatrix[0][0].qText, '1102');
+  });
+
+  it('pages through the rows and columns of a cube', () => {
+    const engine = SimulatedEngine.fromCsv(SAMPLE_CSV);
+    const { qReturn } = call(engine, 1, 'CreateSessionObject', [{
+      qInfo: { qType: 'test-cube' },
+      qHyperCubeDef: {
+        qDimensions: [{ qDef: { qFieldDefs: ['Краткий текст материала'] } }],
+        qMeasures: [{ qDef: { qDef: 'Sum([На начало периода])' } }],
+      },
+    }]);
+    const handle = qReturn.qHandle;
+    const { qLayout } = call(engine, handle, 'GetLayout');
+    const rowCount = qLayout.qHyperCube.qSize.qcy;
+    assert.ok(rowCount > 3);
+
+    const [full] = call(engine, handle, 'GetHyperCubeData', ['/qHyperCubeDef', [{ qTop: 0, qLeft: 0, qWidth: 2, qHeight: rowCount }]]).qDataPages;
+    const pages = call(engine, handle, 'GetHyperCubeData', ['/qHyperCubeDef', [
+      { qTop: 0, qLeft: 0, qWidth: 2, qHeight: 2 },
+      { qTop: 2, qLeft: 0, qWidth: 2, qHeight: rowCount },
+      { qTop: 1, qLeft: 1, qWidth: 1, qHeight: 1 },
+    ]]).qDataPages;
+
+    assert.deepEqual([...pages[0].qMatrix, ...pages[1].qMatrix], full.qMatrix);
+    assert.deepEqual(pages[1].qArea, { qLeft: 0, qTop: 2, qWidth: 2, qHeight: rowCount - 2 });
+    assert.deepEqual(pages[2].qMatrix, [[full.qMatrix[1][1]]]);
+  });
+
+  it('refuses requests above the cell limit', () => {
+    const engine = SimulatedEngine.fromCsv(SAMPLE_CSV);
+    const handle = createPlantCube(engine);
+
+    assert.throws(
+      () => call(engine, handle, 'GetHyperCubeData', ['/qHyperCubeDef', [{ qTop: 0, qLeft: 0, qWidth: 2, qHeight: 5001 }]]),
+      error => error.code === 6001
+    );
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobSpec = require('../src/job-spec');
+const JobRunner = require('../src/job-runner');
+const SessionManager = require('../src/session-manager');
+const Logger = require('../src/logger');
+
+const SAMPLE_CSV = path.join(__dirname, '..', 'samples', 'clean-pivot.csv');
+const JOB_FILE = path.join(__dirname, '..', 'jobs', 'clean-pivot.json');
+
+// Run the clean pivot job on a session with the given connection settings
+const runJob = async (connection) => {
+  const spec = JobSpec.load(JOB_FILE);
+  spec.connection = { appId: 'clean-pivot', ...connection };
+  const sessionManager = new SessionManager(spec.buildConnectionConfig());
+
+  try {
+    const { doc } = await sessionManager.connect();
+    return await new JobRunner(spec, { sessionManager }).runOnDoc(doc);
+  } finally {
+    await sessionManager.close();
+  }
+};
+
+describe('traffic recording and replay', () => {
+  let directory;
+
+  before(() => {
+    Logger.configure({ level: 'silent' });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qlik-replay-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays a recorded run with identical output', async () => {
+    const cassette = path.join(directory, 'clean-pivot.ndjson');
+
+    const recorded = await runJob({ simulateCsv: SAMPLE_CSV, recordTraffic: cassette });
+    const replayed = await runJob({ replayTraffic: cassette });
+
+    assert.ok(recorded.rows.length > 0);
+    assert.deepEqual(replayed.headers, recorded.headers);
+    assert.deepEqual(replayed.rows, recorded.rows);
+    assert.deepEqual(replayed.metadata, recorded.metadata);
+  });
+});